@@ -0,0 +1,184 @@
+/**
+ * Bramble API Keys
+ * Keys are entered in the popup and kept in chrome.storage.local only - never synced
+ * and never logged. Each key can be checked with a minimal call to its service.
+ */
+
+const API_KEYS_STORAGE_KEY = 'apiKeys';
+
+// Services that take a key (LLM ids match LLM_PROVIDER_DEFAULTS)
+const API_KEY_SERVICES = {
+  anthropic: { label: 'Anthropic' },
+  openai: { label: 'OpenAI-compatible' },
+  googlePlaces: { label: 'Google Places' },
+  braveSearch: { label: 'Brave Search' },
+  backend: { label: 'Bramble server' } // Per-user token for the self-hosted server
+};
+
+// Give up on a key test after this long
+const API_KEY_TEST_TIMEOUT_MS = 10000;
+
+/**
+ * Get every stored key
+ * @returns {Promise<Object>} { anthropic, openai, googlePlaces, braveSearch, backend } - null when not set
+ */
+async function getApiKeys() {
+  const result = await chrome.storage.local.get(API_KEYS_STORAGE_KEY);
+  const stored = result[API_KEYS_STORAGE_KEY] || {};
+
+  const keys = {};
+  Object.keys(API_KEY_SERVICES).forEach(service => {
+    keys[service] = stored[service] || null;
+  });
+  return keys;
+}
+
+/**
+ * Store a key (an empty key removes it)
+ * @param {string} service - One of API_KEY_SERVICES
+ * @param {string} key - The key as entered
+ */
+async function saveApiKey(service, key) {
+  if (!API_KEY_SERVICES[service]) {
+    throw new Error(`Unknown API key service: ${service}`);
+  }
+
+  const result = await chrome.storage.local.get(API_KEYS_STORAGE_KEY);
+  const stored = { ...(result[API_KEYS_STORAGE_KEY] || {}) };
+  const trimmed = (key || '').trim();
+
+  if (trimmed) {
+    stored[service] = trimmed;
+  } else {
+    delete stored[service];
+  }
+
+  await chrome.storage.local.set({ [API_KEYS_STORAGE_KEY]: stored });
+}
+
+/**
+ * Show only the end of a key ("••••1a2b")
+ */
+function maskApiKey(key) {
+  if (!key) return '';
+  return '••••' + key.slice(-4);
+}
+
+/**
+ * Build the cheapest request that proves a key works
+ * @param {string} service - One of API_KEY_SERVICES
+ * @param {string} key - Key to test
+ * @param {Object} [options] - { baseUrl } for OpenAI-compatible servers and the Bramble server
+ * @returns {Object} { url, init } for fetch()
+ */
+function buildApiKeyTestRequest(service, key, options = {}) {
+  switch (service) {
+    case 'anthropic':
+      return {
+        url: 'https://api.anthropic.com/v1/models?limit=1',
+        init: {
+          headers: {
+            'x-api-key': key,
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+          }
+        }
+      };
+
+    case 'openai':
+      return {
+        url: `${(options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '')}/models`,
+        init: { headers: { 'Authorization': `Bearer ${key}` } }
+      };
+
+    case 'googlePlaces':
+      return {
+        url: 'https://places.googleapis.com/v1/places:searchText',
+        init: {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Goog-Api-Key': key,
+            'X-Goog-FieldMask': 'places.id'
+          },
+          body: JSON.stringify({ textQuery: 'hardware store', maxResultCount: 1 })
+        }
+      };
+
+    case 'braveSearch':
+      return {
+        url: 'https://api.search.brave.com/res/v1/web/search?q=bramble&count=1',
+        init: { headers: { 'X-Subscription-Token': key } }
+      };
+
+    case 'backend':
+      return {
+        url: `${options.baseUrl.replace(/\/+$/, '')}/v1/health`,
+        init: { headers: { 'Authorization': `Bearer ${key}` } }
+      };
+
+    default:
+      throw new Error(`Unknown API key service: ${service}`);
+  }
+}
+
+/**
+ * Check a key with a minimal call to its service
+ * @param {string} service - One of API_KEY_SERVICES
+ * @param {string} key - Key to test
+ * @param {Object} [options] - { baseUrl } for OpenAI-compatible servers and the Bramble server
+ * @returns {Promise<Object>} { status: 'valid' | 'invalid' | 'rate_limited' | 'missing' | 'error', message }
+ */
+async function testApiKey(service, key, options = {}) {
+  const label = API_KEY_SERVICES[service]?.label || service;
+
+  if (!key) {
+    return { status: 'missing', message: `No ${label} key entered.` };
+  }
+
+  if (service === 'backend' && !options.baseUrl) {
+    return { status: 'missing', message: 'Enter the server URL first.' };
+  }
+
+  let response;
+  try {
+    const { url, init } = buildApiKeyTestRequest(service, key, options);
+    response = await fetch(url, { ...init, signal: AbortSignal.timeout(API_KEY_TEST_TIMEOUT_MS) });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    return { status: 'error', message: timedOut ? `${label} didn't respond. Try again.` : `Couldn't reach ${label}. Check your connection.` };
+  }
+
+  if (response.ok) {
+    return { status: 'valid', message: `${label} key works.` };
+  }
+
+  // Google reports a malformed key as 400 API_KEY_INVALID; Brave reports it as 422
+  const rejected = response.status === 401 || response.status === 403 ||
+    (service === 'googlePlaces' && response.status === 400) ||
+    (service === 'braveSearch' && response.status === 422);
+
+  if (rejected) {
+    const detail = response.status === 403 && service === 'googlePlaces'
+      ? ' Make sure the Places API (New) is enabled for this key.'
+      : '';
+    return { status: 'invalid', message: `${label} rejected this key.${detail}` };
+  }
+  if (response.status === 429) {
+    return { status: 'rate_limited', message: `${label} accepted the key but is rate limiting requests right now.` };
+  }
+  return { status: 'error', message: `${label} returned an error (${response.status}). Try again later.` };
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    API_KEYS_STORAGE_KEY,
+    API_KEY_SERVICES,
+    getApiKeys,
+    saveApiKey,
+    maskApiKey,
+    buildApiKeyTestRequest,
+    testApiKey
+  };
+}
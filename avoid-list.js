@@ -0,0 +1,112 @@
+/**
+ * Bramble Avoid List
+ * Each avoided brand carries a severity (hard block, warn or lower score), an optional
+ * personal note and an optional grouping tag. Stored in the synced settings as
+ * settings.avoidedBrands; older plain-string lists are migrated on read.
+ */
+
+// What a match does, most severe first
+const AVOID_SEVERITIES = {
+  block: { label: 'Hard block', description: 'Score drops to 5 and a warning is shown' },
+  warn: { label: 'Warn', description: 'Warning shown and the score is lowered' },
+  lower: { label: 'Lower score', description: 'Score is lowered, no warning' }
+};
+
+const DEFAULT_AVOID_SEVERITY = 'block'; // What plain-string entries migrate to
+
+// Score effect of a match: block pins the score, the others subtract points.
+// A company only backed by an avoided investor gets the gentler value.
+const AVOID_PENALTIES = {
+  block: { score: 5, investorScore: 10 },
+  warn: { change: -40, investorChange: -20 },
+  lower: { change: -20, investorChange: -10 }
+};
+
+// Offered in the popup; any short tag can be used
+const SUGGESTED_AVOID_TAGS = ['boycott', 'labor', 'environment', 'politics', 'personal'];
+
+const AVOID_LIST_LIMITS = {
+  maxEntries: 40, // Enforced when adding, to keep the synced settings item under its 8KB quota
+  maxNameLength: 50,
+  maxNoteLength: 80,
+  maxTagLength: 20
+};
+
+/**
+ * Validate one avoid-list entry (a plain string becomes a hard block)
+ * @param {string|Object} entry - Stored entry
+ * @returns {Object|null} { name, severity, note, tag, list? } or null (list = provenance of subscribed entries)
+ */
+function normalizeAvoidEntry(entry) {
+  const source = typeof entry === 'string' ? { name: entry } : entry;
+  if (!source || typeof source !== 'object') return null;
+
+  const name = typeof source.name === 'string' ? source.name.trim().substring(0, AVOID_LIST_LIMITS.maxNameLength) : '';
+  if (!name) return null;
+
+  return {
+    name,
+    severity: AVOID_SEVERITIES[source.severity] ? source.severity : DEFAULT_AVOID_SEVERITY,
+    note: typeof source.note === 'string' ? source.note.trim().substring(0, AVOID_LIST_LIMITS.maxNoteLength) : '',
+    tag: normalizeAvoidTag(source.tag),
+    ...(typeof source.list === 'string' && source.list ? { list: source.list } : {})
+  };
+}
+
+/**
+ * "Labor " -> "labor"
+ */
+function normalizeAvoidTag(tag) {
+  return typeof tag === 'string' ? tag.trim().toLowerCase().substring(0, AVOID_LIST_LIMITS.maxTagLength) : '';
+}
+
+/**
+ * Clean a stored avoid list (strings migrated, duplicates and broken entries dropped)
+ * Stored lists are never capped - lists from before AVOID_LIST_LIMITS.maxEntries keep every entry.
+ * @param {Array} [list] - settings.avoidedBrands
+ * @param {number} [maxEntries] - Cap (used for subscribed lists)
+ * @returns {Array} [{ name, severity, note, tag }]
+ */
+function normalizeAvoidList(list, maxEntries = Infinity) {
+  const seen = new Set();
+
+  return (Array.isArray(list) ? list : [])
+    .map(normalizeAvoidEntry)
+    .filter(entry => {
+      if (!entry || seen.has(entry.name.toLowerCase())) return false;
+      seen.add(entry.name.toLowerCase());
+      return true;
+    })
+    .slice(0, maxEntries);
+}
+
+/**
+ * Whether a stored list still has plain-string entries
+ */
+function avoidListNeedsMigration(list) {
+  return Array.isArray(list) && list.some(entry => typeof entry === 'string');
+}
+
+/**
+ * Sort rank of a severity (0 = most severe)
+ */
+function getAvoidSeverityRank(severity) {
+  const rank = Object.keys(AVOID_SEVERITIES).indexOf(severity);
+  return rank === -1 ? Object.keys(AVOID_SEVERITIES).length : rank;
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AVOID_SEVERITIES,
+    DEFAULT_AVOID_SEVERITY,
+    AVOID_PENALTIES,
+    SUGGESTED_AVOID_TAGS,
+    AVOID_LIST_LIMITS,
+    normalizeAvoidEntry,
+    normalizeAvoidTag,
+    normalizeAvoidList,
+    avoidListNeedsMigration,
+    getAvoidSeverityRank
+  };
+}
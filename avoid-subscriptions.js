@@ -0,0 +1,372 @@
+/**
+ * Bramble Shared Avoid Lists
+ * Avoid lists imported from a JSON/CSV file or subscribed to by URL. They live in
+ * chrome.storage.local (not the synced settings, whose quota they would exhaust);
+ * URL lists are refreshed by a chrome.alarms alarm. Per-entry overrides survive refreshes.
+ *
+ * JSON: { "name": "Team Boycotts", "version": "3", "entries": [{ "name", "severity", "tag", "note" }] }
+ *       or a bare array of names/entries.
+ * CSV:  name,severity,tag,note (the header row is optional; only name is required)
+ */
+
+// Under Node, pull in the avoid-list entry helpers (browsers load avoid-list.js first)
+if (typeof normalizeAvoidEntry === 'undefined' && typeof require === 'function') {
+  var { normalizeAvoidEntry, normalizeAvoidList } = require('./avoid-list.js');
+}
+
+// avoid-list.js's severities, read through a local since redeclaring its const stops the scripts loading together
+const avoidSeverities = typeof AVOID_SEVERITIES === 'undefined' && typeof require === 'function'
+  ? require('./avoid-list.js').AVOID_SEVERITIES
+  : AVOID_SEVERITIES;
+
+const AVOID_SUBSCRIPTIONS_STORAGE_KEY = 'avoidListSubscriptions'; // chrome.storage.local
+
+const AVOID_LIST_REFRESH_ALARM = 'refresh-avoid-lists';
+
+const AVOID_OVERRIDE_OFF = 'off'; // Override that ignores a list entry
+
+const AVOID_SUBSCRIPTION_LIMITS = {
+  maxLists: 10,
+  maxEntriesPerList: 1000,
+  maxListBytes: 512 * 1024,
+  maxListNameLength: 40,
+  refreshHours: 24,
+  fetchTimeoutMs: 15000
+};
+
+const CSV_COLUMNS = ['name', 'severity', 'tag', 'note'];
+
+/**
+ * Parse a shared list
+ * @param {string} text - File or response body
+ * @param {string} fallbackName - Used when the list doesn't name itself (file name or URL host)
+ * @returns {Object} { name, version, entries }
+ * @throws {Error} When the text isn't a readable list or has no entries
+ */
+function parseAvoidListText(text, fallbackName) {
+  if (typeof text !== 'string' || text.length > AVOID_SUBSCRIPTION_LIMITS.maxListBytes) {
+    throw new Error('List is empty or too large');
+  }
+
+  const trimmed = text.trim();
+  let list;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('List is not valid JSON');
+    }
+    list = Array.isArray(data) ? { entries: data } : data;
+  } else {
+    list = { entries: parseAvoidListCsv(trimmed) };
+  }
+
+  const name = typeof list.name === 'string' && list.name.trim() ? list.name.trim() : fallbackName;
+  // Provenance comes from the subscription, never from the list's own entries
+  const entries = normalizeAvoidList(Array.isArray(list.entries) ? list.entries : [], AVOID_SUBSCRIPTION_LIMITS.maxEntriesPerList)
+    .map(({ name, severity, note, tag }) => ({ name, severity, note, tag }));
+
+  if (entries.length === 0) {
+    throw new Error('List has no entries');
+  }
+
+  return {
+    name: String(name || 'Shared list').substring(0, AVOID_SUBSCRIPTION_LIMITS.maxListNameLength),
+    version: list.version != null && list.version !== '' ? String(list.version).substring(0, 20) : null,
+    entries
+  };
+}
+
+/**
+ * Rows of a CSV list as entries (quoted fields may contain commas and "" escapes)
+ */
+function parseAvoidListCsv(text) {
+  const rows = text.split(/\r?\n/)
+    .filter(line => line.trim() && !line.trim().startsWith('#'))
+    .map(parseCsvLine);
+  if (rows.length === 0) return [];
+
+  // Use the header row's column order if there is one
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const hasHeader = header.includes('name') || header.includes('brand');
+  const columns = hasHeader ? header.map(cell => (cell === 'brand' ? 'name' : cell)) : CSV_COLUMNS;
+
+  return rows.slice(hasHeader ? 1 : 0).map(cells => {
+    const entry = {};
+    columns.forEach((column, index) => {
+      if (CSV_COLUMNS.includes(column) && cells[index] != null) entry[column] = cells[index].trim();
+    });
+    return entry;
+  });
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+
+  return cells;
+}
+
+/**
+ * "Team Boycotts v3"
+ */
+function formatAvoidListLabel(subscription) {
+  if (!subscription.version) return subscription.name;
+  return /^\d/.test(subscription.version) ? `${subscription.name} v${subscription.version}` : `${subscription.name} ${subscription.version}`;
+}
+
+/**
+ * Entries of every subscribed list with the user's overrides applied
+ * @param {Array} subscriptions - Stored subscriptions
+ * @returns {Array} Entries with list set to the list's label ("Team Boycotts v3")
+ */
+function getSubscribedAvoidEntries(subscriptions) {
+  const entries = [];
+
+  (subscriptions || []).forEach(subscription => {
+    const label = formatAvoidListLabel(subscription);
+    const overrides = subscription.overrides || {};
+
+    (subscription.entries || []).forEach(entry => {
+      const override = overrides[entry.name.toLowerCase()];
+      if (override === AVOID_OVERRIDE_OFF) return;
+
+      entries.push({
+        ...entry,
+        severity: avoidSeverities[override] ? override : entry.severity,
+        list: label
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Personal entries followed by subscribed ones (a personal entry for the same name wins)
+ * @param {Array} personalEntries - settings.avoidedBrands
+ * @param {Array} subscriptions - Stored subscriptions
+ * @returns {Array} Combined avoid list
+ */
+function mergeAvoidLists(personalEntries, subscriptions) {
+  const personal = normalizeAvoidList(personalEntries);
+  const personalNames = new Set(personal.map(entry => entry.name.toLowerCase()));
+
+  return [
+    ...personal,
+    ...getSubscribedAvoidEntries(subscriptions).filter(entry => !personalNames.has(entry.name.toLowerCase()))
+  ];
+}
+
+/**
+ * Load stored subscriptions
+ * @returns {Promise<Array>} [{ id, name, version, url, entries, overrides, fetchedAt, lastError }]
+ */
+async function loadAvoidSubscriptions() {
+  const result = await chrome.storage.local.get(AVOID_SUBSCRIPTIONS_STORAGE_KEY);
+  return Array.isArray(result[AVOID_SUBSCRIPTIONS_STORAGE_KEY]) ? result[AVOID_SUBSCRIPTIONS_STORAGE_KEY] : [];
+}
+
+async function saveAvoidSubscriptions(subscriptions) {
+  await chrome.storage.local.set({ [AVOID_SUBSCRIPTIONS_STORAGE_KEY]: subscriptions });
+}
+
+/**
+ * Add the subscribed lists to the user's preferences before scoring
+ * @param {Object} userPreferences - Preferences from the content script
+ * @returns {Promise<Object>} Preferences with avoidedBrands extended
+ */
+async function withSubscribedAvoidLists(userPreferences) {
+  try {
+    const subscriptions = await loadAvoidSubscriptions();
+    if (subscriptions.length === 0) return userPreferences;
+    return { ...userPreferences, avoidedBrands: mergeAvoidLists(userPreferences.avoidedBrands, subscriptions) };
+  } catch (error) {
+    console.error('Bramble: Could not load shared avoid lists:', error);
+    return userPreferences;
+  }
+}
+
+/**
+ * Download and parse a list URL
+ * @returns {Promise<Object>} { name, version, entries }
+ */
+async function fetchAvoidList(url) {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(AVOID_SUBSCRIPTION_LIMITS.fetchTimeoutMs),
+    cache: 'no-cache'
+  });
+  if (!response.ok) {
+    throw new Error(`List download failed (HTTP ${response.status})`);
+  }
+
+  return parseAvoidListText(await response.text(), new URL(url).hostname);
+}
+
+/**
+ * Subscribe to a list URL (subscribing again refreshes it)
+ * @param {string} url - https URL of a JSON or CSV list
+ * @returns {Promise<Object>} The stored subscription
+ */
+async function subscribeToAvoidList(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error('Enter a valid list URL');
+  }
+  if (parsedUrl.protocol !== 'https:') {
+    throw new Error('List URLs must use https');
+  }
+
+  const subscriptions = await loadAvoidSubscriptions();
+  const existing = subscriptions.find(subscription => subscription.url === parsedUrl.href);
+  if (!existing && subscriptions.length >= AVOID_SUBSCRIPTION_LIMITS.maxLists) {
+    throw new Error(`You can add up to ${AVOID_SUBSCRIPTION_LIMITS.maxLists} shared lists`);
+  }
+
+  const list = await fetchAvoidList(parsedUrl.href);
+  const subscription = {
+    id: existing ? existing.id : `list-${Date.now()}`,
+    url: parsedUrl.href,
+    ...list,
+    overrides: existing ? existing.overrides : {},
+    fetchedAt: Date.now(),
+    lastError: null
+  };
+
+  await saveAvoidSubscriptions(existing
+    ? subscriptions.map(item => (item.id === existing.id ? subscription : item))
+    : [...subscriptions, subscription]);
+  console.log('Bramble: Subscribed to avoid list', formatAvoidListLabel(subscription), '-', subscription.entries.length, 'entries');
+  return subscription;
+}
+
+/**
+ * Import a list from a file (imported lists are not refreshed)
+ * @param {string} text - File contents
+ * @param {string} fileName - Used as the name when the list has none
+ * @returns {Promise<Object>} The stored subscription
+ */
+async function importAvoidListFile(text, fileName) {
+  const subscriptions = await loadAvoidSubscriptions();
+  if (subscriptions.length >= AVOID_SUBSCRIPTION_LIMITS.maxLists) {
+    throw new Error(`You can add up to ${AVOID_SUBSCRIPTION_LIMITS.maxLists} shared lists`);
+  }
+
+  const list = parseAvoidListText(text, (fileName || '').replace(/\.(json|csv|txt)$/i, ''));
+  const subscription = { id: `list-${Date.now()}`, url: null, ...list, overrides: {}, fetchedAt: Date.now(), lastError: null };
+
+  await saveAvoidSubscriptions([...subscriptions, subscription]);
+  console.log('Bramble: Imported avoid list', formatAvoidListLabel(subscription), '-', subscription.entries.length, 'entries');
+  return subscription;
+}
+
+/**
+ * Re-download every URL list (a failed download keeps the previous entries)
+ * @param {Object} [options] - { force: refresh even if fetched recently }
+ * @returns {Promise<boolean>} Whether any list's entries changed
+ */
+async function refreshAvoidSubscriptions(options = {}) {
+  const subscriptions = await loadAvoidSubscriptions();
+  // A minute of slack so an alarm firing slightly early still refreshes
+  const staleBefore = Date.now() - AVOID_SUBSCRIPTION_LIMITS.refreshHours * 60 * 60 * 1000 + 60 * 1000;
+  let changed = false;
+
+  const refreshed = [];
+  for (const subscription of subscriptions) {
+    if (!subscription.url || (!options.force && subscription.fetchedAt > staleBefore)) {
+      refreshed.push(subscription);
+      continue;
+    }
+
+    try {
+      const list = await fetchAvoidList(subscription.url);
+      changed = changed || JSON.stringify(list.entries) !== JSON.stringify(subscription.entries) || list.version !== subscription.version;
+      refreshed.push({ ...subscription, ...list, fetchedAt: Date.now(), lastError: null });
+    } catch (error) {
+      console.error('Bramble: Could not refresh avoid list', subscription.url, error);
+      refreshed.push({ ...subscription, lastError: error.message });
+    }
+  }
+
+  await saveAvoidSubscriptions(refreshed);
+  return changed;
+}
+
+/**
+ * Remove a shared list
+ */
+async function removeAvoidSubscription(listId) {
+  const subscriptions = await loadAvoidSubscriptions();
+  await saveAvoidSubscriptions(subscriptions.filter(subscription => subscription.id !== listId));
+}
+
+/**
+ * Override one entry of a shared list
+ * @param {string} listId - Subscription id
+ * @param {string} entryName - Entry to override
+ * @param {string|null} override - A severity, AVOID_OVERRIDE_OFF, or null to use the list's value
+ */
+async function setAvoidEntryOverride(listId, entryName, override) {
+  const subscriptions = await loadAvoidSubscriptions();
+  const key = String(entryName).toLowerCase();
+
+  await saveAvoidSubscriptions(subscriptions.map(subscription => {
+    if (subscription.id !== listId) return subscription;
+
+    const overrides = { ...subscription.overrides };
+    if (override === AVOID_OVERRIDE_OFF || avoidSeverities[override]) {
+      overrides[key] = override;
+    } else {
+      delete overrides[key];
+    }
+    return { ...subscription, overrides };
+  }));
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AVOID_SUBSCRIPTIONS_STORAGE_KEY,
+    AVOID_LIST_REFRESH_ALARM,
+    AVOID_OVERRIDE_OFF,
+    AVOID_SUBSCRIPTION_LIMITS,
+    parseAvoidListText,
+    parseAvoidListCsv,
+    formatAvoidListLabel,
+    getSubscribedAvoidEntries,
+    mergeAvoidLists,
+    loadAvoidSubscriptions,
+    withSubscribedAvoidLists,
+    subscribeToAvoidList,
+    importAvoidListFile,
+    refreshAvoidSubscriptions,
+    removeAvoidSubscription,
+    setAvoidEntryOverride
+  };
+}
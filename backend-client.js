@@ -0,0 +1,75 @@
+/**
+ * Bramble Backend Client
+ * Talks to the optional self-hosted Bramble server (server/server.js). When a backend URL
+ * is set, AI and search calls go through the server, which holds the third-party keys.
+ */
+
+// Server routes (see server/server.js)
+const BACKEND_ROUTES = {
+  health: '/v1/health',
+  complete: '/v1/complete',
+  places: '/v1/places/search',
+  web: '/v1/web/search'
+};
+
+/**
+ * Resolve the backend to use, if any
+ * @param {Object} settings - User settings (backendUrl)
+ * @param {Object} apiKeys - Stored keys (backend = the user's server token)
+ * @returns {Object|null} { baseUrl, token } or null in direct mode
+ */
+function getBackendConfig(settings = {}, apiKeys = {}) {
+  const baseUrl = (settings.backendUrl || '').trim().replace(/\/+$/, '');
+  if (!baseUrl) return null;
+
+  return { baseUrl, token: apiKeys.backend || null };
+}
+
+/**
+ * Call a server route
+ * @param {Object} backend - Result of getBackendConfig
+ * @param {string} route - One of BACKEND_ROUTES
+ * @param {Object|null} body - JSON body (null for GET)
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<Response>} Raw response - callers check response.ok
+ */
+async function backendFetch(backend, route, body, signal) {
+  const headers = {};
+  if (backend.token) {
+    headers['Authorization'] = `Bearer ${backend.token}`;
+  }
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  return fetch(`${backend.baseUrl}${route}`, {
+    method: body ? 'POST' : 'GET',
+    headers,
+    signal,
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+/**
+ * Read the server's error code from a failed response ({ error, message })
+ * @returns {Promise<Object>} { code, message }
+ */
+async function readBackendError(response) {
+  const text = await response.text().catch(() => '');
+  try {
+    const data = JSON.parse(text);
+    return { code: data.error || null, message: data.message || text };
+  } catch (error) {
+    return { code: null, message: text };
+  }
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BACKEND_ROUTES,
+    getBackendConfig,
+    backendFetch,
+    readBackendError
+  };
+}
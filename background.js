@@ -3,21 +3,14 @@
  * Handles messaging between content scripts and popup
  */
 
-// Import config (using classic service worker approach, not ES6 modules)
-try {
-  importScripts('config.js');
-  console.log('Bramble: config.js loaded successfully');
-} catch (error) {
-  console.error('Bramble: Failed to load config.js:', error);
-}
+// Shared service worker modules (classic service worker, not ES6 modules)
+importScripts('site-adapters.js', 'structured-data.js', 'api-keys.js', 'backend-client.js', 'cache.js', 'providers.js', 'search-apis.js', 'schema.js', 'sanitize.js', 'scoring.js', 'profiles.js', 'avoid-list.js', 'avoid-subscriptions.js', 'analysis.js', 'knowledge-base.js', 'ownership-graph.js', 'request-queue.js');
 
-// Verify API key loaded
-console.log('Bramble: API key loaded:', typeof CONFIG !== 'undefined' && CONFIG?.ANTHROPIC_API_KEY ? 'Yes' : 'No');
+// Minimum time between partial results while a text field is still streaming
+const PARTIAL_EVENT_INTERVAL_MS = 250;
 
-if (typeof CONFIG === 'undefined' || !CONFIG || !CONFIG.ANTHROPIC_API_KEY) {
-  console.error('Bramble: CONFIG or API key not found! Make sure config.js exists and is properly formatted.');
-  console.error('Bramble: CONFIG type:', typeof CONFIG);
-}
+// Apply the user's request rate to the analysis queue
+getSettings().then(settings => configureRequestQueue({ requestsPerMinute: settings?.requestsPerMinute }));
 
 // Initialize extension on install
 chrome.runtime.onInstalled.addListener((details) => {
@@ -29,7 +22,8 @@ chrome.runtime.onInstalled.addListener((details) => {
       settings: {
         supportLocal: true,
         sustainableProducts: true,
-        avoidedBrands: [] // Users can add their own brands to avoid
+        avoidedBrands: [], // Users can add their own brands to avoid
+        cacheTtlHours: CACHE_DEFAULTS.ttlHours
       }
     });
 
@@ -44,7 +38,132 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.tabs.create({
       url: 'https://github.com/yourrepo/vinegar/wiki/welcome'
     });
+  } else if (details.reason === 'update') {
+    migrateAvoidList();
+  }
+
+  scheduleAvoidListRefresh();
+  getSettings().then(syncAnyShopContentScript);
+});
+
+/**
+ * Register or remove the "analyze any shop" content scripts to match the setting
+ * The mode needs the optional ANY_SHOP_ORIGINS permission; without it the scripts stay unregistered.
+ * Pages with a site adapter are excluded - the manifest's content scripts already run there.
+ */
+async function syncAnyShopContentScript(settings) {
+  try {
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [ANY_SHOP_SCRIPT_ID, ANY_SHOP_HISTORY_SCRIPT_ID] });
+    const granted = await chrome.permissions.contains({ origins: ANY_SHOP_ORIGINS });
+
+    if (settings?.analyzeAnyShop !== true || !granted) {
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: registered.map(script => script.id) });
+        console.log('Bramble: Analyze-any-shop content scripts removed');
+      }
+      return;
+    }
+
+    // Same scripts and styles as the retailer content scripts
+    const manifestScripts = chrome.runtime.getManifest().content_scripts;
+    const siteScript = manifestScripts.find(script => script.world !== 'MAIN');
+    const historyScript = manifestScripts.find(script => script.world === 'MAIN');
+    const scripts = [
+      {
+        id: ANY_SHOP_SCRIPT_ID,
+        matches: ANY_SHOP_ORIGINS,
+        excludeMatches: getSiteMatchPatterns(),
+        js: siteScript.js,
+        css: siteScript.css,
+        runAt: 'document_idle',
+        persistAcrossSessions: true
+      },
+      {
+        id: ANY_SHOP_HISTORY_SCRIPT_ID,
+        matches: ANY_SHOP_ORIGINS,
+        excludeMatches: getSiteMatchPatterns(),
+        js: historyScript.js,
+        runAt: 'document_start',
+        world: 'MAIN',
+        persistAcrossSessions: true
+      }
+    ];
+
+    const registeredIds = new Set(registered.map(script => script.id));
+    const toUpdate = scripts.filter(script => registeredIds.has(script.id));
+    const toRegister = scripts.filter(script => !registeredIds.has(script.id));
+    if (toUpdate.length > 0) {
+      await chrome.scripting.updateContentScripts(toUpdate);
+    }
+    if (toRegister.length > 0) {
+      await chrome.scripting.registerContentScripts(toRegister);
+      console.log('Bramble: Analyze-any-shop content scripts registered');
+    }
+  } catch (error) {
+    console.error('Bramble: Could not update the analyze-any-shop content script:', error);
   }
+}
+
+// Turning the permission off in chrome://extensions also turns the mode off
+chrome.permissions.onRemoved.addListener(() => {
+  getSettings().then(syncAnyShopContentScript);
+});
+
+/**
+ * Refresh subscribed avoid lists once a day (the alarm survives browser restarts)
+ */
+function scheduleAvoidListRefresh() {
+  chrome.alarms.create(AVOID_LIST_REFRESH_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: AVOID_SUBSCRIPTION_LIMITS.refreshHours * 60
+  });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== AVOID_LIST_REFRESH_ALARM) return;
+
+  const changed = await refreshAvoidSubscriptions().catch(error => {
+    console.error('Bramble: Avoid list refresh failed:', error);
+    return false;
+  });
+  if (changed) {
+    console.log('Bramble: Shared avoid lists changed - re-scoring open tabs');
+    await handleSettingsUpdated(await getSettings());
+  }
+});
+
+/**
+ * Convert an avoid list of plain brand names to entries (hard block, no note or tag)
+ */
+async function migrateAvoidList() {
+  try {
+    const result = await chrome.storage.sync.get('settings');
+    if (!result.settings || !avoidListNeedsMigration(result.settings.avoidedBrands)) return;
+
+    const avoidedBrands = normalizeAvoidList(result.settings.avoidedBrands);
+    if (avoidedBrands.length > AVOID_LIST_LIMITS.maxEntries) {
+      console.warn('Bramble: Avoid list has', avoidedBrands.length, 'brands - over the', AVOID_LIST_LIMITS.maxEntries, 'that fit comfortably in synced settings');
+    }
+    // A failed write (sync quota) leaves the old list in place
+    await chrome.storage.sync.set({ settings: { ...result.settings, avoidedBrands } });
+    console.log('Bramble: Migrated', avoidedBrands.length, 'avoided brands to entries');
+  } catch (error) {
+    console.error('Bramble: Could not migrate avoid list:', error);
+  }
+}
+
+/**
+ * Stream product analyses to content scripts over a long-lived port
+ * Each port carries one analysis as a sequence of ANALYSIS_EVENTS.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== ANALYSIS_PORT_NAME) return;
+
+  port.onMessage.addListener((request) => {
+    if (request.type === 'ANALYZE') {
+      streamAnalysis(port, request);
+    }
+  });
 });
 
 /**
@@ -53,69 +172,17 @@ chrome.runtime.onInstalled.addListener((details) => {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('Background received message:', request);
 
-  // Handle API analysis request from content script
-  if (request.action === 'analyzeProduct') {
-    console.log('Bramble: Processing analyzeProduct request for:', request.productName);
-    console.log('Bramble: CONFIG available?', typeof CONFIG !== 'undefined');
-    console.log('Bramble: API key available?', typeof CONFIG !== 'undefined' && CONFIG.ANTHROPIC_API_KEY ? 'Yes' : 'No');
-
-    // Step 1: Analyze with Claude and send immediately (don't wait for alternatives)
-    analyzeProduct(request.productName, request.userPreferences)
-      .then(async analysis => {
-        console.log('Bramble: Analysis successful, sending immediately');
-
-        // Send analysis right away so UI updates instantly
-        sendResponse(analysis);
-
-        // Step 2 & 3: Find alternatives in the background (parallel)
-        const supportLocal = request.userPreferences.supportLocal !== false;
-
-        Promise.all([
-          // Local alternatives
-          supportLocal
-            ? findLocalAlternatives(
-                analysis.productCategory,
-                request.userPreferences.location,
-                analysis,
-                request.currentSite
-              ).catch(err => {
-                console.error('Bramble: Google Places error:', err);
-                return [];
-              })
-            : Promise.resolve([]),
-
-          // Online alternatives
-          findSmallOnlineRetailers(
-            request.productName,
-            analysis.productCategory
-          ).catch(err => {
-            console.error('Bramble: Web search error:', err);
-            return [];
-          })
-        ]).then(([localAlternatives, onlineAlternatives]) => {
-          console.log('Bramble: Found alternatives:', localAlternatives.length, 'local,', onlineAlternatives.length, 'online');
-
-          // Send alternatives as a separate message to content script
-          chrome.tabs.sendMessage(sender.tab.id, {
-            action: 'alternativesReady',
-            localAlternatives: localAlternatives,
-            onlineAlternatives: onlineAlternatives,
-            allAlternatives: [...localAlternatives, ...onlineAlternatives]
-          }).catch(() => {
-            // Tab might be closed, ignore
-          });
-        });
-      })
-      .catch(error => {
-        console.error('Bramble: Analysis failed:', error);
-        console.error('Bramble: Error details:', {
-          name: error.name,
-          message: error.message,
-          stack: error.stack
-        });
-        sendResponse({ error: error.message });
-      });
-    return true; // Keep channel open for async response
+  // Re-score a previously analyzed product from cached company facts (no API call)
+  if (request.action === 'rescoreProduct') {
+    withSubscribedAvoidLists(request.userPreferences || {})
+      .then(userPreferences => rescoreProduct(request.productName, userPreferences, {
+        currentSite: request.currentSite,
+        productUrl: request.productUrl,
+        productDetails: getProductDetails(request.productDetails)
+      }))
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
   }
 
   // Handle other message types
@@ -142,11 +209,134 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       getStats().then(sendResponse);
       return true;
 
+    case 'CLEAR_ANALYSIS_CACHE':
+      Promise.all([invalidateAnalysisCache(), clearOwnershipEdges()]).then(() => sendResponse({ success: true }));
+      return true;
+
+    case 'APPLY_VALUE_PROFILE':
+      applyValueProfile(request.profileId)
+        .then(sendResponse)
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+
+    case 'SUBSCRIBE_AVOID_LIST':
+      runAvoidListChange(() => subscribeToAvoidList(request.url), sendResponse);
+      return true;
+
+    case 'IMPORT_AVOID_LIST':
+      runAvoidListChange(() => importAvoidListFile(request.text, request.fileName), sendResponse);
+      return true;
+
+    case 'REFRESH_AVOID_LISTS':
+      runAvoidListChange(() => refreshAvoidSubscriptions({ force: true }), sendResponse);
+      return true;
+
+    case 'REMOVE_AVOID_LIST':
+      runAvoidListChange(() => removeAvoidSubscription(request.listId), sendResponse);
+      return true;
+
+    case 'SET_AVOID_LIST_OVERRIDE':
+      runAvoidListChange(() => setAvoidEntryOverride(request.listId, request.name, request.override), sendResponse);
+      return true;
+
+    case 'CONFIRM_OWNERSHIP_EDGES':
+      // Re-tagged and filtered here - the content script only echoes what the analysis suggested
+      rememberOwnershipEdges(getOwnershipEdgesFromAnalysis({ ownershipEdges: request.edges || [] }))
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+
+    case 'REMOVE_AVOIDED_BRAND':
+      removeAvoidedBrand(request.name, request.list)
+        .then(sendResponse)
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+
+    case 'OPEN_API_KEY_SETTINGS':
+      openApiKeySettings(sender).then(() => sendResponse({ success: true }));
+      return true;
+
     default:
       console.warn('Unknown message type:', messageType);
   }
 });
 
+/**
+ * Open the popup at its API key section (from the side panel's "configure your keys" state)
+ */
+async function openApiKeySettings(sender) {
+  try {
+    await chrome.storage.session?.set({ popupFocus: 'api-keys' });
+    await chrome.action.openPopup({ windowId: sender.tab?.windowId });
+  } catch (error) {
+    // openPopup needs a focused window (and Chrome 127+) - fall back to a tab
+    console.log('Bramble: Could not open popup, opening settings in a tab:', error.message);
+    await chrome.tabs.create({ url: chrome.runtime.getURL('popup.html#api-keys') });
+  }
+}
+
+/**
+ * Apply a change to the shared avoid lists, then re-score open tabs
+ * @param {Function} change - Async change from avoid-subscriptions.js
+ * @param {Function} sendResponse - Gets { success: true, result } or { error }
+ */
+async function runAvoidListChange(change, sendResponse) {
+  try {
+    const result = await change();
+    sendResponse({ success: true, result });
+    await handleSettingsUpdated(await getSettings());
+  } catch (error) {
+    console.error('Bramble: Avoid list change failed:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+/**
+ * Stop avoiding a brand (from the cart guard) and re-score open tabs
+ * Personal entries are removed; entries from a shared list are turned off with an override.
+ * @param {string} name - Avoided brand as entered
+ * @param {string|null} listLabel - Shared list it came from ("Team Boycotts v3"), null if personal
+ * @returns {Promise<Object>} { success: true }
+ */
+async function removeAvoidedBrand(name, listLabel) {
+  if (listLabel) {
+    const subscription = (await loadAvoidSubscriptions()).find(item => formatAvoidListLabel(item) === listLabel);
+    if (!subscription) {
+      throw new Error(`Unknown list: ${listLabel}`);
+    }
+    await setAvoidEntryOverride(subscription.id, name, AVOID_OVERRIDE_OFF);
+  } else {
+    const result = await chrome.storage.sync.get('settings');
+    const avoidedBrands = normalizeAvoidList(result.settings?.avoidedBrands)
+      .filter(entry => entry.name.toLowerCase() !== String(name).toLowerCase());
+    await chrome.storage.sync.set({ settings: { ...result.settings, avoidedBrands } });
+  }
+  console.log('Bramble: Removed from avoid list:', name, listLabel ? `(${listLabel})` : '');
+
+  await handleSettingsUpdated(await getSettings());
+  return { success: true };
+}
+
+/**
+ * Switch to a value profile (from the side panel) and re-score open tabs
+ * @param {string} profileId - Preset or custom profile id
+ * @returns {Promise<Object>} { success: true, settings }
+ */
+async function applyValueProfile(profileId) {
+  const result = await chrome.storage.sync.get(['settings', VALUE_PROFILES_STORAGE_KEY]);
+  const profile = findValueProfile(getValueProfiles(result[VALUE_PROFILES_STORAGE_KEY]), profileId);
+  if (!profile) {
+    throw new Error(`Unknown profile: ${profileId}`);
+  }
+
+  const settings = { ...result.settings, ...getProfileSettings(profile) };
+  await chrome.storage.sync.set({ settings });
+  console.log('Bramble: Switched to profile', profile.name);
+
+  await handleSettingsUpdated(settings);
+  return { success: true, settings };
+}
+
 /**
  * Handle product detection from content script
  */
@@ -195,15 +385,13 @@ async function handleProductDetected(productData, sender) {
 async function handleSettingsUpdated(settings) {
   console.log('Settings updated:', settings);
 
+  if (settings) {
+    configureRequestQueue({ requestsPerMinute: settings.requestsPerMinute });
+  }
+  await syncAnyShopContentScript(settings);
+
   // Broadcast settings to all content scripts
-  const tabs = await chrome.tabs.query({
-    url: [
-      'https://*.amazon.com/*',
-      'https://*.walmart.com/*',
-      'https://*.target.com/*',
-      'https://*.bestbuy.com/*'
-    ]
-  });
+  const tabs = await chrome.tabs.query({ url: settings?.analyzeAnyShop === true ? ANY_SHOP_ORIGINS : getSiteMatchPatterns() });
 
   tabs.forEach(tab => {
     chrome.tabs.sendMessage(tab.id, {
@@ -273,16 +461,29 @@ async function getStats() {
  * Clear badge when tab is closed or navigated away
  */
 chrome.tabs.onRemoved.addListener((tabId) => {
+  cancelRequestsForTab(tabId);
+
   // Silently ignore - tab is already removed
   chrome.action.setBadgeText({ text: '', tabId }).catch(() => {});
 });
 
+/**
+ * Tell the tab when a single-page shop changes its URL without a page load
+ * Backs up the page's own history hooks (history-hooks.js), which miss history calls made
+ * through references the page saved before the hooks were installed.
+ */
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId !== 0) return;
+
+  // Silently ignore tabs without the content script
+  chrome.tabs.sendMessage(details.tabId, { type: 'HISTORY_STATE_UPDATED', url: details.url }).catch(() => {});
+});
+
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.url) {
-    const supportedSites = ['amazon.com', 'walmart.com', 'target.com', 'bestbuy.com'];
-    const isSupported = supportedSites.some(site => changeInfo.url.includes(site));
+    cancelRequestsForTab(tabId, changeInfo.url);
 
-    if (!isSupported) {
+    if (!findSiteAdapter(new URL(changeInfo.url).hostname)) {
       // Silently ignore if tab doesn't exist
       chrome.action.setBadgeText({ text: '', tabId }).catch(() => {});
     }
@@ -290,128 +491,321 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
 });
 
 /**
- * Analyze product using Claude API
+ * Analyze product, using cached company facts when available
+ * Ownership facts come from the bundled dataset when the brand is known; the LLM fills the gaps.
  * @param {string} productName - Name of the product
  * @param {Object} userPreferences - User's preferences (avoided brands, location, etc.)
+ * @param {Object} options - { currentSite, productUrl, productDetails, skipCache, tabId, pageUrl, onEvent }
+ *   productDetails is getProductDetails() of the product record (brand, identifiers, seller, breadcrumbs);
+ *   onEvent receives status and partial-result ANALYSIS_EVENTS while the model streams
  * @returns {Promise<Object>} Analysis results
  */
-async function analyzeProduct(productName, userPreferences = {}) {
+async function analyzeProduct(productName, userPreferences = {}, options = {}) {
   console.log('Vinegar API: Analyzing product:', productName);
 
-  // Check if API key is available
-  if (!CONFIG || !CONFIG.ANTHROPIC_API_KEY || CONFIG.ANTHROPIC_API_KEY === 'your-api-key-here') {
-    throw new Error('API key not configured. Please copy config.example.js to config.js and add your API key.');
+  const productDetails = options.productDetails || {};
+  const cacheKey = getProductCacheKey(productName, options.currentSite, options.productUrl, productDetails);
+  const cacheOptions = getCacheOptions(userPreferences);
+  const listingSeller = classifyListingSeller(productDetails, options.currentSite);
+
+  // Bundled dataset first (the page's brand, when it shows one, beats guessing from the title)
+  const datasetMatch = await lookupProductInKnowledgeBase(productName, productDetails.brand);
+  const ownershipGraph = await loadOwnershipGraph();
+
+  if (!options.skipCache) {
+    const cached = await getCachedCompanyData(cacheKey, cacheOptions);
+    if (cached) {
+      console.log('Bramble: Using cached company data for', cacheKey);
+      const companyData = await applyDatasetFacts(cached.companyData, datasetMatch);
+      return {
+        ...buildAnalysis(companyData, userPreferences, ownershipGraph, listingSeller),
+        fromCache: true,
+        cachedAt: cached.cachedAt
+      };
+    }
+  } else {
+    console.log('Bramble: Skipping cache (re-analyze requested) for', cacheKey);
   }
 
-  // Detailed logging for debugging
-  console.log('API Key being used:', CONFIG.ANTHROPIC_API_KEY.substring(0, 20) + '...');
-  console.log('API Key starts with:', CONFIG.ANTHROPIC_API_KEY.substring(0, 14));
-  console.log('API Key length:', CONFIG.ANTHROPIC_API_KEY.length);
+  const { suspicious } = sanitizePromptInputs(productName, userPreferences, productDetails);
+  const onProgress = options.onEvent
+    ? createPartialAnalysisReporter(datasetMatch, userPreferences, ownershipGraph, listingSeller, suspicious, options.onEvent)
+    : null;
+
+  // Dataset facts are known before the model answers
+  if (onProgress && datasetMatch) {
+    onProgress({ text: '{}' });
+  }
 
+  let aiFacts;
+  let aiError = null;
   try {
-    // Build the prompt
-    const prompt = buildAnalysisPrompt(productName, userPreferences);
-
-    const url = 'https://api.anthropic.com/v1/messages';
-    const headers = {
-      'Content-Type': 'application/json',
-      'x-api-key': CONFIG.ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01',
-      'anthropic-dangerous-direct-browser-access': 'true'
-    };
-    const body = {
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1500,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    };
+    // Queued so tabs share the rate limit; identical requests for this product share one call
+    const origin = { tabId: options.tabId, pageUrl: options.pageUrl };
+    aiFacts = await enqueueRequest(cacheKey, origin, (signal, reportProgress) => {
+      reportProgress({ stage: 'analyzing' });
+      return fetchCompanyData(productName, userPreferences, datasetMatch, productDetails, signal, text => reportProgress({ text }));
+    }, onProgress);
+    await setCachedCompanyData(cacheKey, aiFacts, cacheOptions);
+  } catch (error) {
+    if (!datasetMatch || error.message === 'REQUEST_CANCELLED') throw error;
 
-    console.log('Request URL:', url);
-    console.log('Request headers:', JSON.stringify(headers, null, 2));
-    console.log('Request body:', JSON.stringify(body, null, 2));
+    // The dataset still knows who owns this brand - show that rather than the fallback
+    // (not cached, so the next visit retries the API)
+    console.warn('Bramble: AI analysis failed, using dataset facts only:', error.message);
+    aiFacts = validateCompanyAnalysis({}).data;
+    aiError = error.message;
+  }
 
-    // Call Claude API
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(body)
+  const companyData = await applyDatasetFacts(aiFacts, datasetMatch);
+  return {
+    ...buildAnalysis(companyData, userPreferences, ownershipGraph, listingSeller),
+    fromCache: false,
+    cachedAt: Date.now(),
+    ...(aiError ? { aiError } : {})
+  };
+}
+
+/**
+ * Run one analysis and report it over the port: status and partial results while the
+ * model streams, then the final analysis, then alternatives
+ * @param {chrome.runtime.Port} port - Port opened by the content script
+ * @param {Object} request - { productName, productUrl, productDetails, currentSite, skipCache, userPreferences }
+ */
+async function streamAnalysis(port, request) {
+  const tab = port.sender?.tab;
+  let isConnected = true;
+
+  port.onDisconnect.addListener(() => {
+    isConnected = false;
+  });
+
+  const userPreferences = await withSubscribedAvoidLists(request.userPreferences || {});
+
+  const emit = (event) => {
+    if (isConnected) port.postMessage(event);
+  };
+
+  console.log('Bramble: Processing analysis request for:', request.productName);
+
+  let analysis;
+  try {
+    analysis = await analyzeProduct(request.productName, userPreferences, {
+      currentSite: request.currentSite,
+      productUrl: request.productUrl,
+      productDetails: getProductDetails(request.productDetails),
+      skipCache: request.skipCache === true,
+      tabId: tab?.id,
+      pageUrl: tab?.url,
+      onEvent: emit
     });
+  } catch (error) {
+    console.error('Bramble: Analysis failed:', error);
+    emit({ type: ANALYSIS_EVENTS.ERROR, error: error.message });
+    emit({ type: ANALYSIS_EVENTS.DONE });
+    return;
+  }
 
-    console.log('Response status:', response.status);
-    console.log('Response status text:', response.statusText);
+  // Send analysis right away so UI updates instantly
+  emit({ type: ANALYSIS_EVENTS.ANALYSIS, analysis });
 
-    if (!response.ok) {
-      // Get full error response text
-      const errorText = await response.text();
-      console.error('Vinegar API: API error response:', errorText);
+  // Tab went away - don't spend search quota on alternatives nobody will see
+  if (!isConnected) return;
 
-      // Try to parse as JSON
-      let errorData = {};
-      try {
-        errorData = JSON.parse(errorText);
-        console.error('Vinegar API: Parsed error:', errorData);
-      } catch (e) {
-        console.error('Vinegar API: Could not parse error as JSON');
-      }
+  const alternatives = await findAlternatives(request.productName, userPreferences, analysis, request.currentSite);
+  emit({ type: ANALYSIS_EVENTS.ALTERNATIVES, ...alternatives });
+  emit({ type: ANALYSIS_EVENTS.DONE });
+}
 
-      if (response.status === 429) {
-        throw new Error('API_RATE_LIMIT');
-      } else if (response.status === 401) {
-        throw new Error(`API_ERROR: 401 - Unauthorized. API key may be invalid or expired. Error: ${errorText}`);
-      } else {
-        throw new Error(`API_ERROR: ${response.status} - ${errorText}`);
-      }
-    }
+/**
+ * Find local and online alternatives in parallel
+ * @returns {Promise<Object>} { localAlternatives, onlineAlternatives, allAlternatives }
+ */
+async function findAlternatives(productName, userPreferences, analysis, currentSite) {
+  const supportLocal = userPreferences.supportLocal !== false;
+
+  const [localAlternatives, onlineAlternatives] = await Promise.all([
+    // Local alternatives
+    supportLocal
+      ? findLocalAlternatives(
+          analysis.productCategory,
+          userPreferences.location,
+          analysis,
+          currentSite
+        ).catch(err => {
+          console.error('Bramble: Google Places error:', err);
+          return [];
+        })
+      : Promise.resolve([]),
+
+    // Online alternatives
+    findSmallOnlineRetailers(
+      productName,
+      analysis.productCategory
+    ).catch(err => {
+      console.error('Bramble: Web search error:', err);
+      return [];
+    })
+  ]);
 
-    const data = await response.json();
-    console.log('Vinegar API: Raw response:', data);
+  console.log('Bramble: Found alternatives:', localAlternatives.length, 'local,', onlineAlternatives.length, 'online');
 
-    // Extract text from Claude's response
-    const text = data.content[0].text;
+  return {
+    localAlternatives,
+    onlineAlternatives,
+    allAlternatives: [...localAlternatives, ...onlineAlternatives]
+  };
+}
+
+/**
+ * Turn progress from the queued LLM request into status and partial-result events
+ * @param {Object|null} datasetMatch - Knowledge base match (its facts are known up front)
+ * @param {Object} userPreferences - Used to score the partial result
+ * @param {Object} ownershipGraph - Used for the avoid-list check
+ * @param {Object|null} listingSeller - classifyListingSeller() of the product page
+ * @param {string[]} suspicious - Instruction-like excerpts in the prompt inputs (see findInstructionEchoes)
+ * @param {Function} onEvent - Receives ANALYSIS_EVENTS
+ * @returns {Function} Progress listener for enqueueRequest
+ */
+function createPartialAnalysisReporter(datasetMatch, userPreferences, ownershipGraph, listingSeller, suspicious, onEvent) {
+  let lastFieldsKey = '';
+  let lastEmitAt = 0;
+
+  return (progress) => {
+    if (progress.stage) {
+      onEvent({ type: ANALYSIS_EVENTS.STATUS, stage: progress.stage });
+      return;
+    }
 
-    // Parse JSON, stripping markdown if present
-    const companyData = parseClaudeResponse(text);
+    const parsed = parsePartialJson(progress.text);
+    if (!parsed) return;
 
-    // Check if company is on user's avoid list (double-check client-side)
-    const avoidCheckResult = checkAvoidedBrands(companyData, userPreferences.avoidedBrands || []);
-    if (avoidCheckResult.isOnAvoidList) {
-      companyData.isOnAvoidList = true;
-      companyData.avoidReason = avoidCheckResult.reason;
+    // Show the impact explanation while it's still being written
+    const inProgress = parsePartialJson(progress.text, true);
+    if (typeof inProgress?.impactExplanation === 'string') {
+      parsed.impactExplanation = inProgress.impactExplanation;
     }
 
-    // Calculate alignment score using transparent algorithm
-    const scoreResult = calculateAlignmentScore(companyData, userPreferences);
+    const { data, validFields } = validateCompanyAnalysis(parsed);
+    if (!validFields.includes('parentCompany') && !datasetMatch) return; // Nothing worth showing yet
+    if (findInstructionEchoes(data, suspicious).length > 0) return; // Rejected once the reply is complete
+
+    // Re-render whenever a field completes; throttle text that is still growing
+    const fieldsKey = validFields.join(',');
+    const now = Date.now();
+    if (fieldsKey === lastFieldsKey && now - lastEmitAt < PARTIAL_EVENT_INTERVAL_MS) return;
+    lastFieldsKey = fieldsKey;
+    lastEmitAt = now;
+
+    const companyData = applyKnowledgeBaseFacts(data, datasetMatch);
+    onEvent({
+      type: ANALYSIS_EVENTS.PARTIAL,
+      analysis: buildAnalysis(companyData, userPreferences, ownershipGraph, listingSeller),
+      knownFields: [...new Set([...validFields, ...(datasetMatch ? KNOWLEDGE_BASE_FIELDS : [])])]
+    });
+  };
+}
 
-    // Combine company data with calculated score
-    const analysis = {
-      ...companyData,
-      alignmentScore: scoreResult.score,
-      scoreBreakdown: scoreResult.breakdown,
-      concerns: companyData.factualConcerns || [] // Map factualConcerns to concerns for compatibility
-    };
+/**
+ * Re-score a product from cached company facts without calling the API
+ * @returns {Promise<Object>} Analysis results, or { error: 'CACHE_MISS' }
+ */
+async function rescoreProduct(productName, userPreferences = {}, options = {}) {
+  const productDetails = options.productDetails || {};
+  const cacheKey = getProductCacheKey(productName, options.currentSite, options.productUrl, productDetails);
+  const cached = await getCachedCompanyData(cacheKey, getCacheOptions(userPreferences));
+
+  if (!cached) {
+    return { error: 'CACHE_MISS' };
+  }
 
-    console.log('Vinegar API: Parsed analysis:', analysis);
-    console.log('Vinegar API: Alignment score:', scoreResult.score, 'Breakdown:', scoreResult.breakdown);
-    if (analysis.isOnAvoidList) {
-      console.log('Vinegar API: ⚠️  AVOIDED BRAND DETECTED:', analysis.avoidReason);
+  console.log('Bramble: Re-scoring from cached company data for', cacheKey);
+  const datasetMatch = await lookupProductInKnowledgeBase(productName, productDetails.brand);
+  const companyData = await applyDatasetFacts(cached.companyData, datasetMatch);
+  return {
+    ...buildAnalysis(companyData, userPreferences, await loadOwnershipGraph(), classifyListingSeller(productDetails, options.currentSite)),
+    fromCache: true,
+    cachedAt: cached.cachedAt
+  };
+}
+
+/**
+ * Overlay bundled dataset facts on the LLM's facts
+ * Falls back to looking up the parent company the LLM named when the brand wasn't matched.
+ */
+async function applyDatasetFacts(aiFacts, datasetMatch) {
+  const match = datasetMatch || await lookupCompanyInKnowledgeBase(aiFacts.parentCompany);
+  return applyKnowledgeBaseFacts(aiFacts, match);
+}
+
+/**
+ * Fetch company facts for a product from the configured LLM provider
+ * @param {string} productName - Name of the product
+ * @param {Object} userPreferences - User's preferences (avoided brands, location, etc.)
+ * @param {Object|null} datasetMatch - Knowledge base match to tell the model about
+ * @param {Object} [productDetails] - Brand, identifiers, seller and breadcrumbs from the page
+ * @param {AbortSignal} [signal] - Aborts the API calls when the request is cancelled
+ * @param {Function} [onText] - Streams the first reply: called with the text received so far
+ * @returns {Promise<Object>} Parsed company data
+ */
+async function fetchCompanyData(productName, userPreferences = {}, datasetMatch = null, productDetails = {}, signal = undefined, onText = undefined) {
+  console.log('Vinegar API: Requesting company analysis for:', productName);
+
+  try {
+    const settings = await getSettings() || {};
+    const providerConfig = { ...getProviderConfig(settings, await getApiKeys()), signal };
+
+    // Build the prompt
+    const prompt = buildAnalysisPrompt(productName, userPreferences, datasetMatch, productDetails);
+
+    const text = await completePrompt(prompt, { ...providerConfig, onText });
+    console.log('Vinegar API: Raw response:', text);
+
+    // Parse and validate against the schema
+    let result = parseClaudeResponse(text);
+
+    // One repair round: send the validation errors back to the model
+    if (result.errors.length > 0) {
+      console.warn('Vinegar API: Response failed validation:', result.errors);
+
+      try {
+        const repairText = await completePrompt(buildRepairPrompt(prompt, text, result.errors), providerConfig);
+        console.log('Vinegar API: Repair response:', repairText);
+        result = mergeValidationResults(result, parseClaudeResponse(repairText));
+
+        if (result.errors.length > 0) {
+          console.warn('Vinegar API: Still invalid after repair, keeping valid fields:', result.errors);
+        }
+      } catch (error) {
+        // A cancelled analysis (tab closed or navigated away) stops here instead of salvaging
+        if (signal?.aborted || error.name === 'AbortError') throw error;
+        console.error('Vinegar API: Repair attempt failed, keeping valid fields:', error);
+      }
     }
 
-    return analysis;
+    // Without a parent company there's nothing to score - use the fallback
+    if (!result.data.parentCompany) {
+      throw new Error('PARSE_ERROR');
+    }
+
+    // Reject answers that repeat instruction-like text from the listing - it likely steered the model
+    const { suspicious } = sanitizePromptInputs(productName, userPreferences, productDetails);
+    const echoedFields = findInstructionEchoes(result.data, suspicious);
+    if (echoedFields.length > 0) {
+      console.warn('Vinegar API: Rejecting analysis that echoes instruction-like text in:', echoedFields);
+      throw new Error('INJECTION_DETECTED');
+    }
+
+    const companyData = result.data;
+
+    console.log('Vinegar API: Parsed company data:', companyData);
+
+    return companyData;
 
   } catch (error) {
     console.error('Vinegar API: Error during analysis:', error);
     console.error('Vinegar API: Error type:', error.name);
     console.error('Vinegar API: Error message:', error.message);
-
-    // Re-throw with more context if it's a generic fetch error
-    if (error.message === 'Failed to fetch') {
-      throw new Error('NETWORK_ERROR: Could not connect to Anthropic API. Check your internet connection.');
-    }
-
     throw error;
   }
 }
@@ -444,6 +838,14 @@ function determineSearchRadius(userLocation) {
   return 10000; // ~6 miles
 }
 
+/**
+ * Resolve direct keys or the Bramble server for the search APIs
+ */
+async function loadSearchConfig() {
+  const [settings, apiKeys] = await Promise.all([getSettings(), getApiKeys()]);
+  return getSearchConfig(settings || {}, apiKeys);
+}
+
 /**
  * Find real local alternatives using Google Places API (New)
  */
@@ -455,8 +857,9 @@ async function findLocalAlternatives(productCategory, userLocation, analysis, cu
     return [];
   }
 
-  if (!CONFIG.GOOGLE_PLACES_API_KEY) {
-    console.error('Google Places API key not configured');
+  const searchConfig = await loadSearchConfig();
+  if (!isSearchAvailable(searchConfig, 'googlePlaces')) {
+    console.log('Bramble: Google Places API key not configured, skipping local search');
     return [];
   }
 
@@ -471,7 +874,7 @@ async function findLocalAlternatives(productCategory, userLocation, analysis, cu
     const storeTypes = analysis.suggestedStoreTypes || [];
     for (const storeType of storeTypes.slice(0, 2)) {
       console.log('Strategy 1: Searching by store type:', storeType);
-      const places = await searchPlacesByType(userLocation, storeType, analysis.googlePlacesTypes, searchRadius);
+      const places = await searchPlacesByType(searchConfig, userLocation, storeType, analysis.googlePlacesTypes, searchRadius);
       addUniquePlaces(allPlaces, places, seenPlaceIds);
     }
 
@@ -479,14 +882,14 @@ async function findLocalAlternatives(productCategory, userLocation, analysis, cu
     const storeNames = analysis.suggestedStoreNames || [];
     for (const storeName of storeNames.slice(0, 2)) {
       console.log('Strategy 2: Searching by store name:', storeName);
-      const places = await searchPlacesByName(userLocation, storeName, searchRadius);
+      const places = await searchPlacesByName(searchConfig, userLocation, storeName, searchRadius);
       addUniquePlaces(allPlaces, places, seenPlaceIds);
     }
 
     // Strategy 3: Generic search by product category if we don't have enough
     if (allPlaces.length < 3 && productCategory) {
       console.log('Strategy 3: Generic search by category:', productCategory);
-      const places = await searchPlacesByType(userLocation, productCategory, ['store'], searchRadius);
+      const places = await searchPlacesByType(searchConfig, userLocation, productCategory, ['store'], searchRadius);
       addUniquePlaces(allPlaces, places, seenPlaceIds);
     }
 
@@ -505,9 +908,7 @@ async function findLocalAlternatives(productCategory, userLocation, analysis, cu
 /**
  * Search places by type/keyword
  */
-async function searchPlacesByType(userLocation, searchTerm, includedTypes = ['store'], searchRadius = 8000) {
-  const url = 'https://places.googleapis.com/v1/places:searchText';
-
+async function searchPlacesByType(searchConfig, userLocation, searchTerm, includedTypes = ['store'], searchRadius = 8000) {
   const requestBody = {
     textQuery: searchTerm,
     locationBias: {
@@ -523,15 +924,11 @@ async function searchPlacesByType(userLocation, searchTerm, includedTypes = ['st
   };
 
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Goog-Api-Key': CONFIG.GOOGLE_PLACES_API_KEY,
-        'X-Goog-FieldMask': 'places.displayName,places.formattedAddress,places.location,places.rating,places.id,places.types,places.businessStatus'
-      },
-      body: JSON.stringify(requestBody)
-    });
+    const response = await searchPlacesText(
+      requestBody,
+      'places.displayName,places.formattedAddress,places.location,places.rating,places.id,places.types,places.businessStatus',
+      searchConfig
+    );
 
     if (!response.ok) {
       console.error('Google Places API error:', response.status);
@@ -549,8 +946,8 @@ async function searchPlacesByType(userLocation, searchTerm, includedTypes = ['st
 /**
  * Search places by specific name
  */
-async function searchPlacesByName(userLocation, storeName, searchRadius = 8000) {
-  return await searchPlacesByType(userLocation, storeName, [], searchRadius);
+async function searchPlacesByName(searchConfig, userLocation, storeName, searchRadius = 8000) {
+  return await searchPlacesByType(searchConfig, userLocation, storeName, [], searchRadius);
 }
 
 /**
@@ -571,16 +968,20 @@ function addUniquePlaces(allPlaces, newPlaces, seenPlaceIds) {
 function filterAndScorePlaces(places, productCategory, analysis, currentSite = null) {
   const categoryLower = productCategory.toLowerCase();
   const currentSiteLower = currentSite ? currentSite.toLowerCase() : '';
+  const currentAdapter = findSiteAdapterByName(currentSite);
+  const currentRetailerNames = currentAdapter ? getRetailerStoreNames(currentAdapter) : [currentSiteLower].filter(Boolean);
 
   // Big box retailers to ALWAYS filter out (the whole point is avoiding these!)
-  const bigBoxRetailers = [
+  // Every retailer with a site adapter is added, so supporting a new site also filters its stores
+  const bigBoxRetailers = [...new Set([
     'walmart', 'target', 'best buy', 'bestbuy', 'amazon',
     'home depot', 'homedepot', "lowe's", 'lowes', 'costco',
     'sam\'s club', 'sams club', 'bj\'s', 'bjs wholesale',
     'kohls', "kohl's", 'jcpenney', 'jc penney', 'sears',
     'macy\'s', 'macys', 'dick\'s sporting goods', 'dicks sporting goods',
-    'staples', 'office depot', 'petsmart', 'petco', 'cvs', 'walgreens'
-  ];
+    'staples', 'office depot', 'petsmart', 'petco', 'cvs', 'walgreens',
+    ...SITE_ADAPTERS.flatMap(getRetailerStoreNames)
+  ])];
 
   // Irrelevant types to filter out
   const irrelevantTypes = [
@@ -616,7 +1017,7 @@ function filterAndScorePlaces(places, productCategory, analysis, currentSite = n
       // CRITICAL: Filter out current retailer (don't show Best Buy when on bestbuy.com)
       if (currentSiteLower) {
         const placeName = (place.displayName?.text || '').toLowerCase();
-        if (placeName.includes(currentSiteLower) || currentSiteLower.includes(placeName.split(' ')[0])) {
+        if (currentRetailerNames.some(name => placeName.includes(name)) || currentSiteLower.includes(placeName.split(' ')[0])) {
           console.log('Filtered out', place.displayName?.text, '- current retailer');
           return false;
         }
@@ -706,299 +1107,6 @@ function filterAndScorePlaces(places, productCategory, analysis, currentSite = n
     .sort((a, b) => b.relevanceScore - a.relevanceScore); // Sort by relevance
 }
 
-/**
- * Build analysis prompt for Claude
- */
-function buildAnalysisPrompt(productName, userPreferences) {
-  const avoidedBrands = userPreferences.avoidedBrands || [];
-  const location = userPreferences.location || null;
-
-  // Build detailed location context
-  let locationContext = 'Not provided';
-  if (location && location.lat && location.lon) {
-    locationContext = `${location.display} (${location.lat.toFixed(4)}, ${location.lon.toFixed(4)})`;
-  }
-
-  return `You are analyzing a product for shopping insights. The user is considering buying: "${productName}"
-
-User's context:
-- Brands to avoid: ${avoidedBrands.length > 0 ? avoidedBrands.join(', ') : 'None specified'}
-- Location: ${locationContext}
-
-${location ? `
-IMPORTANT: The user is in ${location.display}. Make your analysis location-aware:
-- Reference ${location.display}'s local economy in your impact explanation
-- Mention specific benefits to the ${location.display} area economy
-- Use real estimates: "keeps approximately $X in the local ${location.display} economy"
-- Be specific and local, not generic
-` : ''}
-
-Analyze this product and provide FACTUAL information (do NOT calculate a score):
-
-1. Parent company that manufactures or owns this product
-2. Company size category:
-   - "mega-corp" if revenue > $100B (Amazon, Walmart, Nestlé)
-   - "large-corp" if revenue $10B-$100B (Target, Nike)
-   - "medium-corp" if revenue $1B-$10B
-   - "small-business" if revenue < $1B or unknown
-3. Ownership type: "publicly-traded", "private-equity", "family-owned", "co-op", "b-corp"
-4. FACTUAL company practices with dates/sources (be specific and neutral!):
-   - Labor: "2021 warehouse worker strike", "2019 wage theft lawsuit"
-   - Environment: "2020 EPA violation fine", "2022 plastic pollution lawsuit"
-   - Competition: "2018 FTC antitrust investigation"
-   Only include documented, verifiable information with approximate dates
-5. Certifications: ["B-Corp", "Fair Trade", "Carbon Neutral"] or [] if none
-6. Product category (be VERY specific about the PRODUCT TYPE, not material):
-   - For "Leather Weekender Bag" → say "Travel Luggage" or "Weekender Bags"
-   - For "Stainless Steel Water Bottle" → say "Reusable Water Bottles"
-   - For "Cotton T-Shirt" → say "Apparel" or "Clothing"
-   - Focus on what the product IS, not what it's made of!
-7. Store types that would actually sell THIS PRODUCT (be precise!):
-   - For travel bags: "luggage store", "travel store", "department store"
-     NOT "leather goods store" or "furniture store"
-   - For water bottles: "sporting goods", "outdoor equipment", "target"
-     NOT "plumbing supply" or "kitchenware only"
-   - Think: WHERE would someone actually shop for this specific product?
-8. Brief, factual explanation of why someone might consider alternatives${location && location.display ? `
-   - Reference the user's specific location: "${location.display}"
-   - Use real estimates with dollar amounts
-   - Example: "In ${location.display}, local businesses recirculate 68% of revenue locally vs 43% for national chains"` : `
-   - Provide factual information about local business impact
-   - Use general estimates with dollar amounts
-   - Example: "Local businesses typically recirculate 68% of revenue locally vs 43% for national chains"`}
-
-Return ONLY valid JSON (no markdown, no code blocks):
-{
-  "parentCompany": "Company Name",
-  "companySize": "mega-corp|large-corp|medium-corp|small-business",
-  "ownershipType": "publicly-traded|private-equity|family-owned|co-op",
-  "factualConcerns": ["factual practice with date", "another practice"],
-  "certifications": [],
-  "productCategory": "specific category",
-  "subsidiaries": ["other brands owned by parent"],
-  "impactExplanation": "Factual, empowering explanation of choosing alternatives (2-3 sentences).",
-  "suggestedStoreTypes": ["specific store type"],
-  "suggestedStoreNames": ["chain name"],
-  "googlePlacesTypes": ["store"],
-  "isOnAvoidList": ${avoidedBrands.length > 0 ? `true if "${productName}" parent company "${'{parentCompany}'}" matches any of [${avoidedBrands.join(', ')}] (case-insensitive), else false` : 'false'},
-  "avoidReason": ${avoidedBrands.length > 0 ? '"You\'ve chosen to avoid [Brand Name]" if matched, else ""' : '""'}
-}
-
-${avoidedBrands.length > 0 ? `\nIMPORTANT: Check if parentCompany or any subsidiary matches these avoided brands (case-insensitive): ${avoidedBrands.join(', ')}` : ''}
-
-Important: Provide FACTS only. Be neutral and informative, not preachy. The alignment score will be calculated algorithmically.
-Return ONLY the JSON object, no other text.`;
-}
-
-/**
- * Check if company matches user's avoided brands
- */
-function checkAvoidedBrands(companyData, avoidedBrands) {
-  if (!avoidedBrands || avoidedBrands.length === 0) {
-    return { isOnAvoidList: false, reason: '' };
-  }
-
-  const companyName = (companyData.parentCompany || '').toLowerCase();
-  const subsidiaries = (companyData.subsidiaries || []).map(s => s.toLowerCase());
-
-  // Check parent company
-  for (const avoidedBrand of avoidedBrands) {
-    const brandLower = avoidedBrand.toLowerCase();
-    if (companyName.includes(brandLower) || brandLower.includes(companyName.split(' ')[0])) {
-      return {
-        isOnAvoidList: true,
-        reason: `You've chosen to avoid ${avoidedBrand}`
-      };
-    }
-
-    // Check subsidiaries
-    for (const subsidiary of subsidiaries) {
-      if (subsidiary.includes(brandLower) || brandLower.includes(subsidiary.split(' ')[0])) {
-        return {
-          isOnAvoidList: true,
-          reason: `Parent company of ${avoidedBrand} (which you've chosen to avoid)`
-        };
-      }
-    }
-  }
-
-  return { isOnAvoidList: false, reason: '' };
-}
-
-/**
- * Normalize string for comparison (remove accents, extra spaces, lowercase)
- */
-function normalizeForComparison(str) {
-  if (!str) return '';
-  return str
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '') // Remove accents
-    .replace(/[^a-z0-9\s]/g, '') // Remove special chars except spaces
-    .trim()
-    .replace(/\s+/g, ' '); // Collapse multiple spaces
-}
-
-/**
- * Check if two brand names match (flexible matching)
- */
-function brandsMatch(brand1, brand2) {
-  const norm1 = normalizeForComparison(brand1);
-  const norm2 = normalizeForComparison(brand2);
-
-  // Exact match after normalization
-  if (norm1 === norm2) return true;
-
-  // One contains the other (bidirectional)
-  if (norm1.includes(norm2) || norm2.includes(norm1)) return true;
-
-  // Check first significant word (e.g., "Nestle" matches "Nestle USA")
-  const words1 = norm1.split(' ').filter(w => w.length > 2);
-  const words2 = norm2.split(' ').filter(w => w.length > 2);
-
-  for (const word1 of words1) {
-    for (const word2 of words2) {
-      if (word1 === word2 && word1.length > 3) return true;
-    }
-  }
-
-  return false;
-}
-
-/**
- * Calculate alignment score based on transparent criteria
- */
-function calculateAlignmentScore(companyData, userPreferences) {
-  let score = 100; // Start with perfect score
-  const breakdown = [];
-
-  console.log('Bramble: Calculating alignment score');
-  console.log('Bramble: Company:', companyData.parentCompany);
-  console.log('Bramble: Avoided brands:', userPreferences.avoidedBrands);
-
-  // Company Size Penalty
-  const companySize = companyData.companySize?.toLowerCase() || '';
-  if (companySize.includes('mega') || companySize.includes('>100b')) {
-    score -= 15;
-    breakdown.push({ reason: 'Mega-corporation (>$100B revenue)', change: -15 });
-  } else if (companySize.includes('large') || companySize.includes('10b-100b')) {
-    score -= 10;
-    breakdown.push({ reason: 'Large corporation ($10B-$100B)', change: -10 });
-  } else if (companySize.includes('medium') || companySize.includes('1b-10b')) {
-    score -= 5;
-    breakdown.push({ reason: 'Medium corporation ($1B-$10B)', change: -5 });
-  } else if (companySize.includes('small') || companySize.includes('<1b')) {
-    score += 10;
-    breakdown.push({ reason: 'Small business (<$1B)', change: +10 });
-  }
-
-  // Ownership Structure
-  const ownership = companyData.ownershipType?.toLowerCase() || '';
-  if (ownership.includes('publicly-traded') && companySize.includes('mega')) {
-    score -= 10;
-    breakdown.push({ reason: 'Publicly traded mega-corp', change: -10 });
-  } else if (ownership.includes('private equity')) {
-    score -= 5;
-    breakdown.push({ reason: 'Private equity owned', change: -5 });
-  } else if (ownership.includes('family')) {
-    score += 10;
-    breakdown.push({ reason: 'Family-owned business', change: +10 });
-  } else if (ownership.includes('co-op') || ownership.includes('b-corp')) {
-    score += 15;
-    breakdown.push({ reason: 'Co-op or B-Corp structure', change: +15 });
-  }
-
-  // User's Avoided Brands (NUCLEAR PENALTY - essentially zero match)
-  const avoidedBrands = userPreferences.avoidedBrands || [];
-  const companyName = companyData.parentCompany || '';
-
-  for (const avoidedBrand of avoidedBrands) {
-    console.log(`Bramble: Checking if "${companyName}" matches avoided brand "${avoidedBrand}"`);
-
-    // Check parent company
-    if (brandsMatch(companyName, avoidedBrand)) {
-      const penalty = score - 5;
-      score = 5;
-      breakdown.push({ reason: `⛔ On your avoid list: ${avoidedBrand}`, change: -penalty });
-      console.log(`Bramble: 🚨 MATCH FOUND - Setting score to 5/100`);
-      break;
-    }
-
-    // Check subsidiaries
-    if (companyData.subsidiaries) {
-      for (const subsidiary of companyData.subsidiaries) {
-        if (brandsMatch(subsidiary, avoidedBrand)) {
-          const penalty = score - 10;
-          score = 10;
-          breakdown.push({ reason: `⛔ Parent company on avoid list: ${avoidedBrand}`, change: -penalty });
-          console.log(`Bramble: 🚨 SUBSIDIARY MATCH - Setting score to 10/100`);
-          break;
-        }
-      }
-    }
-  }
-
-  // Documented Issues
-  const concerns = companyData.factualConcerns || [];
-  let laborIssues = 0, envIssues = 0, antiCompetitive = 0, political = 0;
-
-  for (const concern of concerns) {
-    const concernLower = concern.toLowerCase();
-    if ((concernLower.includes('labor') || concernLower.includes('worker') || concernLower.includes('wage')) && laborIssues === 0) {
-      score -= 10;
-      laborIssues = 1;
-      breakdown.push({ reason: 'Documented labor concerns', change: -10 });
-    }
-    if ((concernLower.includes('environment') || concernLower.includes('pollution') || concernLower.includes('climate')) && envIssues === 0) {
-      score -= 10;
-      envIssues = 1;
-      breakdown.push({ reason: 'Environmental violations', change: -10 });
-    }
-    if ((concernLower.includes('monopoly') || concernLower.includes('anti-competitive') || concernLower.includes('antitrust')) && antiCompetitive === 0) {
-      score -= 5;
-      antiCompetitive = 1;
-      breakdown.push({ reason: 'Anti-competitive practices', change: -5 });
-    }
-    if ((concernLower.includes('political') || concernLower.includes('lobbying') || concernLower.includes('controversy')) && political === 0) {
-      score -= 5;
-      political = 1;
-      breakdown.push({ reason: 'Political controversies', change: -5 });
-    }
-  }
-
-  // Certifications (bonus points) - only if user prefers sustainable products
-  const sustainableProducts = userPreferences.sustainableProducts !== false; // Default true
-  if (sustainableProducts) {
-    const certifications = companyData.certifications || [];
-    for (const cert of certifications) {
-      const certLower = cert.toLowerCase();
-      if (certLower.includes('b-corp') || certLower.includes('b corp')) {
-        score += 15;
-        breakdown.push({ reason: 'B-Corp certified', change: +15 });
-      } else if (certLower.includes('fair trade')) {
-        score += 10;
-        breakdown.push({ reason: 'Fair Trade certified', change: +10 });
-      } else if (certLower.includes('carbon neutral') || certLower.includes('carbon-neutral')) {
-        score += 5;
-        breakdown.push({ reason: 'Carbon neutral commitment', change: +5 });
-      } else if (certLower.includes('living wage')) {
-        score += 10;
-        breakdown.push({ reason: 'Living wage employer', change: +10 });
-      }
-    }
-  }
-
-  // Clamp score between 0 and 100
-  const finalScore = Math.max(0, Math.min(100, score));
-
-  console.log('Bramble: Alignment score calculated:', finalScore, 'from', breakdown.length, 'factors');
-
-  return {
-    score: finalScore,
-    breakdown: breakdown
-  };
-}
-
 /**
  * Calculate location bonus for alternatives based on distance
  */
@@ -1016,120 +1124,6 @@ function calculateLocationBonus(distance) {
   }
 }
 
-/**
- * Parse Claude's response, stripping markdown if present
- */
-function parseClaudeResponse(text) {
-  try {
-    // Remove markdown code blocks if present
-    let cleanText = text.trim();
-
-    // Remove ```json and ``` markers
-    cleanText = cleanText.replace(/^```json\s*/i, '');
-    cleanText = cleanText.replace(/^```\s*/, '');
-    cleanText = cleanText.replace(/```\s*$/, '');
-
-    // Trim again
-    cleanText = cleanText.trim();
-
-    // Parse JSON
-    const parsed = JSON.parse(cleanText);
-
-    // Validate required fields
-    if (!parsed.parentCompany) {
-      throw new Error('Invalid response structure - missing parentCompany');
-    }
-
-    // Ensure arrays exist
-    parsed.factualConcerns = parsed.factualConcerns || [];
-    parsed.certifications = parsed.certifications || [];
-    parsed.subsidiaries = parsed.subsidiaries || [];
-    parsed.suggestedStoreTypes = parsed.suggestedStoreTypes || [];
-    parsed.suggestedStoreNames = parsed.suggestedStoreNames || [];
-    parsed.googlePlacesTypes = parsed.googlePlacesTypes || [];
-
-    // Set defaults for company data
-    parsed.companySize = parsed.companySize || 'unknown';
-    parsed.ownershipType = parsed.ownershipType || 'unknown';
-
-    // Validate and clean up data to catch hallucinations
-    validateAndCleanData(parsed);
-
-    return parsed;
-
-  } catch (error) {
-    console.error('Vinegar API: Failed to parse response:', error);
-    console.error('Vinegar API: Raw text:', text);
-    throw new Error('PARSE_ERROR');
-  }
-}
-
-/**
- * Validate data to catch potential hallucinations
- */
-function validateAndCleanData(data) {
-  const currentYear = new Date().getFullYear();
-
-  // Validate factual concerns for suspicious patterns
-  if (data.factualConcerns && Array.isArray(data.factualConcerns)) {
-    data.factualConcerns = data.factualConcerns.filter(concern => {
-      if (typeof concern !== 'string') return false;
-
-      // Check for year patterns (should be 1800-current year)
-      const yearMatch = concern.match(/\b(19|20)\d{2}\b/);
-      if (yearMatch) {
-        const year = parseInt(yearMatch[0]);
-        if (year < 1800 || year > currentYear) {
-          console.warn('Suspicious year in concern:', concern);
-          return false; // Filter out concerns with invalid dates
-        }
-      }
-
-      // Check for obvious placeholder or repetitive text
-      if (concern.includes('example') || concern.includes('placeholder')) {
-        console.warn('Placeholder text detected:', concern);
-        return false;
-      }
-
-      return true;
-    });
-  }
-
-  // Validate impactExplanation
-  if (data.impactExplanation && typeof data.impactExplanation === 'string') {
-    // Check for suspicious patterns
-    const words = data.impactExplanation.toLowerCase().split(/\s+/);
-    const uniqueWords = new Set(words);
-
-    // If more than 50% words are repeated, might be hallucination
-    if (words.length > 10 && uniqueWords.size / words.length < 0.5) {
-      console.warn('Suspicious repetitive text in impactExplanation');
-      data.impactExplanation = 'Exploring alternatives helps support diverse business ownership and strengthens local economies.';
-    }
-
-    // Check for year references in explanation
-    const yearMatch = data.impactExplanation.match(/\b(19|20)\d{2}\b/g);
-    if (yearMatch) {
-      for (const yearStr of yearMatch) {
-        const year = parseInt(yearStr);
-        if (year < 1800 || year > currentYear) {
-          console.warn('Suspicious year in impactExplanation:', yearStr);
-          // Don't completely reject, but log warning
-        }
-      }
-    }
-  }
-
-  // Ensure parent company name is reasonable (no special characters except &, -, .)
-  if (data.parentCompany && typeof data.parentCompany === 'string') {
-    if (!/^[a-zA-Z0-9\s&\-\.]+$/.test(data.parentCompany)) {
-      console.warn('Suspicious parent company name:', data.parentCompany);
-    }
-  }
-
-  return data;
-}
-
 /**
  * Find small online retailers using Brave Search API
  */
@@ -1137,7 +1131,8 @@ async function findSmallOnlineRetailers(productName, productCategory) {
   console.log('Searching for small online retailers:', productName);
 
   // Check if we have search API configured
-  if (!CONFIG.BRAVE_SEARCH_API_KEY || CONFIG.BRAVE_SEARCH_API_KEY === 'YOUR_BRAVE_SEARCH_API_KEY') {
+  const searchConfig = await loadSearchConfig();
+  if (!isSearchAvailable(searchConfig, 'braveSearch')) {
     console.log('Brave Search not configured, skipping online retailer search');
     return [];
   }
@@ -1146,14 +1141,7 @@ async function findSmallOnlineRetailers(productName, productCategory) {
     // Build search query to exclude mega-corps
     const searchQuery = `${productName} buy online -amazon -walmart -target -ebay -alibaba -aliexpress`;
 
-    const url = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(searchQuery)}&count=10`;
-
-    const response = await fetch(url, {
-      headers: {
-        'X-Subscription-Token': CONFIG.BRAVE_SEARCH_API_KEY
-      },
-      mode: 'cors'
-    });
+    const response = await searchWeb(searchQuery, 10, searchConfig);
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -1209,8 +1197,9 @@ async function findSmallOnlineRetailers(productName, productCategory) {
       // Extract business name from title (usually "Product - Store Name")
       const businessName = extractBusinessName(item.title, domain);
 
-      // Try to scrape price
-      const price = await scrapePriceFromPage(item.url);
+      // Try to scrape price (only from sites the extension has been granted access to)
+      const canReadPage = await hasOriginAccess(item.url);
+      const price = canReadPage ? await scrapePriceFromPage(item.url) : null;
 
       alternatives.push({
         name: businessName,
@@ -1219,7 +1208,7 @@ async function findSmallOnlineRetailers(productName, productCategory) {
         url: item.url,
         description: item.description,
         price: price,
-        priceDisplay: price || 'Visit site for pricing',
+        priceDisplay: price || (canReadPage ? 'Visit site for pricing' : 'Price unavailable - turn on Analyze Any Shop to check shop prices'),
         rating: 4.5, // Default (we don't have real ratings from search)
         availability: 'Check website',
         source: 'Web Search',
@@ -1272,18 +1261,32 @@ function extractBusinessName(title, domain) {
  * Check if domain is a mega-corporation
  */
 function isMegaCorp(domain) {
+  // Plus every retailer with a site adapter
   const MEGA_CORP_DOMAINS = [
     'amazon', 'walmart', 'target', 'bestbuy', 'ebay',
     'alibaba', 'aliexpress', 'wish', 'macys', 'kohls',
     'jcpenney', 'sears', 'costco', 'samsclub', 'bjs',
     'homedepot', 'lowes', 'staples', 'officedepot',
-    'petsmart', 'petco', 'cvs', 'walgreens', 'riteaid'
+    'petsmart', 'petco', 'cvs', 'walgreens', 'riteaid',
+    ...getRetailerDomainKeys()
   ];
 
   const domainLower = domain.toLowerCase();
   return MEGA_CORP_DOMAINS.some(mega => domainLower.includes(mega));
 }
 
+/**
+ * Whether the extension may fetch a page on this site
+ * All-sites access is optional (granted with "analyze any shop"), so small shops' pages usually aren't covered.
+ */
+async function hasOriginAccess(url) {
+  try {
+    return await chrome.permissions.contains({ origins: [`${new URL(url).origin}/*`] });
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Scrape price from a webpage
  */
@@ -1311,21 +1314,19 @@ async function scrapePriceFromPage(url) {
     // Method 1: Look for JSON-LD structured data (most reliable)
     const jsonLdMatches = html.match(/<script type="application\/ld\+json">(.*?)<\/script>/gs);
     if (jsonLdMatches) {
-      for (const match of jsonLdMatches) {
+      const blocks = jsonLdMatches.flatMap(match => {
         try {
-          const jsonStr = match.replace(/<script[^>]*>/, '').replace(/<\/script>/, '');
-          const data = JSON.parse(jsonStr);
-
-          // Check for Product schema
-          if (data['@type'] === 'Product' && data.offers) {
-            const price = data.offers.price || data.offers[0]?.price;
-            if (price) {
-              return `$${parseFloat(price).toFixed(2)}`;
-            }
-          }
+          return [JSON.parse(match.replace(/<script[^>]*>/, '').replace(/<\/script>/, ''))];
         } catch (e) {
-          // JSON parse error, continue
+          return []; // JSON parse error, skip this block
         }
+      });
+
+      // Product schema, including @graph and ProductGroup pages (see structured-data.js)
+      const product = findJsonLdProduct(blocks);
+      const offer = product ? getSchemaOffer(product) : null;
+      if (offer) {
+        return `$${offer.amount.toFixed(2)}`;
       }
     }
 
@@ -0,0 +1,245 @@
+/**
+ * Bramble Analysis Cache
+ * Persists parent-company facts in chrome.storage.local, keyed by product identity.
+ * Only the LLM-derived company data is cached - alignment scores depend on the
+ * user's settings and are recalculated from the cached facts on every request.
+ */
+
+const ANALYSIS_CACHE_KEY = 'analysisCache';
+
+// Defaults used when the user hasn't changed the cache settings
+const CACHE_DEFAULTS = {
+  ttlHours: 168, // 1 week
+  maxEntries: 200
+};
+
+// Per-request fields from the LLM that depend on the user, not the company
+const USER_SPECIFIC_FIELDS = ['isOnAvoidList', 'avoidReason'];
+
+// Tail of the queued cache updates (see queueAnalysisCacheUpdate)
+let analysisCacheQueue = Promise.resolve();
+
+/**
+ * Extract a retailer product identifier (ASIN, item ID, SKU) from a product URL
+ * @param {string} url - Product page URL
+ * @returns {Object|null} { type, value } or null if none found
+ */
+function extractProductIdFromUrl(url) {
+  if (!url) return null;
+
+  const patterns = [
+    { type: 'asin', regex: /\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?]|$)/i },
+    { type: 'walmart-item', regex: /walmart\.com\/ip\/(?:[^/]+\/)?(\d{5,})/i },
+    { type: 'target-tcin', regex: /target\.com\/.*\/A-(\d+)/i },
+    { type: 'bestbuy-sku', regex: /bestbuy\.com\/.*[?&]skuId=(\d+)/i },
+    { type: 'bestbuy-sku', regex: /bestbuy\.com\/site\/.*\/(\d{6,})\.p/i },
+    { type: 'bestbuy-sku', regex: /bestbuy\.com\/product\/[^/]+\/([A-Z0-9]+)(?:[/?]|$)/i },
+    { type: 'homedepot-item', regex: /homedepot\.com\/p\/(?:[^/]+\/)?(\d{9})(?:[/?]|$)/i },
+    { type: 'lowes-item', regex: /lowes\.com\/pd\/[^/]+\/(\d{6,})(?:[/?]|$)/i },
+    { type: 'costco-item', regex: /costco\.com\/.*\.product\.(\d+)\.html/i },
+    { type: 'wayfair-sku', regex: /wayfair\.com\/.*\/pdp\/[^/?]+-([a-z]{1,5}\d{3,})\.html/i },
+    { type: 'kroger-upc', regex: /kroger\.com\/p\/[^/]+\/(\d{13})(?:[/?]|$)/i }
+  ];
+
+  for (const { type, regex } of patterns) {
+    const match = url.match(regex);
+    if (match) {
+      return { type, value: match[1].toUpperCase() };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a product title so trivial differences map to the same cache key
+ */
+function normalizeProductTitle(title) {
+  if (!title) return '';
+  return title
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .substring(0, 120);
+}
+
+/**
+ * GTIN-14 form of a UPC/EAN/GTIN so the same product matches across retailers
+ * @returns {string|null} 14 digits, or null if it isn't a GTIN
+ */
+function normalizeGtin(gtin) {
+  const digits = String(gtin || '').replace(/\D/g, '');
+  return [8, 12, 13, 14].includes(digits.length) ? digits.padStart(14, '0') : null;
+}
+
+/**
+ * Build a stable cache key for a product
+ * Prefers a GTIN (shared across retailers), then retailer identifiers from the URL or the
+ * page, and falls back to normalized title plus site
+ * @param {string} productName - Product title
+ * @param {string} site - Retailer name (e.g., "Amazon")
+ * @param {string} url - Product page URL
+ * @param {Object} [productDetails] - { gtin, asin, sku } from the product record
+ * @returns {string} Cache key
+ */
+function getProductCacheKey(productName, site, url, productDetails = {}) {
+  const gtin = normalizeGtin(productDetails.gtin);
+  if (gtin) {
+    return `gtin:${gtin}`;
+  }
+
+  const productId = extractProductIdFromUrl(url);
+  if (productId) {
+    return `${productId.type}:${productId.value}`;
+  }
+
+  const siteKey = (site || 'unknown').toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (productDetails.asin) {
+    return `asin:${productDetails.asin.toUpperCase()}`;
+  }
+  if (productDetails.sku) {
+    return `${siteKey}-sku:${productDetails.sku.toUpperCase()}`;
+  }
+
+  return `title:${siteKey}:${normalizeProductTitle(productName)}`;
+}
+
+/**
+ * Resolve cache settings from the user's settings
+ */
+function getCacheOptions(userPreferences = {}) {
+  const ttlHours = Number(userPreferences.cacheTtlHours);
+  const maxEntries = Number(userPreferences.cacheMaxEntries);
+
+  return {
+    ttlMs: (ttlHours > 0 ? ttlHours : CACHE_DEFAULTS.ttlHours) * 60 * 60 * 1000,
+    maxEntries: maxEntries > 0 ? maxEntries : CACHE_DEFAULTS.maxEntries
+  };
+}
+
+/**
+ * Run a read-modify-write of the cache after the ones already queued
+ * The whole cache is one storage value, so two analyses finishing together would otherwise
+ * each write back the map they read and drop the other's entry.
+ * @param {Function} task - Async function that reads, changes and writes the cache
+ * @returns {Promise<*>} The task's result
+ */
+function queueAnalysisCacheUpdate(task) {
+  const run = analysisCacheQueue.then(task);
+  analysisCacheQueue = run.catch(() => {}); // A failed update doesn't block the next one
+  return run;
+}
+
+/**
+ * Read cached company data for a product
+ * @param {string} cacheKey - Key from getProductCacheKey
+ * @param {Object} options - { ttlMs }
+ * @returns {Promise<Object|null>} { companyData, cachedAt } or null on miss/expiry
+ */
+async function getCachedCompanyData(cacheKey, options) {
+  try {
+    return await queueAnalysisCacheUpdate(async () => {
+      const result = await chrome.storage.local.get(ANALYSIS_CACHE_KEY);
+      const cache = result[ANALYSIS_CACHE_KEY] || {};
+      const entry = cache[cacheKey];
+
+      if (!entry) {
+        return null;
+      }
+
+      if (Date.now() - entry.cachedAt > options.ttlMs) {
+        console.log('Bramble: Cache entry expired for', cacheKey);
+        delete cache[cacheKey];
+        await chrome.storage.local.set({ [ANALYSIS_CACHE_KEY]: cache });
+        return null;
+      }
+
+      // Touch entry for LRU ordering
+      entry.lastAccessedAt = Date.now();
+      await chrome.storage.local.set({ [ANALYSIS_CACHE_KEY]: cache });
+
+      return { companyData: entry.companyData, cachedAt: entry.cachedAt };
+    });
+  } catch (error) {
+    console.error('Bramble: Error reading analysis cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Store company data for a product, evicting least recently used entries over the cap
+ * @param {string} cacheKey - Key from getProductCacheKey
+ * @param {Object} companyData - Parsed company facts from the LLM
+ * @param {Object} options - { maxEntries }
+ */
+async function setCachedCompanyData(cacheKey, companyData, options) {
+  try {
+    await queueAnalysisCacheUpdate(async () => {
+      const result = await chrome.storage.local.get(ANALYSIS_CACHE_KEY);
+      const cache = result[ANALYSIS_CACHE_KEY] || {};
+
+      const facts = { ...companyData };
+      USER_SPECIFIC_FIELDS.forEach(field => delete facts[field]);
+
+      const now = Date.now();
+      cache[cacheKey] = {
+        companyData: facts,
+        cachedAt: now,
+        lastAccessedAt: now
+      };
+
+      // LRU eviction
+      const keys = Object.keys(cache);
+      if (keys.length > options.maxEntries) {
+        keys
+          .sort((a, b) => cache[a].lastAccessedAt - cache[b].lastAccessedAt)
+          .slice(0, keys.length - options.maxEntries)
+          .forEach(key => delete cache[key]);
+      }
+
+      await chrome.storage.local.set({ [ANALYSIS_CACHE_KEY]: cache });
+    });
+  } catch (error) {
+    console.error('Bramble: Error writing analysis cache:', error);
+  }
+}
+
+/**
+ * Remove cached analyses (one product, or everything)
+ * @param {string} [cacheKey] - Key to invalidate; omit to clear the whole cache
+ */
+async function invalidateAnalysisCache(cacheKey) {
+  try {
+    await queueAnalysisCacheUpdate(async () => {
+      if (!cacheKey) {
+        await chrome.storage.local.remove(ANALYSIS_CACHE_KEY);
+        return;
+      }
+
+      const result = await chrome.storage.local.get(ANALYSIS_CACHE_KEY);
+      const cache = result[ANALYSIS_CACHE_KEY] || {};
+      delete cache[cacheKey];
+      await chrome.storage.local.set({ [ANALYSIS_CACHE_KEY]: cache });
+    });
+  } catch (error) {
+    console.error('Bramble: Error invalidating analysis cache:', error);
+  }
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CACHE_DEFAULTS,
+    extractProductIdFromUrl,
+    normalizeProductTitle,
+    normalizeGtin,
+    getProductCacheKey,
+    getCacheOptions,
+    getCachedCompanyData,
+    setCachedCompanyData,
+    invalidateAnalysisCache
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Bramble Add-to-Cart Guard
+ * Opt-in (settings.cartGuard): when the product is a hard block on the avoid list,
+ * add-to-cart and buy-now clicks are held for an interstitial that offers alternatives,
+ * "buy anyway" and "remove from avoid list". Content script - the wiring lives in content.js,
+ * and each site adapter lists its retailer's cart buttons.
+ */
+
+// Under Node, pull in escapeHtml (the content scripts load sanitize.js first)
+if (typeof escapeHtml === 'undefined' && typeof require === 'function') {
+  var { escapeHtml } = require('./sanitize.js');
+}
+
+// What the user chose in the interstitial (recorded in impactData.cartGuard)
+const CART_GUARD_DECISIONS = {
+  alternative: 'alternative', // Opened one of the alternatives
+  keptLooking: 'keptLooking', // Closed the interstitial without buying
+  buyAnyway: 'buyAnyway',
+  removed: 'removed' // Took the brand off the avoid list and continued
+};
+
+const CART_GUARD_LIMITS = {
+  maxAlternatives: 3, // Shown in the interstitial
+  maxHistory: 50 // Decisions kept in impactData.history
+};
+
+const CART_GUARD_OVERLAY_ID = 'bramble-cart-guard';
+
+/**
+ * The add-to-cart or buy-now button a click landed on, if any
+ * @param {Element} target - Click target
+ * @param {Object|null} adapter - Site adapter for this page (its cartButtons selectors)
+ * @returns {Element|null}
+ */
+function findCartButton(target, adapter) {
+  if (!target || typeof target.closest !== 'function') return null;
+  if (!adapter || !adapter.cartButtons || adapter.cartButtons.length === 0) return null;
+
+  return target.closest(adapter.cartButtons.join(', '));
+}
+
+/**
+ * Whether a click should be held for the interstitial
+ * Only hard blocks are guarded; warn and lower-score entries never interrupt checkout.
+ */
+function shouldGuardCart(analysis) {
+  return Boolean(analysis && analysis.isOnAvoidList && (analysis.avoidSeverity || 'block') === 'block');
+}
+
+/**
+ * Interstitial markup
+ * @param {Object} analysis - Current analysis (avoidedBrand fields set)
+ * @param {Array} alternatives - Ranked alternatives from the side panel
+ * @returns {string} HTML for the overlay's inner content
+ */
+function buildCartGuardHTML(analysis, alternatives) {
+  const brand = analysis.avoidChain?.[analysis.avoidChain.length - 1] || analysis.parentCompany || 'This brand';
+  const canRemove = analysis.avoidChain && analysis.avoidChain.length > 0;
+
+  const alternativesHTML = alternatives.slice(0, CART_GUARD_LIMITS.maxAlternatives).map((alt, index) => {
+    const detail = alt.distanceLabel || alt.typeLabel || (alt.price ? String(alt.price) : '');
+    return `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; padding: 8px 0; border-bottom: 1px solid #e8ebe0;">
+        <div style="min-width: 0;">
+          <div style="font-size: 14px; font-weight: 600; color: #2d4a2b;">${escapeHtml(alt.name)}</div>
+          ${detail ? `<div style="font-size: 12px; color: #6b8e5f;">${escapeHtml(detail)}</div>` : ''}
+        </div>
+        <button data-guard-alternative="${index}" style="flex-shrink: 0; padding: 6px 12px; background: #7ba05b; color: white; border: none; border-radius: 6px; font-size: 12px; font-weight: 600; cursor: pointer;">View</button>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div role="dialog" aria-modal="true" aria-labelledby="bramble-cart-guard-title" style="background: white; border-radius: 12px; max-width: 420px; width: calc(100% - 32px); padding: 20px; box-shadow: 0 12px 40px rgba(0, 0, 0, 0.3); font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+      <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+        <span style="font-size: 24px;">⛔</span>
+        <span id="bramble-cart-guard-title" style="font-size: 16px; font-weight: 700; color: #c0392b;">${escapeHtml(brand)} is on your avoid list</span>
+      </div>
+      <div style="font-size: 13px; color: #444; line-height: 1.4; margin-bottom: 8px;">
+        ${escapeHtml(analysis.avoidReason || "This product is from a brand you've chosen to avoid.")}
+      </div>
+      ${analysis.avoidNote ? `<div style="font-size: 12px; color: #666; font-style: italic; margin-bottom: 8px;">${analysis.avoidList ? 'List note' : 'Your note'}: ${escapeHtml(analysis.avoidNote)}</div>` : ''}
+      ${analysis.avoidList ? `<div style="font-size: 11px; color: #888; margin-bottom: 8px;">From list: ${escapeHtml(analysis.avoidList)}</div>` : ''}
+      <div style="margin: 12px 0;">
+        <div style="font-size: 12px; font-weight: 600; color: #6b8e5f; margin-bottom: 4px;">🌱 Alternatives</div>
+        ${alternativesHTML || '<div style="font-size: 12px; color: #666; padding: 8px 0;">Alternatives are still loading - open the Bramble panel to see them.</div>'}
+      </div>
+      <div style="display: flex; flex-direction: column; gap: 8px; margin-top: 16px;">
+        <button data-guard-action="${CART_GUARD_DECISIONS.keptLooking}" style="padding: 10px; background: #7ba05b; color: white; border: none; border-radius: 8px; font-size: 14px; font-weight: 600; cursor: pointer;">Keep looking</button>
+        <button data-guard-action="${CART_GUARD_DECISIONS.buyAnyway}" style="padding: 10px; background: #e8ebe0; color: #2d4a2b; border: none; border-radius: 8px; font-size: 13px; cursor: pointer;">Buy anyway</button>
+        ${canRemove ? `<button data-guard-action="${CART_GUARD_DECISIONS.removed}" style="padding: 6px; background: none; color: #6b8e5f; border: none; font-size: 12px; text-decoration: underline; cursor: pointer;">Remove ${escapeHtml(brand)} from my avoid list and continue</button>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CART_GUARD_DECISIONS,
+    CART_GUARD_LIMITS,
+    CART_GUARD_OVERLAY_ID,
+    findCartButton,
+    shouldGuardCart,
+    buildCartGuardHTML
+  };
+}
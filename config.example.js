@@ -1,8 +0,0 @@
-/**
- * Bramble Configuration Template
- * Copy this file to config.js and add your actual API key.
- */
-
-const CONFIG = {
-  ANTHROPIC_API_KEY: "your-api-key-here"
-};
@@ -8,280 +8,63 @@ let isPanelInjected = false;
 let productData = null;
 let userLocation = null;
 let currentAlternatives = [];
+let realAlternatives = []; // Alternatives from the last analysis, before ranking
+let alternativeRanking = DEFAULT_RANKING; // Active profile's ranking preferences
 let map = null;
 let isMapVisible = false;
+let analysisPort = null; // Port streaming the current analysis
+let currentAnalysis = null; // Latest analysis of this page's product (used by the cart guard)
+let cartGuardEnabled = false; // settings.cartGuard
+let cartGuardAllowedUrl = null; // Page the user chose to buy from anyway
+let currentPageUrl = location.href; // Last URL checked for a product (single-page shops change it in place)
+let productCheckId = 0; // Latest checkForProduct run - older runs drop their result
+let panelInjection = null; // Pending injectSidePanel, so a quick navigation can't add a second panel
+
+// Fired on window by history-hooks.js (page world) on every pushState / replaceState
+const HISTORY_CHANGE_EVENT = 'bramble:historychange';
 
 // Check if Leaflet loaded
 console.log('Bramble: Content script loaded, Leaflet available:', typeof L !== 'undefined');
 
 /**
- * Listen for alternatives from background script
+ * Listen for settings changes from the background script
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'alternativesReady') {
-    console.log('Bramble: Alternatives ready:', message.allAlternatives.length, 'total');
-    if (message.allAlternatives && message.allAlternatives.length > 0) {
-      displayRealAlternatives(message.allAlternatives, []);
-    }
-  }
-});
-
-/**
- * Detect which site we're on and extract product information
- */
-async function detectAndExtractProduct() {
-  const hostname = window.location.hostname;
-  let data = null;
-
-  if (hostname.includes('amazon.com')) {
-    data = extractAmazonProduct();
-  } else if (hostname.includes('walmart.com')) {
-    data = extractWalmartProduct();
-  } else if (hostname.includes('target.com')) {
-    data = extractTargetProduct();
-  } else if (hostname.includes('bestbuy.com')) {
-    // Best Buy uses React - need to wait for content to load
-    data = await waitForBestBuyProduct();
-  }
-
-  return data;
-}
-
-/**
- * Extract product data from Amazon
- */
-function extractAmazonProduct() {
-  // Try multiple selectors for title (Amazon has different layouts)
-  const titleSelectors = [
-    '#productTitle',
-    '#title',
-    'span[data-a-size="large"]',
-    'h1.product-title',
-    'h1 span#productTitle'
-  ];
-
-  let titleElement = null;
-  for (const selector of titleSelectors) {
-    titleElement = document.querySelector(selector);
-    if (titleElement && titleElement.textContent.trim()) break;
-  }
-
-  if (!titleElement || !titleElement.textContent.trim()) {
-    console.log('Bramble: Could not find Amazon product title');
-    return null;
-  }
-
-  // Try multiple selectors for price
-  const priceSelectors = [
-    '.a-price .a-offscreen',
-    '#priceblock_ourprice',
-    '#priceblock_dealprice',
-    '.a-price-whole',
-    'span.a-price > span.a-offscreen',
-    '#corePrice_feature_div .a-offscreen',
-    '.priceToPay .a-offscreen'
-  ];
-
-  let priceElement = null;
-  for (const selector of priceSelectors) {
-    priceElement = document.querySelector(selector);
-    if (priceElement && priceElement.textContent.trim()) break;
-  }
-
-  const productName = titleElement.textContent.trim();
-  const productPrice = priceElement ? priceElement.textContent.trim() : 'Price not available';
-
-  console.log('Bramble: Extracted Amazon product:', { productName, productPrice });
-
-  return {
-    name: productName,
-    price: productPrice,
-    site: 'Amazon',
-    url: window.location.href
-  };
-}
-
-/**
- * Extract product data from Walmart
- */
-function extractWalmartProduct() {
-  const titleElement = document.querySelector('[itemprop="name"], h1[data-automation-id="product-title"]');
-  const priceElement = document.querySelector('[itemprop="price"], [data-automation-id="product-price"]');
-
-  if (!titleElement) return null;
-
-  return {
-    name: titleElement.textContent.trim(),
-    price: priceElement ? priceElement.textContent.trim() : 'Price not available',
-    site: 'Walmart',
-    url: window.location.href
-  };
-}
-
-/**
- * Extract product data from Target
- */
-function extractTargetProduct() {
-  const titleElement = document.querySelector('[data-test="product-title"], h1[class*="Title"]');
-  const priceElement = document.querySelector('[data-test="product-price"]');
-
-  if (!titleElement) return null;
-
-  return {
-    name: titleElement.textContent.trim(),
-    price: priceElement ? priceElement.textContent.trim() : 'Price not available',
-    site: 'Target',
-    url: window.location.href
-  };
-}
-
-/**
- * Extract product data from Best Buy (with retry logic for React)
- */
-function extractBestBuyProduct() {
-  // First, validate we're on a product page via URL
-  // Best Buy URLs: /product/product-name/SKU (e.g., /product/energizer-max-9v-batteries/J78676CL43)
-  const url = window.location.pathname;
-  const isProductPage = /\/product\/[^\/]+\/[A-Z0-9]+/.test(url);
-
-  if (!isProductPage) {
-    console.log('Bramble: Not a Best Buy product page (URL check failed for:', url);
-    return null;
-  }
-
-  console.log('Bramble: Best Buy product page detected via URL:', url);
-
-  // Debug: Log what elements are available
-  console.log('Bramble: All H1s on page:', document.querySelectorAll('h1'));
-  console.log('Bramble: All price elements:', document.querySelectorAll('[class*="price"]'));
-
-  // Try multiple selectors for title (Best Buy's current structure)
-  const titleSelectors = [
-    'h1.heading-5.v-fw-regular',  // Current Best Buy selector
-    'h1.heading-5',
-    '.sku-title h1',
-    'h1[class*="heading"]',
-    'div[class*="sku-title"] h1',
-    'h1[data-testid="product-title"]',
-    '.product-title h1'
-  ];
-
-  let titleElement = null;
-  for (const selector of titleSelectors) {
-    titleElement = document.querySelector(selector);
-    if (titleElement && titleElement.textContent.trim()) {
-      console.log(`Bramble: Found title with selector: ${selector}`);
-      break;
-    }
-  }
-
-  // Fallback: try any h1
-  if (!titleElement || !titleElement.textContent.trim()) {
-    console.log('Bramble: Trying fallback - any h1');
-    const allH1s = document.querySelectorAll('h1');
-    for (const h1 of allH1s) {
-      if (h1.textContent.trim().length > 10) { // Reasonable title length
-        titleElement = h1;
-        console.log('Bramble: Found title using h1 fallback');
-        break;
-      }
-    }
+  // Re-score the current product instantly when the user changes settings
+  if (message.type === 'SETTINGS_UPDATED') {
+    cartGuardEnabled = message.data?.cartGuard === true;
   }
 
-  if (!titleElement || !titleElement.textContent.trim()) {
-    console.log('Bramble: Could not find Best Buy product title');
-    console.log('Bramble: This might be a React loading issue - product may not be loaded yet');
-    return null;
+  if (message.type === 'SETTINGS_UPDATED' && isPanelInjected && productData) {
+    rescoreCurrentProduct();
+    loadProfileSwitcher();
   }
 
-  // Try multiple selectors for price
-  const priceSelectors = [
-    '.priceView-hero-price.priceView-customer-price span[aria-hidden="true"]',
-    '.priceView-hero-price span[aria-hidden="true"]',
-    '[class*="priceView-customer-price"] span[aria-hidden="true"]',
-    '[data-testid="customer-price"]',
-    '.priceView-customer-price',
-    '.pricing-price__regular-price',
-    'div[class*="priceView"] span[aria-hidden="true"]',
-    '[class*="priceView"] [class*="priceView-customer-price"]',
-    'div[data-testid="pricing"] span'
-  ];
-
-  let priceElement = null;
-  for (const selector of priceSelectors) {
-    priceElement = document.querySelector(selector);
-    if (priceElement && priceElement.textContent.trim()) {
-      console.log(`Bramble: Found price with selector: ${selector}`);
-      break;
-    }
-  }
-
-  // Fallback 1: try any element with "price" in class that looks like a price
-  if (!priceElement || !priceElement.textContent.trim()) {
-    console.log('Bramble: Trying fallback 1 - any price element with $');
-    const allPrices = document.querySelectorAll('[class*="price"]');
-    for (const priceEl of allPrices) {
-      const text = priceEl.textContent.trim();
-      // Look for "$XX.XX" or "$X,XXX.XX" format
-      if (/\$[\d,]+\.?\d*/.test(text) && text.length < 30) {
-        priceElement = priceEl;
-        console.log('Bramble: Found price using fallback 1:', text);
-        break;
-      }
-    }
+  // In-page navigation seen by the background worker (webNavigation)
+  if (message.type === 'HISTORY_STATE_UPDATED') {
+    handleLocationChange();
   }
-
-  // Fallback 2: search entire page for price-like patterns
-  if (!priceElement || !priceElement.textContent.trim()) {
-    console.log('Bramble: Trying fallback 2 - searching all elements for price pattern');
-    const allElements = document.querySelectorAll('span, div');
-    for (const el of allElements) {
-      const text = el.textContent.trim();
-      // Very specific: starts with $, followed by digits, possibly comma, possibly decimal
-      if (/^\$[\d,]+\.?\d*$/.test(text) && text.length < 15 && parseFloat(text.replace(/[$,]/g, '')) > 10) {
-        priceElement = el;
-        console.log('Bramble: Found price using fallback 2:', text);
-        break;
-      }
-    }
-  }
-
-  const productName = titleElement.textContent.trim();
-  const productPrice = priceElement ? priceElement.textContent.trim() : 'Price not available';
-
-  console.log('Bramble: Extracted Best Buy product:', { productName, productPrice });
-
-  return {
-    name: productName,
-    price: productPrice,
-    site: 'Best Buy',
-    url: window.location.href
-  };
-}
+});
 
 /**
- * Wait for Best Buy product to load (React app)
+ * Detect which site we're on and extract product information (see site-adapters.js)
+ * Falls back to the page's structured data (see structured-data.js) on shops without an
+ * adapter and on retailer pages the adapter's selectors miss; details the adapter didn't
+ * find (brand, GTIN, image...) are filled in from it too.
+ * @param {string|null} [staleName] - Product shown before an in-page navigation (waited out while it's still on screen)
  */
-async function waitForBestBuyProduct(maxAttempts = 10, delayMs = 500) {
-  console.log('Bramble: Waiting for Best Buy product to load...');
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    console.log(`Bramble: Attempt ${attempt}/${maxAttempts}`);
-
-    const product = extractBestBuyProduct();
-    if (product) {
-      console.log('Bramble: Product found!');
-      return product;
-    }
-
-    // Wait before next attempt
-    if (attempt < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, delayMs));
+async function detectAndExtractProduct(staleName = null) {
+  const adapter = findSiteAdapter(window.location.hostname);
+  if (adapter) {
+    const product = await waitForAdapterProduct(adapter, document, window.location, { staleName });
+    // Checked after the adapter finishes waiting, so slow pages aren't reported as broken
+    if (isAdapterProductPage(adapter, window.location.pathname)) {
+      recordSelectorHealth(checkSelectorHealth(adapter, document));
     }
+    if (product) return mergeStructuredDetails(product, extractStructuredProduct(document, window.location));
   }
 
-  console.log('Bramble: Failed to find Best Buy product after', maxAttempts, 'attempts');
-  return null;
+  return extractStructuredProduct(document, window.location);
 }
 
 /**
@@ -304,6 +87,7 @@ async function injectSidePanel(data) {
         userLocation = settings.settings.location;
         console.log('Bramble: User location loaded:', userLocation);
       }
+      cartGuardEnabled = settings.settings?.cartGuard === true;
     } else {
       console.warn('Bramble: chrome.storage not available, skipping location load');
     }
@@ -326,9 +110,6 @@ async function injectSidePanel(data) {
 
     console.log('Bramble: Panel HTML injected');
 
-    // Wait a moment for DOM to settle
-    await new Promise(resolve => setTimeout(resolve, 100));
-
     // Setup toggle button
     const toggleBtn = document.getElementById('vinegar-toggle');
     if (toggleBtn) {
@@ -338,6 +119,22 @@ async function injectSidePanel(data) {
       console.error('Bramble: Toggle button not found!');
     }
 
+    // Value profile switcher
+    loadProfileSwitcher();
+    document.getElementById('value-profile-select')?.addEventListener('change', (e) => {
+      switchValueProfile(e.target.value);
+    });
+
+    // Setup re-analyze button (bypasses the analysis cache)
+    const reanalyzeBtn = document.getElementById('reanalyze-btn');
+    if (reanalyzeBtn) {
+      reanalyzeBtn.addEventListener('click', () => {
+        if (productData) {
+          analyzeProductWithAPI(productData, { skipCache: true });
+        }
+      });
+    }
+
     // Initialize panel content with product data
     initializePanelContent(data);
 
@@ -357,6 +154,55 @@ async function injectSidePanel(data) {
   }
 }
 
+/**
+ * Show a different product in the existing panel (in-page navigation on single-page shops)
+ * The panel keeps its open/closed state and listeners; everything about the old product is reset.
+ */
+function updatePanelProduct(data) {
+  console.log('Bramble: Updating panel for new product:', data);
+  productData = data;
+  currentAnalysis = null;
+  currentAlternatives = [];
+  realAlternatives = [];
+  resetMap();
+
+  const cacheStatus = document.getElementById('analysis-cache-status');
+  if (cacheStatus) cacheStatus.textContent = '';
+
+  initializePanelContent(data);
+
+  chrome.runtime.sendMessage({
+    type: 'PRODUCT_DETECTED',
+    data: data
+  }).catch(err => {
+    console.log('Bramble: Could not send message to background:', err);
+  });
+}
+
+/**
+ * Take the panel off the page (navigated in place to a page without a product)
+ */
+function removeSidePanel() {
+  if (analysisPort) {
+    analysisPort.disconnect();
+    analysisPort = null;
+  }
+  resetMap();
+  document.getElementById('vinegar-sidepanel-container')?.remove();
+
+  isPanelInjected = false;
+  productData = null;
+  currentAnalysis = null;
+}
+
+/**
+ * Whether two extractions are the same product (replaceState often only changes tracking parameters)
+ */
+function isSameProduct(a, b) {
+  return a.name === b.name && a.site === b.site &&
+    JSON.stringify(getProductDetails(a)) === JSON.stringify(getProductDetails(b));
+}
+
 /**
  * Toggle panel open/closed
  */
@@ -385,6 +231,47 @@ function togglePanel() {
   }
 }
 
+// Labels for the product details list, in display order
+const PRODUCT_DETAIL_LABELS = {
+  brand: 'Brand',
+  model: 'Model',
+  asin: 'ASIN',
+  gtin: 'UPC/GTIN',
+  sku: 'Item #',
+  seller: 'Sold by',
+  shipsFrom: 'Ships from'
+};
+
+/**
+ * Show the product's image, category trail and details (brand, identifiers, seller)
+ */
+function renderProductDetails(data) {
+  const imageEl = document.querySelector('#product-info .product-image');
+  const breadcrumbsEl = document.querySelector('#product-info .product-breadcrumbs');
+  const detailsEl = document.querySelector('#product-info .product-details');
+
+  if (imageEl) {
+    if (data.image) {
+      imageEl.src = data.image;
+      imageEl.alt = data.name;
+      imageEl.style.display = '';
+    } else {
+      imageEl.style.display = 'none';
+    }
+  }
+
+  const details = getProductDetails(data);
+  if (breadcrumbsEl) {
+    breadcrumbsEl.textContent = (details.breadcrumbs || []).join(' › ');
+  }
+  if (detailsEl) {
+    detailsEl.innerHTML = Object.keys(PRODUCT_DETAIL_LABELS)
+      .filter(field => details[field])
+      .map(field => `<dt>${PRODUCT_DETAIL_LABELS[field]}</dt><dd>${escapeHtml(details[field])}</dd>`)
+      .join('');
+  }
+}
+
 /**
  * Initialize panel content with product data
  */
@@ -407,9 +294,10 @@ function initializePanelContent(data) {
     console.log('Bramble: Set product price:', data.price);
   }
   if (productSiteEl) {
-    productSiteEl.innerHTML = `<span class="site-badge">${data.site}</span>`;
+    productSiteEl.innerHTML = `<span class="site-badge">${escapeHtml(data.site)}</span>`;
     console.log('Bramble: Set product site:', data.site);
   }
+  renderProductDetails(data);
 
   // Start API analysis (async)
   analyzeProductWithAPI(data);
@@ -419,91 +307,305 @@ function initializePanelContent(data) {
 }
 
 /**
- * Analyze product using Claude API
+ * Load the user's preferences to send along with analysis requests
  */
-async function analyzeProductWithAPI(data) {
-  console.log('Bramble: Starting API analysis');
+async function getUserPreferences() {
+  // Defaults (with safety check for chrome.storage)
+  let userPreferences = {
+    avoidedBrands: [],
+    location: null,
+    supportLocal: true,
+    sustainableProducts: true,
+    ranking: DEFAULT_RANKING
+  };
+
+  if (chrome?.storage?.sync) {
+    const settings = await chrome.storage.sync.get('settings');
+    userPreferences = {
+      avoidedBrands: settings.settings?.avoidedBrands || [],
+      location: settings.settings?.location || null,
+      supportLocal: settings.settings?.supportLocal !== false,
+      sustainableProducts: settings.settings?.sustainableProducts !== false,
+      cacheTtlHours: settings.settings?.cacheTtlHours,
+      unsourcedConcerns: settings.settings?.unsourcedConcerns || 'flag',
+      scoring: settings.settings?.scoring || null,
+      ranking: normalizeRanking(settings.settings?.ranking)
+    };
+  }
+
+  return userPreferences;
+}
+
+/**
+ * Analyze product, streaming results from the background worker over a port
+ * @param {Object} data - Product data from the extractor
+ * @param {Object} options - { skipCache } to force a fresh analysis
+ */
+async function analyzeProductWithAPI(data, options = {}) {
+  console.log('Bramble: Starting API analysis', options.skipCache ? '(skipping cache)' : '');
 
   // Show loading state
   showAnalysisLoading(true);
+  setReanalyzeEnabled(false);
 
-  try {
-    // Get user preferences (with safety check)
-    let userPreferences = {
-      avoidedBrands: [],
-      location: null,
-      supportLocal: true,
-      sustainableProducts: true
-    };
+  // One port per analysis - stop listening to any earlier one
+  if (analysisPort) {
+    analysisPort.disconnect();
+    analysisPort = null;
+  }
 
-    if (chrome?.storage?.sync) {
-      const settings = await chrome.storage.sync.get('settings');
-      userPreferences = {
-        avoidedBrands: settings.settings?.avoidedBrands || [],
-        location: settings.settings?.location || null,
-        supportLocal: settings.settings?.supportLocal !== false,
-        sustainableProducts: settings.settings?.sustainableProducts !== false
-      };
-    }
+  try {
+    const userPreferences = await getUserPreferences();
+    alternativeRanking = userPreferences.ranking;
+
+    // Analysis runs in the background script (avoids CORS issues)
+    const port = chrome.runtime.connect({ name: ANALYSIS_PORT_NAME });
+    analysisPort = port;
+    let hasResult = false;
+
+    port.onMessage.addListener((event) => {
+      if (analysisPort !== port) return;
+
+      switch (event.type) {
+        case ANALYSIS_EVENTS.STATUS:
+          updateAnalysisStatus(event.stage);
+          break;
+
+        case ANALYSIS_EVENTS.PARTIAL:
+          showPartialAnalysis(normalizeAnalysisResult(event.analysis), event.knownFields || []);
+          break;
+
+        case ANALYSIS_EVENTS.ANALYSIS: {
+          hasResult = true;
+          showAnalysisLoading(false);
+          setReanalyzeEnabled(true);
+
+          // Update UI with company analysis immediately - alternatives follow on the same port
+          const analysis = normalizeAnalysisResult(event.analysis);
+          currentAnalysis = analysis;
+          updateCompanyAnalysis(analysis);
+          updateCacheStatus(analysis);
+          updateCostBenefitAnalysis(analysis.impactExplanation || 'Exploring alternatives helps support diverse business ownership and local economies.');
+
+          console.log('Bramble: Company analysis complete - alternatives loading in background');
+          break;
+        }
 
-    // Call API via background script (avoids CORS issues)
-    chrome.runtime.sendMessage({
-      action: 'analyzeProduct',
-      productName: data.name,
-      currentSite: data.site, // Pass current site to filter it from alternatives
-      userPreferences: userPreferences
-    }, (response) => {
-      showAnalysisLoading(false);
-
-      if (chrome.runtime.lastError) {
-        console.error('Bramble: Runtime error:', chrome.runtime.lastError);
-        showAnalysisError('Unable to analyze product. Please try again later.');
-        const fallback = getFallbackAnalysis(data.name);
-        updateCompanyAnalysis(fallback);
-        updateCostBenefitAnalysis(fallback.costBenefitAnalysis);
-        return;
+        case ANALYSIS_EVENTS.ALTERNATIVES:
+          console.log('Bramble: Alternatives ready:', (event.allAlternatives || []).length, 'total');
+          if (event.allAlternatives && event.allAlternatives.length > 0) {
+            displayRealAlternatives(event.allAlternatives, []);
+          }
+          break;
+
+        case ANALYSIS_EVENTS.ERROR:
+          hasResult = true;
+          handleAnalysisError(event.error, data);
+          break;
+
+        case ANALYSIS_EVENTS.DONE:
+          port.disconnect();
+          analysisPort = null;
+          break;
       }
+    });
 
-      if (response.error) {
-        console.error('Bramble: API analysis failed:', response.error);
-
-        // Show appropriate error message
-        if (response.error === 'API_RATE_LIMIT') {
-          showAnalysisError('Too many requests. Please try again in a moment.');
-        } else if (response.error === 'PARSE_ERROR') {
-          showAnalysisError('Unable to analyze product. Using basic information.');
-        } else {
-          showAnalysisError('Unable to analyze product. Please try again later.');
-        }
+    // Background worker stopped before sending a result
+    port.onDisconnect.addListener(() => {
+      if (analysisPort !== port) return;
+      analysisPort = null;
 
-        // Always use fallback on error
-        const fallback = getFallbackAnalysis(data.name);
-        updateCompanyAnalysis(fallback);
-        const explanation = fallback.impactExplanation || fallback.costBenefitAnalysis || 'Exploring alternatives helps support local economies.';
-        updateCostBenefitAnalysis(explanation);
-      } else {
-        // Update UI with company analysis immediately
-        updateCompanyAnalysis(response);
-        // Use impactExplanation (new field) or costBenefitAnalysis (legacy)
-        const explanation = response.impactExplanation || response.costBenefitAnalysis || 'Exploring alternatives helps support diverse business ownership and local economies.';
-        updateCostBenefitAnalysis(explanation);
-
-        console.log('Bramble: Company analysis complete - alternatives loading in background');
+      if (!hasResult) {
+        console.error('Bramble: Analysis port closed:', chrome.runtime.lastError);
+        handleAnalysisError('DISCONNECTED', data);
       }
     });
 
+    port.postMessage({
+      type: 'ANALYZE',
+      productName: data.name,
+      productUrl: data.url,
+      productDetails: getProductDetails(data), // Brand, identifiers, seller and category for the prompt and cache key
+      currentSite: data.site, // Pass current site to filter it from alternatives
+      skipCache: options.skipCache === true,
+      userPreferences: userPreferences
+    });
+
   } catch (error) {
     console.error('Bramble: Error calling API:', error);
+    handleAnalysisError(error.message, data);
+  }
+}
+
+/**
+ * Show an analysis error and fall back to basic information
+ */
+function handleAnalysisError(error, data) {
+  setReanalyzeEnabled(true);
+
+  if (error === 'REQUEST_CANCELLED') {
+    // Page changed while the request was queued - the new page runs its own analysis
+    console.log('Bramble: Analysis request cancelled');
+    return;
+  }
+
+  console.error('Bramble: API analysis failed:', error);
+
+  // Missing or rejected key - point the user at settings instead of showing a fallback
+  if (isApiKeyError(error)) {
+    showApiKeySetup(error);
+    return;
+  }
+
+  // Show appropriate error message
+  if (error === 'API_RATE_LIMIT') {
+    showAnalysisError('Too many requests. Please try again in a moment.');
+  } else if (error === 'PARSE_ERROR') {
+    showAnalysisError('Unable to analyze product. Using basic information.');
+  } else if (error === 'QUOTA_EXCEEDED') {
+    showAnalysisError("You've used today's analysis quota on your team's Bramble server. It resets tomorrow.");
+  } else if (error === 'INJECTION_DETECTED') {
+    showAnalysisError('This listing contains text that tried to steer the analysis, so the result was discarded.');
+  } else {
     showAnalysisError('Unable to analyze product. Please try again later.');
+  }
 
-    const fallback = getFallbackAnalysis(data.name);
-    updateCompanyAnalysis(fallback);
-    const explanation = fallback.impactExplanation || fallback.costBenefitAnalysis || 'Exploring alternatives helps support local economies.';
-    updateCostBenefitAnalysis(explanation);
-    showAnalysisLoading(false);
+  // Always use fallback on error
+  const fallback = getFallbackAnalysis(data.name);
+  updateCompanyAnalysis(fallback);
+  updateCostBenefitAnalysis(fallback.impactExplanation);
+}
+
+/**
+ * Render a partial analysis while the model is still answering
+ * @param {Object} analysis - Analysis built from the fields received so far
+ * @param {string[]} knownFields - Fields that are complete
+ */
+function showPartialAnalysis(analysis, knownFields) {
+  if (knownFields.includes('parentCompany')) {
+    updateCompanyAnalysis(analysis);
+
+    const companyInfo = document.getElementById('company-info');
+    if (companyInfo) {
+      companyInfo.insertAdjacentHTML('beforeend', `
+        <div class="analysis-streaming-note">
+          <div class="spinner spinner-small"></div>
+          <span>Score may change as the analysis finishes...</span>
+        </div>
+      `);
+    }
   }
+
+  if (analysis.impactExplanation) {
+    updateCostBenefitAnalysis(analysis.impactExplanation);
+  }
+}
+
+/**
+ * Update the loading message with the analysis request's progress
+ * @param {string} stage - 'queued' | 'retrying' | 'analyzing'
+ */
+function updateAnalysisStatus(stage) {
+  const loadingText = document.getElementById('analysis-loading-text');
+  if (!loadingText) return;
+
+  const messages = {
+    queued: 'Waiting for other analyses to finish...',
+    retrying: 'AI service is busy, retrying...',
+    analyzing: 'Analyzing product with AI...'
+  };
+  loadingText.textContent = messages[stage] || messages.analyzing;
 }
 
+/**
+ * Re-score the current product from cached company facts (no API call)
+ */
+async function rescoreCurrentProduct() {
+  const userPreferences = await getUserPreferences();
+
+  // A new profile may rank alternatives differently
+  alternativeRanking = userPreferences.ranking;
+  if (realAlternatives.length > 0) {
+    renderAlternatives();
+  }
+
+  chrome.runtime.sendMessage({
+    action: 'rescoreProduct',
+    productName: productData.name,
+    productUrl: productData.url,
+    productDetails: getProductDetails(productData),
+    currentSite: productData.site,
+    userPreferences: userPreferences
+  }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      console.log('Bramble: Could not re-score from cache:', response?.error || chrome.runtime.lastError);
+      return;
+    }
+
+    const analysis = normalizeAnalysisResult(response);
+    currentAnalysis = analysis;
+    console.log('Bramble: Re-scored with updated settings:', analysis.alignmentScore);
+    updateCompanyAnalysis(analysis);
+    updateCacheStatus(analysis);
+  });
+}
+
+/**
+ * Fill the side panel's profile picker and select the active profile
+ */
+async function loadProfileSwitcher() {
+  const select = document.getElementById('value-profile-select');
+  if (!select || !chrome?.storage?.sync) return;
+
+  const result = await chrome.storage.sync.get(['settings', VALUE_PROFILES_STORAGE_KEY]);
+  const settings = result.settings || {};
+  const profiles = getValueProfiles(result[VALUE_PROFILES_STORAGE_KEY]);
+  const activeProfile = findValueProfile(profiles, settings.activeProfile || DEFAULT_PROFILE_ID);
+
+  select.innerHTML = profiles.map(profile => {
+    const edited = profile === activeProfile && isProfileModified(profile, settings) ? ' (edited)' : '';
+    return `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}${edited}</option>`;
+  }).join('');
+  select.value = activeProfile ? activeProfile.id : DEFAULT_PROFILE_ID;
+  select.title = activeProfile?.description || '';
+}
+
+/**
+ * Switch profiles from the side panel - the background saves it and every open tab re-scores
+ */
+function switchValueProfile(profileId) {
+  chrome.runtime.sendMessage({ type: 'APPLY_VALUE_PROFILE', profileId }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      console.log('Bramble: Could not switch profile:', response?.error || chrome.runtime.lastError);
+      loadProfileSwitcher();
+    }
+  });
+}
+
+/**
+ * Enable/disable the re-analyze button while an analysis is running
+ */
+function setReanalyzeEnabled(isEnabled) {
+  const reanalyzeBtn = document.getElementById('reanalyze-btn');
+  if (reanalyzeBtn) reanalyzeBtn.disabled = !isEnabled;
+}
+
+/**
+ * Show whether the analysis came from the cache
+ */
+function updateCacheStatus(analysis) {
+  const cacheStatus = document.getElementById('analysis-cache-status');
+  if (!cacheStatus) return;
+
+  if (analysis.fromCache && analysis.cachedAt) {
+    const analyzedOn = new Date(analysis.cachedAt).toLocaleDateString();
+    cacheStatus.textContent = `Saved analysis from ${analyzedOn}. Click Re-analyze for a fresh one.`;
+  } else {
+    cacheStatus.textContent = '';
+  }
+}
+
+
 /**
  * Show/hide loading state for analysis
  */
@@ -515,12 +617,195 @@ function showAnalysisLoading(isLoading) {
     companyInfo.innerHTML = `
       <div style="text-align: center; padding: 30px 20px;">
         <div class="spinner" style="margin: 0 auto 16px;"></div>
-        <p style="font-size: 13px; color: var(--text-medium);">Analyzing product with AI...</p>
+        <p id="analysis-loading-text" style="font-size: 13px; color: var(--text-medium);">Analyzing product with AI...</p>
       </div>
     `;
   }
 }
 
+// Display labels for the company facts rows
+const COMPANY_SIZE_LABELS = {
+  'mega-corp': 'Mega-corporation',
+  'large-corp': 'Large corporation',
+  'medium-corp': 'Medium-sized company',
+  'small-business': 'Small business'
+};
+
+const OWNERSHIP_TYPE_LABELS = {
+  'publicly-traded': 'Publicly traded',
+  'private-equity': 'Private equity',
+  'family-owned': 'Family-owned',
+  'co-op': 'Co-op',
+  'b-corp': 'Certified B Corp'
+};
+
+/**
+ * Small tag showing whether a field came from the bundled dataset or the AI
+ */
+function buildFieldSourceTag(analysis, field) {
+  const source = analysis.fieldSources && analysis.fieldSources[field];
+  if (!source) return '';
+
+  const fromDataset = source === 'dataset';
+  const title = fromDataset
+    ? `Bramble ownership dataset${analysis.knowledgeBaseVersion ? ` v${escapeHtml(analysis.knowledgeBaseVersion)}` : ''}`
+    : 'Generated by the AI analysis';
+  return `<span class="field-source ${fromDataset ? 'from-dataset' : 'from-ai'}" title="${title}">${fromDataset ? 'from dataset' : 'from AI'}</span>`;
+}
+
+/**
+ * Build the size / ownership / certifications rows under the parent company badge
+ */
+function buildCompanyFactsHTML(analysis) {
+  const rows = [];
+
+  if (COMPANY_SIZE_LABELS[analysis.companySize]) {
+    rows.push({ label: 'Size', value: COMPANY_SIZE_LABELS[analysis.companySize], field: 'companySize' });
+  }
+  if (OWNERSHIP_TYPE_LABELS[analysis.ownershipType]) {
+    rows.push({ label: 'Ownership', value: OWNERSHIP_TYPE_LABELS[analysis.ownershipType], field: 'ownershipType' });
+  }
+  if (analysis.certifications && analysis.certifications.length > 0) {
+    rows.push({ label: 'Certifications', value: analysis.certifications.join(', '), field: 'certifications' });
+  }
+
+  if (rows.length === 0) return '';
+
+  return `
+    <div class="company-facts">
+      ${rows.map(row => `
+        <div class="company-fact-row">
+          <span class="company-fact-label">${row.label}</span>
+          <span class="company-fact-value">${escapeHtml(row.value)} ${buildFieldSourceTag(analysis, row.field)}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Who sells this listing, under the brand owner's facts
+ * Shown only when the page names a seller (marketplace listings on Amazon, Walmart and others).
+ */
+function buildListingSellerHTML(analysis) {
+  const seller = analysis.seller;
+  if (!seller || !seller.name) return '';
+
+  const rows = [{ label: 'Seller', value: seller.name }];
+  if (seller.parentCompany && seller.type !== 'retailer' && !brandsMatch(seller.parentCompany, seller.name)) {
+    rows.push({ label: 'Owned by', value: seller.parentCompany });
+  }
+  if (seller.type === 'third-party' && COMPANY_SIZE_LABELS[seller.size]) {
+    rows.push({ label: 'Size', value: COMPANY_SIZE_LABELS[seller.size] });
+  }
+  if (seller.shipsFrom && !brandsMatch(seller.shipsFrom, seller.name)) {
+    rows.push({ label: 'Ships from', value: seller.shipsFrom });
+  }
+
+  return `
+    <div class="listing-seller listing-seller-${escapeHtml(seller.type)}">
+      <div class="listing-seller-summary">🛒 ${escapeHtml(describeListingSeller(seller))}</div>
+      ${rows.map(row => `
+        <div class="company-fact-row">
+          <span class="company-fact-label">${row.label}</span>
+          <span class="company-fact-value">${escapeHtml(row.value)}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * AI-reported ownership links the dataset doesn't have, with a button to remember them
+ * Unconfirmed links only count for this analysis.
+ */
+function buildOwnershipSuggestionHTML(analysis) {
+  const edges = analysis.suggestedOwnershipEdges || [];
+  if (edges.length === 0) return '';
+
+  return `
+    <div class="ownership-suggestion" id="ownership-suggestion">
+      <div class="ownership-suggestion-summary">🔗 The AI reported ownership links that aren't in the dataset</div>
+      ${edges.map(edge => `
+        <div class="company-fact-row">
+          <span class="company-fact-value">${escapeHtml(edge.child)} → ${escapeHtml(edge.parent)}</span>
+        </div>
+      `).join('')}
+      <button class="ownership-suggestion-btn" id="remember-ownership-btn" title="Use these links for future avoid-list checks">Remember these links</button>
+    </div>
+  `;
+}
+
+/**
+ * Save the suggested links after the user confirms them
+ */
+function confirmOwnershipEdges(analysis) {
+  const button = document.getElementById('remember-ownership-btn');
+  if (button) button.disabled = true;
+
+  chrome.runtime.sendMessage({ type: 'CONFIRM_OWNERSHIP_EDGES', edges: analysis.suggestedOwnershipEdges }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      console.log('Bramble: Could not save ownership links:', response?.error || chrome.runtime.lastError);
+      if (button) button.disabled = false;
+      return;
+    }
+    const suggestion = document.getElementById('ownership-suggestion');
+    if (suggestion) {
+      suggestion.innerHTML = '<div class="ownership-suggestion-summary">🔗 Ownership links remembered</div>';
+    }
+  });
+}
+
+/**
+ * Render one concern bullet with its category, severity, date and source
+ * @param {Object} concern - Concern record
+ * @param {boolean} isNotice - Fallback notice rather than a real concern (no source expected)
+ */
+function buildConcernHTML(concern, isNotice) {
+  const record = normalizeConcernRecord(concern);
+  if (!record) return '';
+
+  const metaParts = [];
+  if (!isNotice) {
+    if (record.category && record.category !== 'other') {
+      const subcategory = record.subcategory ? ` · ${record.subcategory.replace(/-/g, ' ')}` : '';
+      metaParts.push(`<span class="concern-category">${escapeHtml(record.category + subcategory)}</span>`);
+    }
+    if (record.severity) {
+      metaParts.push(`<span class="concern-severity concern-severity-${escapeHtml(record.severity)}">${escapeHtml(record.severity)}</span>`);
+    }
+    if (record.remediation === 'partial' || record.remediation === 'full') {
+      metaParts.push(`<span class="concern-remediated">${record.remediation === 'full' ? 'remediated' : 'partly remediated'}</span>`);
+    }
+    if (record.date) {
+      metaParts.push(`<span>${escapeHtml(record.date)}</span>`);
+    }
+
+    if (record.url && /^https?:\/\//i.test(record.url)) {
+      const sourceLabel = record.source || record.url.replace(/^https?:\/\//i, '').split('/')[0];
+      metaParts.push(`<a class="concern-source" href="${escapeHtml(record.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(sourceLabel)}</a>`);
+    } else if (record.source) {
+      metaParts.push(`<span class="concern-source">${escapeHtml(record.source)}</span>`);
+    } else {
+      metaParts.push('<span class="concern-unsourced" title="The analysis gave no source for this concern">⚠ No source given</span>');
+    }
+
+    if (record.confidence === 'low') {
+      metaParts.push('<span class="concern-low-confidence">low confidence</span>');
+    }
+  }
+
+  return `
+    <div class="concern-item${!isNotice && !hasConcernSource(record) ? ' concern-item-unsourced' : ''}">
+      <span>•</span>
+      <div>
+        <div>${escapeHtml(record.description)}</div>
+        ${metaParts.length > 0 ? `<div class="concern-meta">${metaParts.join('<span class="concern-meta-separator">·</span>')}</div>` : ''}
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Update company analysis section with API results
  */
@@ -528,41 +813,48 @@ function updateCompanyAnalysis(analysis) {
   const companyInfo = document.getElementById('company-info');
   if (!companyInfo) return;
 
-  // Check if this is an avoided brand - show prominent warning
-  const avoidWarningHTML = analysis.isOnAvoidList ? `
-    <div style="background: #ffe6e6; border: 2px solid #e74c3c; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; animation: warningPulse 2s ease-in-out;">
+  // Avoided brand: hard blocks get a prominent warning, "warn" entries a milder one, "lower" only a score change
+  const avoidSeverity = analysis.avoidSeverity || 'block';
+  const avoidStyle = avoidSeverity === 'block'
+    ? { background: '#ffe6e6', border: '#e74c3c', color: '#c0392b', icon: '⚠️', title: "Brand You're Avoiding", animation: 'animation: warningPulse 2s ease-in-out;' }
+    : { background: '#fff6e0', border: '#e6a23c', color: '#9a6412', icon: '🔶', title: "Heads Up: Brand You're Avoiding", animation: '' };
+  const avoidWarningHTML = analysis.isOnAvoidList && avoidSeverity !== 'lower' ? `
+    <div style="background: ${avoidStyle.background}; border: 2px solid ${avoidStyle.border}; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; ${avoidStyle.animation}">
       <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 6px;">
-        <span style="font-size: 24px;">⚠️</span>
-        <span style="font-size: 14px; font-weight: 700; color: #c0392b;">Brand You're Avoiding</span>
+        <span style="font-size: 24px;">${avoidStyle.icon}</span>
+        <span style="font-size: 14px; font-weight: 700; color: ${avoidStyle.color};">${avoidStyle.title}</span>
+        ${analysis.avoidTag ? `<span style="margin-left: auto; font-size: 11px; padding: 2px 8px; border-radius: 10px; background: white; color: ${avoidStyle.color}; border: 1px solid ${avoidStyle.border};">${escapeHtml(analysis.avoidTag)}</span>` : ''}
       </div>
-      <div style="font-size: 13px; color: #c0392b; line-height: 1.4;">
-        ${analysis.avoidReason || "This product is from a brand you've chosen to avoid."}
+      <div style="font-size: 13px; color: ${avoidStyle.color}; line-height: 1.4;">
+        ${escapeHtml(analysis.avoidReason || "This product is from a brand you've chosen to avoid.")}
       </div>
+      ${analysis.avoidNote ? `<div style="font-size: 12px; color: ${avoidStyle.color}; margin-top: 6px; font-style: italic;">${analysis.avoidList ? 'List note' : 'Your note'}: ${escapeHtml(analysis.avoidNote)}</div>` : ''}
+      ${analysis.avoidList ? `<div style="font-size: 11px; color: ${avoidStyle.color}; margin-top: 6px; opacity: 0.8;">From list: ${escapeHtml(analysis.avoidList)}</div>` : ''}
     </div>
   ` : '';
 
+  const hiddenConcernsHTML = analysis.hiddenConcernCount > 0
+    ? `<div class="concern-hidden-note">${analysis.hiddenConcernCount} unsourced ${analysis.hiddenConcernCount === 1 ? 'concern' : 'concerns'} hidden</div>`
+    : '';
+
   const concernsHTML = analysis.concerns && analysis.concerns.length > 0
     ? `<div style="margin-top: 12px;">
          <div style="font-size: 12px; font-weight: 600; color: #6b8e5f; margin-bottom: 6px;">📋 Company Practices:</div>
-         ${analysis.concerns.map(concern => `
-           <div style="display: flex; align-items: center; gap: 6px; padding: 6px 0 6px 18px; font-size: 12px; color: #666;">
-             <span>•</span>
-             <span>${concern}</span>
-           </div>
-         `).join('')}
+         ${analysis.concerns.map(concern => buildConcernHTML(concern, analysis.isFallback)).join('')}
+         ${hiddenConcernsHTML}
        </div>`
-    : '';
+    : hiddenConcernsHTML;
 
   // Build score breakdown HTML if available
   let breakdownHTML = '';
   if (analysis.scoreBreakdown && analysis.scoreBreakdown.length > 0) {
     const breakdownItems = analysis.scoreBreakdown
       .map(item => {
-        const changeColor = item.change > 0 ? '#7ba05b' : '#e74c3c';
+        const changeColor = item.change > 0 ? '#7ba05b' : (item.change < 0 ? '#e74c3c' : '#8a8f80');
         const changeSign = item.change > 0 ? '+' : '';
         return `
           <div style="display: flex; justify-content: space-between; padding: 6px 0; font-size: 12px; border-bottom: 1px solid #e8ebe0;">
-            <span>${item.reason}</span>
+            <span>${escapeHtml(item.reason)}${item.custom ? ' <span class="breakdown-custom" title="Your scoring settings">yours</span>' : ''}${item.detail ? `<span class="breakdown-detail">${escapeHtml(item.detail)}</span>` : ''}</span>
             <span style="color: ${changeColor}; font-weight: 600;">${changeSign}${item.change}</span>
           </div>
         `;
@@ -594,8 +886,12 @@ function updateCompanyAnalysis(analysis) {
     ${avoidWarningHTML}
     <div class="company-badge">
       <span class="badge-icon">🏢</span>
-      <span class="badge-text">Parent Company: <strong id="parent-company">${analysis.parentCompany}</strong></span>
+      <span class="badge-text">Parent Company: <strong id="parent-company">${escapeHtml(analysis.parentCompany)}</strong></span>
+      ${buildFieldSourceTag(analysis, 'parentCompany')}
     </div>
+    ${buildCompanyFactsHTML(analysis)}
+    ${buildListingSellerHTML(analysis)}
+    ${buildOwnershipSuggestionHTML(analysis)}
     <div class="alignment-score">
       <span class="score-label">Values Match:</span>
       <div class="score-bar">
@@ -605,7 +901,14 @@ function updateCompanyAnalysis(analysis) {
     </div>
     ${concernsHTML}
     ${breakdownHTML}
+    ${isApiKeyError(analysis.aiError) ? buildApiKeyNoticeHTML(analysis.aiError, true) : ''}
   `;
+  bindApiKeySettingsButtons(companyInfo);
+
+  const rememberOwnershipBtn = document.getElementById('remember-ownership-btn');
+  if (rememberOwnershipBtn) {
+    rememberOwnershipBtn.addEventListener('click', () => confirmOwnershipEdges(analysis));
+  }
 
   // Add event listener for breakdown toggle
   const toggleBtn = document.getElementById('toggle-score-breakdown');
@@ -639,8 +942,8 @@ function updateCostBenefitAnalysis(analysisText) {
   // Remove any JSON artifacts
   cleanText = cleanText.replace(/[{}\[\]]/g, '');
 
-  // Split into sentences for better formatting
-  const sentences = cleanText.split(/\.\s+/).filter(s => s.trim());
+  // Split into sentences for better formatting (escaped - the text comes from the model)
+  const sentences = escapeHtml(cleanText).split(/\.\s+/).filter(s => s.trim());
 
   // Format as clean paragraphs (group 2-3 sentences each)
   let formattedHTML = '<div class="impact-analysis">';
@@ -697,6 +1000,67 @@ function showAnalysisError(message) {
   `;
 }
 
+/**
+ * Whether an error means the AI provider's key is missing or was rejected
+ */
+function isApiKeyError(error) {
+  if (!error) return false;
+  return error.startsWith('API_KEY_MISSING') || /^API_ERROR: 40[13]\b/.test(error);
+}
+
+/**
+ * Build the "configure your keys" notice
+ * @param {string} error - API_KEY_MISSING or a 401/403 API_ERROR
+ * @param {boolean} compact - Smaller variant shown under dataset-only results
+ */
+function buildApiKeyNoticeHTML(error, compact = false) {
+  const missing = error.startsWith('API_KEY_MISSING');
+  const provider = missing ? error.split(':')[1]?.trim() || 'AI provider' : 'AI provider';
+  const title = missing ? `Add your ${provider} API key` : 'Your API key was rejected';
+  const detail = missing
+    ? 'Bramble needs a key to analyze company practices. Keys stay on this device.'
+    : 'The key may be mistyped, revoked or out of credit. Test it in settings.';
+
+  if (compact) {
+    return `
+      <div class="api-key-notice compact">
+        <span>🔑 ${escapeHtml(title)} for a full analysis.</span>
+        <button class="api-key-settings-btn">Open settings</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="api-key-notice">
+      <div class="api-key-notice-title">🔑 ${escapeHtml(title)}</div>
+      <p>${detail}</p>
+      <button class="api-key-settings-btn alt-button primary">Configure API keys</button>
+    </div>
+  `;
+}
+
+/**
+ * Replace the analysis with the "configure your keys" state
+ */
+function showApiKeySetup(error) {
+  const companyInfo = document.getElementById('company-info');
+  if (!companyInfo) return;
+
+  companyInfo.innerHTML = buildApiKeyNoticeHTML(error);
+  bindApiKeySettingsButtons(companyInfo);
+}
+
+/**
+ * Open the popup's API key section from any "configure" button in a container
+ */
+function bindApiKeySettingsButtons(container) {
+  container.querySelectorAll('.api-key-settings-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'OPEN_API_KEY_SETTINGS' });
+    });
+  });
+}
+
 /**
  * Load and display ethical alternatives
  */
@@ -775,8 +1139,7 @@ async function loadAlternatives(data) {
 function displayRealAlternatives(localAlternatives, alternativeTypes) {
   console.log('Bramble: Displaying real alternatives from Google Places');
 
-  const alternativesList = document.getElementById('alternatives-list');
-  if (!alternativesList) return;
+  if (!document.getElementById('alternatives-list')) return;
 
   // Calculate distances and travel times for local alternatives
   if (userLocation && typeof calculateDistance === 'function') {
@@ -792,13 +1155,30 @@ function displayRealAlternatives(localAlternatives, alternativeTypes) {
       alt.travelTime = travelTimeMinutes;
       alt.travelTimeLabel = travelTimeMinutes < 60 ? `${travelTimeMinutes} min` : `${Math.round(travelTimeMinutes / 60)} hr`;
     });
-
-    // Sort by distance (closest first)
-    localAlternatives.sort((a, b) => (a.distance || 999) - (b.distance || 999));
   }
 
+  realAlternatives = localAlternatives;
+  const shownAlternatives = renderAlternatives();
+  if (shownAlternatives.length === 0) return;
+
+  // Track impact stats
+  const distances = shownAlternatives.filter(alt => alt.distance != null).map(alt => alt.distance);
+  const closestDistance = distances.length > 0 ? Math.min(...distances) : null;
+  updateImpactStats(productData?.price, shownAlternatives.length, closestDistance);
+}
+
+/**
+ * Render the last alternatives in the active profile's order
+ * @returns {Array} The alternatives shown
+ */
+function renderAlternatives() {
+  const alternativesList = document.getElementById('alternatives-list');
+  if (!alternativesList) return [];
+
+  const rankedAlternatives = rankAlternatives(realAlternatives, alternativeRanking);
+
   // Determine how many online alternatives to show based on local results
-  const onlineCount = localAlternatives.length < 3 ? 4 : 2;
+  const onlineCount = rankedAlternatives.length < 3 ? 4 : 2;
 
   // Add online sustainable alternatives
   const onlineAlternatives = [
@@ -840,15 +1220,15 @@ function displayRealAlternatives(localAlternatives, alternativeTypes) {
     }
   ];
 
-  // Combine: local alternatives first, then online
-  const allAlternatives = [...localAlternatives, ...onlineAlternatives.slice(0, onlineCount)];
+  // Ranked alternatives first, then the curated online shops
+  const allAlternatives = [...rankedAlternatives, ...onlineAlternatives.slice(0, onlineCount)];
   currentAlternatives = allAlternatives; // Store for map use
 
   // Clear existing
   alternativesList.innerHTML = '';
 
-  // Show message if no local alternatives found
-  if (localAlternatives.length === 0) {
+  // Show message if no alternatives survived the profile's filters
+  if (rankedAlternatives.length === 0) {
     alternativesList.innerHTML = `
       <div style="padding: 24px; text-align: center; background: #f5f7f0; border-radius: 12px;">
         <div style="font-size: 42px; margin-bottom: 12px;">🔍</div>
@@ -861,7 +1241,7 @@ function displayRealAlternatives(localAlternatives, alternativeTypes) {
         </div>
       </div>
     `;
-    return; // Don't show online alternatives either
+    return []; // Don't show online alternatives either
   }
 
   // Display alternatives
@@ -875,7 +1255,7 @@ function displayRealAlternatives(localAlternatives, alternativeTypes) {
     }, index * 100);
   });
 
-  console.log('Bramble: Displayed', allAlternatives.length, 'alternatives (', localAlternatives.length, 'local,', onlineCount, 'online)');
+  console.log('Bramble: Displayed', allAlternatives.length, 'alternatives (', rankedAlternatives.length, 'found,', onlineCount, 'online)');
 
   // Add transparency note
   if (allAlternatives.length > 0) {
@@ -890,12 +1270,10 @@ function displayRealAlternatives(localAlternatives, alternativeTypes) {
     alternativesList.appendChild(transparencyNote);
   }
 
-  // Track impact stats
-  const closestDistance = localAlternatives.length > 0 ? localAlternatives[0].distance : null;
-  updateImpactStats(productData?.price, allAlternatives.length, closestDistance);
-
   // Setup map button
   setupMapButton();
+
+  return allAlternatives;
 }
 
 /**
@@ -956,6 +1334,19 @@ function toggleMap() {
   }
 }
 
+/**
+ * Hide the map and drop its markers (they belong to the previous product's alternatives)
+ */
+function resetMap() {
+  if (isMapVisible) {
+    toggleMap();
+  }
+  if (map) {
+    map.remove();
+    map = null;
+  }
+}
+
 /**
  * Initialize Leaflet map
  */
@@ -1099,13 +1490,13 @@ function addAlternativeMarker(alt, index) {
 
   // Create popup content
   const popupContent = `
-    <div class="map-popup-title">${alt.name}</div>
+    <div class="map-popup-title">${escapeHtml(alt.name)}</div>
     <div class="map-popup-detail">
       <span class="alt-badge ${alt.type}" style="display: inline-block; padding: 2px 8px; border-radius: 8px; font-size: 11px; margin-top: 4px;">
         ${alt.typeLabel}
       </span>
     </div>
-    <div class="map-popup-price">${alt.price}</div>
+    <div class="map-popup-price">${escapeHtml(alt.price)}</div>
     ${alt.distanceLabel ? `<div class="map-popup-distance">📍 ${alt.distanceLabel} away</div>` : ''}
   `;
 
@@ -1228,11 +1619,11 @@ function createAlternativeCard(alt) {
 
     card.innerHTML = `
       <div class="alt-header">
-        <h4 class="alt-name">${alt.name}</h4>
+        <h4 class="alt-name">${escapeHtml(alt.name)}</h4>
         <span class="alt-badge local">LOCAL BUSINESS</span>
       </div>
-      ${address ? `<div class="alt-address" style="font-size: 12px; color: #666; margin: 4px 0;">${address}</div>` : ''}
-      ${phone ? `<div style="font-size: 12px; color: #7ba05b; margin: 4px 0;">📞 ${phone}</div>` : ''}
+      ${address ? `<div class="alt-address" style="font-size: 12px; color: #666; margin: 4px 0;">${escapeHtml(address)}</div>` : ''}
+      ${phone ? `<div style="font-size: 12px; color: #7ba05b; margin: 4px 0;">📞 ${escapeHtml(phone)}</div>` : ''}
       ${alt.distanceLabel && alt.travelTimeLabel ? `<div style="font-size: 11px; color: #7ba05b; margin: 6px 0; font-weight: 500;">📍 ${alt.distanceLabel} • ${alt.travelTimeLabel} drive</div>` : distanceBadge || ''}
       <div style="padding: 8px; background: #fff3cd; border-left: 3px solid #ffc107; border-radius: 4px; font-size: 12px; color: #856404; margin: 8px 0;">
         ⚠️ Call to confirm they carry this item
@@ -1244,8 +1635,8 @@ function createAlternativeCard(alt) {
         </div>
       </div>
       <div class="alt-actions" style="gap: 8px;">
-        ${phone ? `<a href="tel:${phone}" class="alt-button primary" style="flex: 1;">📞 Call Store</a>` : ''}
-        <a href="${alt.googleMapsUrl}" target="_blank" class="alt-button ${phone ? 'secondary' : 'primary'}" style="flex: 1;">
+        ${phone ? `<a href="tel:${escapeHtml(phone)}" class="alt-button primary" style="flex: 1;">📞 Call Store</a>` : ''}
+        <a href="${escapeHtml(alt.googleMapsUrl)}" target="_blank" class="alt-button ${phone ? 'secondary' : 'primary'}" style="flex: 1;">
           🗺️ Directions
         </a>
       </div>
@@ -1263,37 +1654,37 @@ function createAlternativeCard(alt) {
 
     card.innerHTML = `
       <div class="alt-header">
-        <h4 class="alt-name">${alt.name}</h4>
+        <h4 class="alt-name">${escapeHtml(alt.name)}</h4>
         <span class="alt-badge small-business">SMALL BUSINESS</span>
       </div>
-      ${description ? `<div style="font-size: 12px; color: #666; margin: 4px 0; line-height: 1.4;">${description}</div>` : ''}
+      ${description ? `<div style="font-size: 12px; color: #666; margin: 4px 0; line-height: 1.4;">${escapeHtml(description)}</div>` : ''}
       <div class="alt-details" style="margin-top: 8px;">
-        ${showPrice ? `<div class="alt-price" style="font-size: 18px; font-weight: 700; color: #2d4a2b;">${alt.price}</div>` : `<div style="font-size: 13px; color: #7ba05b;">💰 ${priceDisplay}</div>`}
-        <div style="font-size: 12px; color: #6b8e5f; margin-top: 4px;">✓ ${alt.availability || 'Check website'}</div>
+        ${showPrice ? `<div class="alt-price" style="font-size: 18px; font-weight: 700; color: #2d4a2b;">${escapeHtml(alt.price)}</div>` : `<div style="font-size: 13px; color: #7ba05b;">💰 ${escapeHtml(priceDisplay)}</div>`}
+        <div style="font-size: 12px; color: #6b8e5f; margin-top: 4px;">✓ ${escapeHtml(alt.availability || 'Check website')}</div>
       </div>
       <div class="alt-actions" style="margin-top: 12px;">
-        <a href="${alt.url}" target="_blank" class="alt-button primary">🛒 Visit Website</a>
+        <a href="${escapeHtml(alt.url)}" target="_blank" class="alt-button primary">🛒 Visit Website</a>
       </div>
     `;
   } else {
     // FALLBACK: Generic alternative (shouldn't happen with new system)
     card.innerHTML = `
       <div class="alt-header">
-        <h4 class="alt-name">${alt.name}</h4>
+        <h4 class="alt-name">${escapeHtml(alt.name)}</h4>
         <span class="alt-badge ${alt.type}">${alt.typeLabel}</span>
       </div>
       <div class="alt-details">
-        ${alt.price ? `<div class="alt-price">${alt.price}</div>` : ''}
+        ${alt.price ? `<div class="alt-price">${escapeHtml(alt.price)}</div>` : ''}
         <div class="alt-rating">
           <span class="stars">${stars}</span>
           <span class="rating-value">${alt.rating}/5</span>
         </div>
       </div>
       ${alt.features ? `<div class="alt-features">
-        ${alt.features.map(f => `<span class="feature-tag">${f}</span>`).join('')}
+        ${alt.features.map(f => `<span class="feature-tag">${escapeHtml(f)}</span>`).join('')}
       </div>` : ''}
       <div class="alt-actions">
-        <a href="${alt.url || '#'}" target="_blank" class="alt-button primary">Visit Store</a>
+        <a href="${escapeHtml(alt.url || '#')}" target="_blank" class="alt-button primary">Visit Store</a>
       </div>
     `;
   }
@@ -1301,6 +1692,25 @@ function createAlternativeCard(alt) {
   return card;
 }
 
+/**
+ * Add this page's selector matches to the selector health log (see selector-health.js)
+ */
+async function recordSelectorHealth(report) {
+  if (report.warnings.length > 0) {
+    console.warn(`Bramble: ${report.site} selectors need attention:`, report.warnings);
+  }
+
+  try {
+    if (!chrome?.storage?.local) return;
+
+    const result = await chrome.storage.local.get(SELECTOR_HEALTH_KEY);
+    const log = mergeSelectorHealth(result[SELECTOR_HEALTH_KEY] || {}, report, window.location.pathname);
+    await chrome.storage.local.set({ [SELECTOR_HEALTH_KEY]: log });
+  } catch (error) {
+    console.error('Bramble: Error recording selector health:', error);
+  }
+}
+
 /**
  * Update impact statistics
  */
@@ -1333,18 +1743,127 @@ async function updateImpactStats(productPrice, alternativesCount, closestDistanc
 }
 
 /**
- * Get fallback analysis when API fails
+ * Hold an add-to-cart or buy-now click when the product is a hard block on the avoid list
+ * Clicks before the analysis arrives go through - the guard never waits on the network.
+ */
+function handleCartClick(event) {
+  if (!cartGuardEnabled || !shouldGuardCart(currentAnalysis) || cartGuardAllowedUrl === location.href) return;
+
+  const button = findCartButton(event.target, findSiteAdapter(window.location.hostname));
+  if (!button) return;
+
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  showCartGuard(button);
+}
+
+/**
+ * Show the interstitial for a held cart button
  */
-function getFallbackAnalysis(productName) {
-  return {
-    parentCompany: 'Unknown',
-    ethicalScore: 50,
-    concerns: ['Unable to analyze - API unavailable'],
-    productCategory: 'General',
-    alternativeTypes: ['Local businesses', 'Sustainable options', 'Fair trade alternatives'],
-    costBenefitAnalysis: 'Supporting local and ethical businesses helps build stronger communities, promotes fair labor practices, and reduces environmental impact.',
-    suggestedStoreKeywords: ['local', 'sustainable', 'ethical']
+function showCartGuard(button) {
+  document.getElementById(CART_GUARD_OVERLAY_ID)?.remove();
+
+  const analysis = currentAnalysis;
+  const alternatives = currentAlternatives.slice(0, CART_GUARD_LIMITS.maxAlternatives);
+
+  const overlay = document.createElement('div');
+  overlay.id = CART_GUARD_OVERLAY_ID;
+  overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(0, 0, 0, 0.55); display: flex; align-items: center; justify-content: center; z-index: 2147483647;';
+  overlay.innerHTML = buildCartGuardHTML(analysis, alternatives);
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', onKeydown, true);
+  };
+  const keepLooking = () => {
+    close();
+    recordCartGuardDecision(CART_GUARD_DECISIONS.keptLooking, analysis);
   };
+  const continueToCart = () => {
+    close();
+    cartGuardAllowedUrl = location.href;
+    button.click();
+  };
+  const onKeydown = (e) => {
+    if (e.key === 'Escape') keepLooking();
+  };
+  document.addEventListener('keydown', onKeydown, true);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) keepLooking();
+  });
+
+  overlay.querySelectorAll('[data-guard-alternative]').forEach(altButton => {
+    altButton.addEventListener('click', () => {
+      const alt = alternatives[Number(altButton.dataset.guardAlternative)];
+      close();
+      recordCartGuardDecision(CART_GUARD_DECISIONS.alternative, analysis, alt?.name);
+      const url = alt?.url || alt?.googleMapsUrl;
+      if (url) window.open(url, '_blank', 'noopener');
+    });
+  });
+
+  overlay.querySelectorAll('[data-guard-action]').forEach(actionButton => {
+    actionButton.addEventListener('click', () => {
+      const action = actionButton.dataset.guardAction;
+      if (action === CART_GUARD_DECISIONS.keptLooking) {
+        keepLooking();
+      } else if (action === CART_GUARD_DECISIONS.buyAnyway) {
+        recordCartGuardDecision(CART_GUARD_DECISIONS.buyAnyway, analysis);
+        continueToCart();
+      } else if (action === CART_GUARD_DECISIONS.removed) {
+        const avoidedBrand = analysis.avoidChain[analysis.avoidChain.length - 1];
+        chrome.runtime.sendMessage({ type: 'REMOVE_AVOIDED_BRAND', name: avoidedBrand, list: analysis.avoidList }, (response) => {
+          if (chrome.runtime.lastError || !response || response.error) {
+            console.log('Bramble: Could not remove avoided brand:', response?.error || chrome.runtime.lastError);
+          }
+        });
+        recordCartGuardDecision(CART_GUARD_DECISIONS.removed, analysis);
+        continueToCart();
+      }
+    });
+  });
+
+  overlay.querySelector('[data-guard-action]')?.focus();
+}
+
+/**
+ * Record a cart guard decision in the impact history
+ * @param {string} decision - One of CART_GUARD_DECISIONS
+ * @param {Object} analysis - Analysis the guard was shown for
+ * @param {string} [alternativeName] - Alternative the user opened
+ */
+async function recordCartGuardDecision(decision, analysis, alternativeName) {
+  try {
+    if (!chrome?.storage?.local) return;
+
+    const result = await chrome.storage.local.get('impactData');
+    const impact = result.impactData || {
+      alternativesViewed: 0,
+      sessionsWithAlternatives: 0,
+      startDate: Date.now()
+    };
+
+    impact.cartGuard = { ...impact.cartGuard, [decision]: (impact.cartGuard?.[decision] || 0) + 1 };
+    impact.history = [
+      ...(impact.history || []),
+      {
+        type: 'cartGuard',
+        decision,
+        product: productData?.name || '',
+        site: productData?.site || '',
+        brand: analysis?.avoidChain?.[analysis.avoidChain.length - 1] || analysis?.parentCompany || '',
+        ...(alternativeName ? { alternative: alternativeName } : {}),
+        at: Date.now()
+      }
+    ].slice(-CART_GUARD_LIMITS.maxHistory);
+
+    await chrome.storage.local.set({ impactData: impact });
+    console.log('Bramble: Cart guard decision recorded:', decision);
+  } catch (error) {
+    console.error('Bramble: Error recording cart guard decision:', error);
+  }
 }
 
 /**
@@ -1353,6 +1872,9 @@ function getFallbackAnalysis(productName) {
 function initialize() {
   console.log('Bramble: Initializing content script');
 
+  // Hold add-to-cart clicks on hard-blocked brands (capture phase, before the site's handlers)
+  document.addEventListener('click', handleCartClick, true);
+
   // Wait for page to be fully loaded
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', checkForProduct);
@@ -1360,38 +1882,68 @@ function initialize() {
     checkForProduct();
   }
 
-  // Also check when URL changes (for SPAs)
-  let lastUrl = location.href;
-  new MutationObserver(() => {
-    const url = location.href;
-    if (url !== lastUrl) {
-      lastUrl = url;
-      isPanelInjected = false;
-      // Remove old panel if exists
-      const oldPanel = document.getElementById('vinegar-sidepanel-container');
-      if (oldPanel) oldPanel.remove();
-      checkForProduct();
-    }
-  }).observe(document, { subtree: true, childList: true });
+  // Single-page shops change products without a page load: pushState / replaceState (from
+  // history-hooks.js), back and forward, and the background worker's webNavigation events
+  window.addEventListener(HISTORY_CHANGE_EVENT, handleLocationChange);
+  window.addEventListener('popstate', handleLocationChange);
+}
+
+/**
+ * Re-check the page after an in-page URL change
+ */
+function handleLocationChange() {
+  if (location.href === currentPageUrl) return;
+
+  const previousPath = new URL(currentPageUrl).pathname;
+  currentPageUrl = location.href;
+  cartGuardAllowedUrl = null;
+  document.getElementById(CART_GUARD_OVERLAY_ID)?.remove();
+
+  // A new path is most likely a new product - don't guard its cart with the old analysis
+  if (location.pathname !== previousPath) {
+    currentAnalysis = null;
+  }
+
+  checkForProduct();
 }
 
 /**
- * Check if we're on a product page and inject panel
+ * Check if we're on a product page and show it in the panel
+ * Waits for the page to be ready (see waitForAdapterProduct); a navigation that happens in the
+ * meantime starts a new check and this one's result is dropped.
  */
 async function checkForProduct() {
+  const checkId = ++productCheckId;
   console.log('Bramble: Checking for product...');
 
-  // Wait a bit for dynamic content to load
-  setTimeout(async () => {
-    const data = await detectAndExtractProduct();
+  if (panelInjection) {
+    await panelInjection;
+  }
+  const previous = isPanelInjected ? productData : null;
 
-    if (data) {
-      console.log('Bramble: Product detected:', data);
-      injectSidePanel(data);
-    } else {
-      console.log('Bramble: No product detected on this page');
-    }
-  }, 2000);
+  const data = await detectAndExtractProduct(previous ? previous.name : null);
+  if (checkId !== productCheckId) return;
+
+  if (!data) {
+    console.log('Bramble: No product detected on this page');
+    if (isPanelInjected) removeSidePanel();
+    return;
+  }
+
+  if (previous && isSameProduct(previous, data)) {
+    productData = { ...previous, url: data.url };
+    return;
+  }
+
+  console.log('Bramble: Product detected:', data);
+  if (isPanelInjected) {
+    updatePanelProduct(data);
+    return;
+  }
+
+  panelInjection = injectSidePanel(data);
+  await panelInjection;
+  panelInjection = null;
 }
 
 // Start the extension
@@ -0,0 +1,21 @@
+/**
+ * Bramble History Hooks
+ * Single-page shops switch products with history.pushState / replaceState instead of a page
+ * load. Content scripts can't see those calls from their isolated world, so this file runs in
+ * the page's own world (a "world": "MAIN" content script) and announces each one with a
+ * "bramble:historychange" event on window, which content.js listens for.
+ * It shares the page's globals, so it defines none and has no chrome.* APIs.
+ */
+
+(function () {
+  const HISTORY_CHANGE_EVENT = 'bramble:historychange';
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(HISTORY_CHANGE_EVENT));
+      return result;
+    };
+  });
+})();
@@ -0,0 +1,197 @@
+/**
+ * Bramble Company Knowledge Base
+ * Resolves brands against the bundled ownership dataset (data/companies.json)
+ * before the LLM is asked, so ownership facts are deterministic.
+ */
+
+const KNOWLEDGE_BASE_PATH = 'data/companies.json';
+
+// Company fields the dataset is authoritative for
+const KNOWLEDGE_BASE_FIELDS = ['parentCompany', 'companySize', 'ownershipType', 'subsidiaries', 'certifications'];
+
+// Longest brand name (in words) to try when matching the start of a title
+const MAX_BRAND_WORDS = 5;
+
+let knowledgeBase = null;
+
+/**
+ * Normalize a brand or company name for lookups ("Hellmann's" -> "hellmanns")
+ */
+function normalizeBrandName(name) {
+  if (!name) return '';
+  return name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents
+    .replace(/&/g, ' and ')
+    .replace(/['’.]/g, '') // "Lowe's" -> "lowes", "onn." -> "onn"
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Drop legal suffixes so "The Kroger Co." and "Kroger" share a key
+ */
+function stripCompanySuffixes(normalizedName) {
+  return normalizedName
+    .replace(/\b(inc|incorporated|corp|corporation|co|company|companies|ltd|plc|llc|sa|group|the)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Index a dataset by normalized brand, company name and alias
+ * @param {Object} dataset - Parsed data/companies.json
+ * @returns {Object} { version, brands: Map, companies: Map, dataset }
+ */
+function buildKnowledgeBaseIndex(dataset) {
+  const brands = new Map();
+  const companies = new Map();
+
+  for (const company of dataset.companies || []) {
+    for (const name of [company.name, ...(company.aliases || [])]) {
+      companies.set(stripCompanySuffixes(normalizeBrandName(name)), company);
+      brands.set(normalizeBrandName(name), { company, brand: name });
+    }
+    for (const brand of company.brands || []) {
+      brands.set(normalizeBrandName(brand), { company, brand });
+    }
+  }
+
+  return { version: dataset.version, brands, companies, dataset };
+}
+
+/**
+ * Load and index the bundled dataset (once per service worker lifetime)
+ */
+async function loadKnowledgeBase() {
+  if (knowledgeBase) return knowledgeBase;
+
+  let dataset;
+  if (typeof chrome !== 'undefined' && chrome.runtime?.getURL) {
+    const response = await fetch(chrome.runtime.getURL(KNOWLEDGE_BASE_PATH));
+    dataset = await response.json();
+  } else {
+    dataset = require(`./${KNOWLEDGE_BASE_PATH}`);
+  }
+
+  knowledgeBase = buildKnowledgeBaseIndex(dataset);
+  console.log('Bramble: Knowledge base loaded, version', knowledgeBase.version, '-', knowledgeBase.brands.size, 'names');
+  return knowledgeBase;
+}
+
+/**
+ * Find the brand a product title starts with (longest match wins)
+ * @param {string} productName - Product title
+ * @param {Object} index - Result of buildKnowledgeBaseIndex
+ * @param {string} [brandHint] - Brand name from the page, if the extractor found one
+ * @returns {Object|null} { company, brand, version }
+ */
+function findBrandInKnowledgeBase(productName, index, brandHint) {
+  if (brandHint) {
+    const match = index.brands.get(normalizeBrandName(brandHint));
+    if (match) return { ...match, version: index.version };
+  }
+
+  const words = normalizeBrandName(productName).split(' ').filter(Boolean);
+  for (let length = Math.min(MAX_BRAND_WORDS, words.length); length > 0; length--) {
+    const match = index.brands.get(words.slice(0, length).join(' '));
+    if (match) return { ...match, version: index.version };
+  }
+
+  return null;
+}
+
+/**
+ * Find a company by its name (e.g., the parentCompany reported by the LLM)
+ * @returns {Object|null} { company, brand, version }
+ */
+function findCompanyInKnowledgeBase(companyName, index) {
+  const company = index.companies.get(stripCompanySuffixes(normalizeBrandName(companyName)));
+  return company ? { company, brand: null, version: index.version } : null;
+}
+
+/**
+ * Look up a product's brand in the bundled dataset
+ * @param {string} productName - Product title
+ * @param {string} [brandHint] - Brand name from the page, if known
+ * @returns {Promise<Object|null>} { company, brand, version } or null
+ */
+async function lookupProductInKnowledgeBase(productName, brandHint) {
+  try {
+    const index = await loadKnowledgeBase();
+    const match = findBrandInKnowledgeBase(productName, index, brandHint);
+    if (match) {
+      console.log('Bramble: Knowledge base match:', match.brand, '→', match.company.name);
+    }
+    return match;
+  } catch (error) {
+    console.error('Bramble: Knowledge base lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Look up a company by name in the bundled dataset
+ * @param {string} companyName - Company name (e.g., from the LLM)
+ * @returns {Promise<Object|null>} { company, brand, version } or null
+ */
+async function lookupCompanyInKnowledgeBase(companyName) {
+  if (!companyName) return null;
+
+  try {
+    const index = await loadKnowledgeBase();
+    return findCompanyInKnowledgeBase(companyName, index);
+  } catch (error) {
+    console.error('Bramble: Knowledge base lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Overlay dataset facts onto LLM company data and label where each field came from
+ * @param {Object} companyData - Company facts from the LLM (may be empty)
+ * @param {Object|null} match - Result of a knowledge base lookup
+ * @returns {Object} Company data with a fieldSources map ({ field: 'dataset' | 'ai' })
+ */
+function applyKnowledgeBaseFacts(companyData, match) {
+  const merged = { ...companyData };
+  const fieldSources = {};
+
+  KNOWLEDGE_BASE_FIELDS.forEach(field => {
+    fieldSources[field] = 'ai';
+  });
+
+  if (match) {
+    const { company } = match;
+    merged.parentCompany = company.name;
+    merged.companySize = company.companySize;
+    merged.ownershipType = company.ownershipType;
+    merged.subsidiaries = [...(company.brands || [])];
+    merged.certifications = [...(company.certifications || [])];
+    merged.knowledgeBaseVersion = match.version;
+    if (match.brand) merged.detectedBrand = match.brand;
+
+    KNOWLEDGE_BASE_FIELDS.forEach(field => {
+      fieldSources[field] = 'dataset';
+    });
+  }
+
+  merged.fieldSources = fieldSources;
+  return merged;
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    normalizeBrandName,
+    stripCompanySuffixes,
+    buildKnowledgeBaseIndex,
+    loadKnowledgeBase,
+    findBrandInKnowledgeBase,
+    findCompanyInKnowledgeBase,
+    lookupProductInKnowledgeBase,
+    lookupCompanyInKnowledgeBase,
+    applyKnowledgeBaseFacts
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * Bramble Ownership Graph
+ * Brands, subsidiaries, holding companies and investors as a graph of child -> parent
+ * edges, so the avoid list can follow multi-level chains ("365 by Whole Foods Market →
+ * Whole Foods Market → Amazon"). Built from the bundled dataset plus edges the LLM
+ * reported and the user confirmed, which are kept in chrome.storage.local. The dataset
+ * always wins: AI edges never add owners to a name the dataset already places.
+ */
+
+// Under Node, pull in the name normalizers (the service worker loads knowledge-base.js first)
+if (typeof normalizeBrandName === 'undefined' && typeof require === 'function') {
+  var { normalizeBrandName, stripCompanySuffixes, loadKnowledgeBase } = require('./knowledge-base.js');
+}
+
+const OWNERSHIP_EDGES_STORAGE_KEY = 'ownershipEdges';
+
+const OWNERSHIP_GRAPH_LIMITS = {
+  maxStoredEdges: 2000, // Oldest learned edges are dropped first
+  maxDepth: 6 // Longest chain followed
+};
+
+let ownershipGraph = null;
+
+/**
+ * Graph key for a brand or company name ("The Kroger Co." -> "kroger")
+ */
+function ownershipKey(name) {
+  return typeof name === 'string' ? stripCompanySuffixes(normalizeBrandName(name)) : '';
+}
+
+/**
+ * Empty graph
+ * @returns {Object} { names: Map(key -> display name), aliases: Map(key -> key), parents: Map(key -> edges) }
+ */
+function createOwnershipGraph() {
+  return { names: new Map(), aliases: new Map(), parents: new Map() };
+}
+
+/**
+ * Graph key for a name, following aliases ("Amazon" and "Amazon.com, Inc." share a node)
+ */
+function resolveOwnershipKey(graph, name) {
+  const key = ownershipKey(name);
+  return graph.aliases.get(key) || key;
+}
+
+/**
+ * Record that a name is another name for a company
+ */
+function addOwnershipAlias(graph, alias, canonicalName) {
+  const aliasKey = ownershipKey(alias);
+  const canonicalKey = resolveOwnershipKey(graph, canonicalName);
+  if (!aliasKey || !canonicalKey) return;
+
+  if (aliasKey !== canonicalKey) graph.aliases.set(aliasKey, canonicalKey);
+  if (!graph.names.has(canonicalKey)) graph.names.set(canonicalKey, canonicalName);
+}
+
+/**
+ * Add a child -> parent edge (duplicates and self-loops are ignored)
+ * AI edges are refused for names the dataset already gives an owner, and dataset edges are
+ * kept ahead of AI ones so chains follow the dataset first.
+ * Edge lists are replaced rather than mutated so extended graphs can share them.
+ * @param {Object} edge - { child, parent, relation, source: 'dataset' | 'ai' }
+ * @returns {boolean} Whether the edge was added
+ */
+function addOwnershipEdge(graph, edge) {
+  const childKey = resolveOwnershipKey(graph, edge.child);
+  const parentKey = resolveOwnershipKey(graph, edge.parent);
+  if (!childKey || !parentKey || childKey === parentKey) return false;
+
+  const source = edge.source || 'dataset';
+  const existing = graph.parents.get(childKey) || [];
+  if (existing.some(parent => parent.key === parentKey)) return false;
+  if (source === 'ai' && existing.some(parent => parent.source === 'dataset')) return false;
+
+  if (!graph.names.has(childKey)) graph.names.set(childKey, edge.child);
+  if (!graph.names.has(parentKey)) graph.names.set(parentKey, edge.parent);
+  const added = { key: parentKey, relation: edge.relation || 'subsidiary', source };
+  const datasetParents = existing.filter(parent => parent.source === 'dataset');
+  const aiParents = existing.filter(parent => parent.source !== 'dataset');
+  graph.parents.set(childKey, source === 'dataset'
+    ? [...datasetParents, added, ...aiParents]
+    : [...existing, added]);
+  return true;
+}
+
+/**
+ * Build the graph from the bundled dataset and learned edges
+ * Explicit ownership edges win over flat brand lists, so "JBL" resolves through Harman.
+ * @param {Object} dataset - Parsed data/companies.json
+ * @param {Array} [storedEdges] - Confirmed AI edges from chrome.storage.local
+ * @returns {Object} Ownership graph
+ */
+function buildOwnershipGraph(dataset, storedEdges = []) {
+  const graph = createOwnershipGraph();
+  const companies = dataset?.companies || [];
+
+  companies.forEach(company => {
+    [company.name, ...(company.aliases || [])].forEach(alias => addOwnershipAlias(graph, alias, company.name));
+  });
+
+  (dataset?.ownership || []).forEach(edge => addOwnershipEdge(graph, { ...edge, source: 'dataset' }));
+
+  companies.forEach(company => {
+    (company.brands || []).forEach(brand => {
+      if (!graph.parents.has(resolveOwnershipKey(graph, brand))) {
+        addOwnershipEdge(graph, { child: brand, parent: company.name, relation: 'brand', source: 'dataset' });
+      }
+    });
+  });
+
+  storedEdges.forEach(edge => addOwnershipEdge(graph, { ...edge, source: 'ai' }));
+
+  return graph;
+}
+
+/**
+ * Copy of a graph with extra edges (the original is left untouched)
+ */
+function extendOwnershipGraph(graph, edges) {
+  const extended = {
+    names: new Map(graph.names),
+    aliases: graph.aliases,
+    parents: new Map(graph.parents)
+  };
+  edges.forEach(edge => addOwnershipEdge(extended, edge));
+  return extended;
+}
+
+/**
+ * Ownership edges stated in an analysis: the model's chain plus its flat subsidiaries list
+ * @param {Object} companyData - Company facts
+ * @returns {Array} [{ child, parent, relation, source: 'ai' }]
+ */
+function getOwnershipEdgesFromAnalysis(companyData) {
+  const edges = (companyData.ownershipEdges || [])
+    .filter(edge => edge && edge.child && edge.parent)
+    .map(edge => ({ child: edge.child, parent: edge.parent, relation: edge.relation || 'subsidiary', source: 'ai' }));
+
+  if (companyData.parentCompany && companyData.fieldSources?.subsidiaries !== 'dataset') {
+    (companyData.subsidiaries || []).forEach(subsidiary => {
+      edges.push({ child: subsidiary, parent: companyData.parentCompany, relation: 'brand', source: 'ai' });
+    });
+  }
+
+  return edges;
+}
+
+/**
+ * AI edges the graph doesn't have yet and would accept (what the side panel offers to remember)
+ * @param {Object} graph - Ownership graph
+ * @param {Array} edges - From getOwnershipEdgesFromAnalysis
+ * @returns {Array} [{ child, parent, relation, source: 'ai' }]
+ */
+function findNewOwnershipEdges(graph, edges) {
+  const extended = extendOwnershipGraph(graph, []);
+  return edges.filter(edge => addOwnershipEdge(extended, { ...edge, source: 'ai' }));
+}
+
+/**
+ * Follow parent edges from the start names to a target (breadth-first, first start wins)
+ * @param {Object} graph - Ownership graph
+ * @param {string[]} startNames - Product brand first, then its parent company
+ * @param {string} targetName - e.g., an avoided brand
+ * @returns {Array|null} [{ name, relation }] from start to target (relation = how the step's
+ *   previous entry relates to it), or null when the target isn't an owner
+ */
+function findOwnershipChain(graph, startNames, targetName) {
+  const targetKey = resolveOwnershipKey(graph, targetName);
+  if (!targetKey) return null;
+
+  for (const startName of startNames) {
+    const startKey = resolveOwnershipKey(graph, startName);
+    if (!startKey) continue;
+
+    const queue = [[{ key: startKey, name: startName, relation: null }]];
+    const visited = new Set([startKey]);
+
+    while (queue.length > 0) {
+      const path = queue.shift();
+      const last = path[path.length - 1];
+      if (last.key === targetKey) {
+        return path.map(step => ({ name: step.name, relation: step.relation }));
+      }
+      if (path.length > OWNERSHIP_GRAPH_LIMITS.maxDepth) continue;
+
+      for (const parent of graph.parents.get(last.key) || []) {
+        if (visited.has(parent.key)) continue;
+        visited.add(parent.key);
+        queue.push([...path, { key: parent.key, name: graph.names.get(parent.key), relation: parent.relation }]);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * "Ring → Amazon" (targetLabel replaces the last name, e.g., with the user's spelling)
+ */
+function formatOwnershipChain(chain, targetLabel) {
+  return chain.map((step, index) => {
+    const name = index === chain.length - 1 && targetLabel ? targetLabel : step.name;
+    return step.relation === 'investor' ? `${name} (investor)` : name;
+  }).join(' → ');
+}
+
+/**
+ * Load the graph: bundled dataset plus learned edges (once per service worker lifetime)
+ */
+async function loadOwnershipGraph() {
+  if (ownershipGraph) return ownershipGraph;
+
+  try {
+    const index = await loadKnowledgeBase();
+    const result = await chrome.storage.local.get(OWNERSHIP_EDGES_STORAGE_KEY);
+    // Edges saved automatically, before links needed confirming, have no source and are skipped
+    const confirmedEdges = (result[OWNERSHIP_EDGES_STORAGE_KEY] || []).filter(edge => edge.source === 'ai');
+    ownershipGraph = buildOwnershipGraph(index.dataset, confirmedEdges);
+    console.log('Bramble: Ownership graph loaded -', ownershipGraph.parents.size, 'owned names');
+  } catch (error) {
+    console.error('Bramble: Could not load ownership graph:', error);
+    return createOwnershipGraph();
+  }
+  return ownershipGraph;
+}
+
+/**
+ * Keep AI-reported edges the user confirmed so later lookups can follow them
+ * @param {Array} edges - [{ child, parent, relation }]
+ */
+async function rememberOwnershipEdges(edges) {
+  if (edges.length === 0) return;
+
+  const result = await chrome.storage.local.get(OWNERSHIP_EDGES_STORAGE_KEY);
+  const stored = new Map();
+  (result[OWNERSHIP_EDGES_STORAGE_KEY] || []).forEach(edge => {
+    stored.set(`${ownershipKey(edge.child)}>${ownershipKey(edge.parent)}`, edge);
+  });
+
+  // Re-reported edges move to the end so they are dropped last
+  edges.forEach(edge => {
+    const id = `${ownershipKey(edge.child)}>${ownershipKey(edge.parent)}`;
+    stored.delete(id);
+    stored.set(id, { child: edge.child, parent: edge.parent, relation: edge.relation, source: 'ai', addedAt: Date.now() });
+  });
+
+  const kept = [...stored.values()].slice(-OWNERSHIP_GRAPH_LIMITS.maxStoredEdges);
+  await chrome.storage.local.set({ [OWNERSHIP_EDGES_STORAGE_KEY]: kept });
+  ownershipGraph = null; // Rebuilt with the new edges on next use
+}
+
+/**
+ * Forget every learned edge (the bundled dataset stays)
+ */
+async function clearOwnershipEdges() {
+  await chrome.storage.local.remove(OWNERSHIP_EDGES_STORAGE_KEY);
+  ownershipGraph = null;
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OWNERSHIP_EDGES_STORAGE_KEY,
+    OWNERSHIP_GRAPH_LIMITS,
+    ownershipKey,
+    createOwnershipGraph,
+    resolveOwnershipKey,
+    addOwnershipAlias,
+    addOwnershipEdge,
+    buildOwnershipGraph,
+    extendOwnershipGraph,
+    getOwnershipEdgesFromAnalysis,
+    findNewOwnershipEdges,
+    findOwnershipChain,
+    formatOwnershipChain,
+    loadOwnershipGraph,
+    rememberOwnershipEdges,
+    clearOwnershipEdges
+  };
+}
@@ -7,8 +7,27 @@
 const DEFAULT_SETTINGS = {
   supportLocal: true,
   sustainableProducts: true,
-  avoidedBrands: [], // Array of brand names to avoid
-  location: null // { lat, lon, display, zipCode }
+  avoidedBrands: [], // Avoid-list entries { name, severity, note, tag } (see avoid-list.js)
+  location: null, // { lat, lon, display, zipCode }
+  cacheTtlHours: 168, // How long analyses are reused before calling the API again
+  unsourcedConcerns: 'flag', // 'flag' | 'drop' concerns without a source
+  llmProvider: 'anthropic', // 'anthropic' | 'openai' | 'local'
+  llmModel: '', // Empty = provider default
+  llmBaseUrl: '', // Empty = provider default
+  backendUrl: '', // Empty = call third-party APIs directly
+  requestsPerMinute: 20, // Shared across all tabs
+  scoring: DEFAULT_SCORING_CONFIG, // Factor weights and custom rules (see scoring.js)
+  ranking: DEFAULT_RANKING, // How alternatives are ordered (see profiles.js)
+  activeProfile: DEFAULT_PROFILE_ID, // Value profile the settings above came from
+  cartGuard: false, // Hold add-to-cart clicks on hard-blocked brands (see cart-guard.js)
+  analyzeAnyShop: false // Detect products on shops without a site adapter (see structured-data.js)
+};
+
+// Setup hints shown under the provider picker
+const LLM_PROVIDER_HINTS = {
+  anthropic: 'Uses your Anthropic key from API Keys below.',
+  openai: 'Uses your OpenAI-compatible key from API Keys below. Point the endpoint at any OpenAI-compatible server.',
+  local: 'Runs against a model server on your machine. Start Ollama with OLLAMA_ORIGINS=chrome-extension://* so the extension can reach it.'
 };
 
 /**
@@ -17,10 +36,32 @@ const DEFAULT_SETTINGS = {
 document.addEventListener('DOMContentLoaded', async () => {
   await loadSettings();
   await loadLocation();
+  await loadApiKeys();
   setupEventListeners();
   updateStats();
+  loadSelectorHealth();
+  await focusRequestedSection();
 });
 
+/**
+ * Scroll to a section another page asked for (e.g., the side panel's "configure your keys" button)
+ */
+async function focusRequestedSection() {
+  let sectionId = window.location.hash.slice(1);
+
+  if (!sectionId && chrome.storage.session) {
+    const result = await chrome.storage.session.get('popupFocus');
+    sectionId = result.popupFocus;
+    await chrome.storage.session.remove('popupFocus');
+  }
+
+  const section = sectionId ? document.getElementById(sectionId) : null;
+  if (section) {
+    section.scrollIntoView({ block: 'start' });
+    section.querySelector('input')?.focus();
+  }
+}
+
 /**
  * Load settings from Chrome storage
  */
@@ -32,9 +73,34 @@ async function loadSettings() {
     // Update toggle switches
     document.getElementById('toggle-local').checked = settings.supportLocal !== false;
     document.getElementById('toggle-sustainable').checked = settings.sustainableProducts !== false;
+    document.getElementById('toggle-cart-guard').checked = settings.cartGuard === true;
+    document.getElementById('toggle-any-shop').checked = settings.analyzeAnyShop === true &&
+      await chrome.permissions.contains({ origins: ANY_SHOP_ORIGINS });
 
     // Load and display avoided brands
     loadBrandsList(settings.avoidedBrands || []);
+    loadSharedAvoidLists();
+
+    // Concerns without a source
+    const unsourcedSelect = document.getElementById('unsourced-concerns-select');
+    if (unsourcedSelect) {
+      unsourcedSelect.value = settings.unsourcedConcerns || DEFAULT_SETTINGS.unsourcedConcerns;
+    }
+
+    // Analysis cache duration
+    const cacheTtlSelect = document.getElementById('cache-ttl-select');
+    if (cacheTtlSelect) {
+      cacheTtlSelect.value = String(settings.cacheTtlHours || DEFAULT_SETTINGS.cacheTtlHours);
+    }
+
+    // AI provider
+    loadProviderSettings(settings);
+
+    // Scoring weights and rules
+    loadScoringSettings(settings.scoring);
+
+    // Value profile and ranking
+    await loadValueProfiles(settings);
 
     // Load location is called separately in initialize
   } catch (error) {
@@ -66,26 +132,43 @@ async function loadLocation() {
   }
 }
 
+/**
+ * Merge changes into the stored settings and notify content scripts
+ * @param {Object} changes - Settings fields to update
+ * @returns {Promise<Object>} The saved settings
+ */
+async function updateSettings(changes) {
+  const result = await chrome.storage.sync.get('settings');
+  const settings = { ...DEFAULT_SETTINGS, ...result.settings, ...changes };
+
+  await chrome.storage.sync.set({ settings });
+  console.log('Settings saved:', settings);
+
+  // Notify content scripts of settings change
+  chrome.runtime.sendMessage({
+    type: 'SETTINGS_UPDATED',
+    data: settings
+  }).catch(() => {
+    // Content script might not be loaded yet, that's okay
+  });
+
+  // Keep the profile picker's "(edited)" marker current
+  loadValueProfiles(settings);
+
+  return settings;
+}
+
 /**
  * Save settings to Chrome storage
  */
 async function saveSettings() {
-  const settings = {
-    supportLocal: document.getElementById('toggle-local').checked,
-    sustainableProducts: document.getElementById('toggle-sustainable').checked,
-    avoidedBrands: await getAvoidedBrands()
-  };
-
   try {
-    await chrome.storage.sync.set({ settings });
-    console.log('Settings saved:', settings);
-
-    // Notify content scripts of settings change
-    chrome.runtime.sendMessage({
-      type: 'SETTINGS_UPDATED',
-      data: settings
-    }).catch(() => {
-      // Content script might not be loaded yet, that's okay
+    await updateSettings({
+      supportLocal: document.getElementById('toggle-local').checked,
+      sustainableProducts: document.getElementById('toggle-sustainable').checked,
+      cartGuard: document.getElementById('toggle-cart-guard').checked,
+      cacheTtlHours: Number(document.getElementById('cache-ttl-select')?.value) || DEFAULT_SETTINGS.cacheTtlHours,
+      unsourcedConcerns: document.getElementById('unsourced-concerns-select')?.value || DEFAULT_SETTINGS.unsourcedConcerns
     });
 
     // Show visual feedback
@@ -96,13 +179,341 @@ async function saveSettings() {
 }
 
 /**
- * Get current list of avoided brands
+ * Turn "analyze any shop" on or off
+ * Turning it on asks for the optional host permission; if the user declines, the toggle goes back off.
+ * @param {HTMLInputElement} toggle - The #toggle-any-shop checkbox
+ */
+async function setAnalyzeAnyShop(toggle) {
+  try {
+    if (toggle.checked) {
+      // Must run straight from the click for Chrome to show the prompt
+      const granted = await chrome.permissions.request({ origins: ANY_SHOP_ORIGINS });
+      if (!granted) {
+        toggle.checked = false;
+        return;
+      }
+    }
+
+    await updateSettings({ analyzeAnyShop: toggle.checked });
+    showSaveNotification();
+  } catch (error) {
+    console.error('Error changing analyze-any-shop mode:', error);
+    toggle.checked = false;
+  }
+}
+
+/**
+ * Show the selected AI provider, model and endpoint
+ */
+function loadProviderSettings(settings) {
+  const providerSelect = document.getElementById('llm-provider-select');
+  const modelInput = document.getElementById('llm-model-input');
+  const baseUrlInput = document.getElementById('llm-base-url-input');
+  if (!providerSelect || !modelInput || !baseUrlInput) return;
+
+  const provider = LLM_PROVIDER_DEFAULTS[settings.llmProvider] ? settings.llmProvider : DEFAULT_LLM_PROVIDER;
+  providerSelect.value = provider;
+  modelInput.value = settings.llmModel || '';
+  baseUrlInput.value = settings.llmBaseUrl || '';
+
+  const rateSelect = document.getElementById('llm-rate-select');
+  if (rateSelect) {
+    rateSelect.value = String(settings.requestsPerMinute || DEFAULT_SETTINGS.requestsPerMinute);
+  }
+
+  const backendUrlInput = document.getElementById('backend-url-input');
+  if (backendUrlInput) {
+    backendUrlInput.value = settings.backendUrl || '';
+  }
+
+  updateProviderPlaceholders(provider);
+}
+
+/**
+ * Show the provider's defaults as placeholders
+ */
+function updateProviderPlaceholders(provider) {
+  const defaults = LLM_PROVIDER_DEFAULTS[provider];
+  document.getElementById('llm-model-input').placeholder = defaults.model;
+  document.getElementById('llm-base-url-input').placeholder = defaults.baseUrl;
+
+  const hint = document.getElementById('llm-provider-hint');
+  if (hint) hint.textContent = LLM_PROVIDER_HINTS[provider] || '';
+}
+
+/**
+ * Ask for access to a user-entered https server that isn't one of the built-in hosts
+ * Must run straight from the user's action; asking again for a granted origin doesn't prompt.
+ * @returns {Promise<boolean>} Whether the extension may call it (true for http and invalid URLs,
+ *   which are either allowed already or reported by the caller)
+ */
+async function requestOriginPermission(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return true;
+  }
+  if (parsedUrl.protocol !== 'https:') return true;
+
+  return chrome.permissions.request({ origins: [`${parsedUrl.origin}/*`] });
+}
+
+/**
+ * Save AI provider settings
+ */
+async function saveProviderSettings() {
+  const provider = document.getElementById('llm-provider-select').value;
+  const llmBaseUrl = document.getElementById('llm-base-url-input').value.trim();
+  updateProviderPlaceholders(provider);
+
+  try {
+    if (llmBaseUrl && !await requestOriginPermission(llmBaseUrl)) {
+      console.warn('Bramble: No access granted to', llmBaseUrl);
+    }
+    await updateSettings({
+      llmProvider: provider,
+      llmModel: document.getElementById('llm-model-input').value.trim(),
+      llmBaseUrl,
+      requestsPerMinute: Number(document.getElementById('llm-rate-select')?.value) || DEFAULT_SETTINGS.requestsPerMinute
+    });
+    showSaveNotification();
+  } catch (error) {
+    console.error('Error saving provider settings:', error);
+  }
+}
+
+/**
+ * Save the team server URL (empty switches back to direct mode)
+ */
+async function saveBackendUrl() {
+  const input = document.getElementById('backend-url-input');
+  const backendUrl = input.value.trim().replace(/\/+$/, '');
+
+  if (backendUrl && !/^https?:\/\//i.test(backendUrl)) {
+    setApiKeyStatus('backend', 'error', '⚠ The server URL must start with http:// or https://');
+    return;
+  }
+
+  try {
+    if (backendUrl && !await requestOriginPermission(backendUrl)) {
+      setApiKeyStatus('backend', 'error', '⚠ Bramble needs access to the server to use it');
+      return;
+    }
+    await updateSettings({ backendUrl });
+    input.value = backendUrl;
+    setApiKeyStatus('backend', '', backendUrl ? 'Using the team server.' : 'Calling services directly.');
+    showSaveNotification();
+  } catch (error) {
+    console.error('Error saving server URL:', error);
+  }
+}
+
+/**
+ * Show which keys are saved (masked - the keys themselves never go back into the page)
+ */
+async function loadApiKeys() {
+  try {
+    const keys = await getApiKeys();
+    document.querySelectorAll('[data-api-key-service]').forEach(row => {
+      showSavedApiKey(row, keys[row.dataset.apiKeyService]);
+    });
+  } catch (error) {
+    console.error('Error loading API keys:', error);
+  }
+}
+
+/**
+ * Reflect a row's saved key in its placeholder and remove button
+ */
+function showSavedApiKey(row, key) {
+  const input = row.querySelector('.api-key-input');
+  if (!input.dataset.defaultPlaceholder) {
+    input.dataset.defaultPlaceholder = input.placeholder;
+  }
+
+  input.value = '';
+  input.placeholder = key ? `Saved ${maskApiKey(key)}` : input.dataset.defaultPlaceholder;
+  row.querySelector('.api-key-remove-btn').style.display = key ? '' : 'none';
+}
+
+/**
+ * Show a key test result under its row
+ */
+function setApiKeyStatus(service, status, message) {
+  const statusEl = document.getElementById(`api-key-status-${service}`);
+  if (!statusEl) return;
+
+  statusEl.className = `api-key-status ${status || ''}`;
+  statusEl.textContent = message || '';
+}
+
+/**
+ * Save the key typed into a row
+ */
+async function saveApiKeyFromRow(row) {
+  const service = row.dataset.apiKeyService;
+  const key = row.querySelector('.api-key-input').value.trim();
+  if (!key) return;
+
+  try {
+    await saveApiKey(service, key);
+    showSavedApiKey(row, key);
+    setApiKeyStatus(service, '', 'Saved. Use Test to check it.');
+    showSaveNotification('🔑 Key saved');
+  } catch (error) {
+    console.error('Error saving API key:', error.message);
+    setApiKeyStatus(service, 'error', 'Could not save this key. Please try again.');
+  }
+}
+
+/**
+ * Test the typed key (or the saved one) with a minimal call to its service
+ */
+async function testApiKeyFromRow(row) {
+  const service = row.dataset.apiKeyService;
+  const button = row.querySelector('.api-key-test-btn');
+
+  // Save whatever was typed first so the test matches what analyses will use
+  await saveApiKeyFromRow(row);
+  const key = (await getApiKeys())[service];
+
+  const settings = (await chrome.storage.sync.get('settings')).settings || {};
+  const options = {};
+  if (service === 'openai') {
+    // The endpoint field belongs to the selected provider; otherwise test against OpenAI itself
+    const openaiSettings = settings.llmProvider === 'openai' ? { ...settings, backendUrl: '' } : { llmProvider: 'openai' };
+    options.baseUrl = getProviderConfig(openaiSettings).baseUrl;
+  } else if (service === 'backend') {
+    options.baseUrl = settings.backendUrl;
+  }
+
+  button.disabled = true;
+  button.textContent = '...';
+  setApiKeyStatus(service, '', 'Testing...');
+
+  const result = await testApiKey(service, key, options);
+  setApiKeyStatus(service, result.status, `${result.status === 'valid' ? '✓' : '⚠'} ${result.message}`);
+
+  button.disabled = false;
+  button.textContent = 'Test';
+}
+
+/**
+ * Remove a row's saved key
+ */
+async function removeApiKeyFromRow(row) {
+  const service = row.dataset.apiKeyService;
+
+  try {
+    await saveApiKey(service, '');
+    showSavedApiKey(row, null);
+    setApiKeyStatus(service, '', '');
+    showSaveNotification('🗑️ Key removed');
+  } catch (error) {
+    console.error('Error removing API key:', error.message);
+  }
+}
+
+/**
+ * Clear all cached product analyses
+ */
+async function clearAnalysisCache() {
+  try {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_ANALYSIS_CACHE' });
+    showSaveNotification('🗑️ Cached analyses and learned ownership links cleared');
+  } catch (error) {
+    console.error('Error clearing analysis cache:', error);
+    alert('Failed to clear cache. Please try again.');
+  }
+}
+
+/**
+ * Show the selector health log, one expandable row per retailer
+ */
+async function loadSelectorHealth() {
+  const container = document.getElementById('selector-health');
+  if (!container) return;
+
+  const result = await chrome.storage.local.get(SELECTOR_HEALTH_KEY);
+  const rows = summarizeSelectorHealth(result[SELECTOR_HEALTH_KEY]);
+
+  container.innerHTML = '';
+  if (rows.length === 0) {
+    container.innerHTML = '<div class="empty-brands">No product pages checked yet.</div>';
+    return;
+  }
+
+  rows.forEach(row => container.appendChild(createSelectorHealthElement(row)));
+}
+
+/**
+ * One retailer: status, last warnings and how often each selector matched
+ */
+function createSelectorHealthElement(row) {
+  const details = document.createElement('details');
+  details.className = 'shared-list';
+
+  const summary = document.createElement('summary');
+  summary.textContent = `${row.healthy ? '✅' : '⚠️'} ${row.site} · ${row.checks} ${row.checks === 1 ? 'page' : 'pages'}`;
+  details.appendChild(summary);
+
+  const meta = document.createElement('div');
+  meta.className = row.healthy ? 'shared-list-meta' : 'shared-list-meta error';
+  const checked = new Date(row.lastCheckedAt).toLocaleDateString();
+  meta.textContent = row.healthy
+    ? `Last page ${checked}: every field found by its own selectors${row.warningCount > 0 ? ` (${row.warningCount} earlier ${row.warningCount === 1 ? 'warning' : 'warnings'})` : ''}`
+    : `Last page ${checked}: ${row.lastWarnings.join('; ')}`;
+  details.appendChild(meta);
+
+  const entries = document.createElement('div');
+  entries.className = 'shared-list-entries';
+  Object.entries(row.fields).forEach(([field, counts]) => {
+    Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([selector, count]) => {
+        const entry = document.createElement('div');
+        entry.className = selector === 'none' || selector.startsWith('fallback:') ? 'shared-list-entry shadowed' : 'shared-list-entry';
+
+        const label = document.createElement('span');
+        label.className = 'selector-health-selector';
+        label.textContent = `${field}: ${selector === 'none' ? 'not found' : selector}`;
+        label.title = selector;
+        entry.appendChild(label);
+
+        const countEl = document.createElement('span');
+        countEl.textContent = `×${count}`;
+        entry.appendChild(countEl);
+
+        entries.appendChild(entry);
+      });
+  });
+  details.appendChild(entries);
+
+  return details;
+}
+
+/**
+ * Empty the selector health log
+ */
+async function clearSelectorHealth() {
+  try {
+    await chrome.storage.local.remove(SELECTOR_HEALTH_KEY);
+    await loadSelectorHealth();
+    showSaveNotification('🗑️ Selector log cleared');
+  } catch (error) {
+    console.error('Error clearing selector health:', error);
+  }
+}
+
+/**
+ * Get current list of avoided brands (plain-string lists are migrated)
  */
 async function getAvoidedBrands() {
   try {
     const result = await chrome.storage.sync.get('settings');
     const settings = result.settings || DEFAULT_SETTINGS;
-    return settings.avoidedBrands || [];
+    return normalizeAvoidList(settings.avoidedBrands);
   } catch (error) {
     console.error('Error getting avoided brands:', error);
     return [];
@@ -110,42 +521,242 @@ async function getAvoidedBrands() {
 }
 
 /**
- * Load and display brands list
+ * Show subscribed and imported avoid lists with per-entry overrides
+ */
+async function loadSharedAvoidLists() {
+  const container = document.getElementById('shared-lists');
+  if (!container) return;
+
+  const [subscriptions, personal] = await Promise.all([loadAvoidSubscriptions(), getAvoidedBrands()]);
+  const personalNames = new Set(personal.map(entry => entry.name.toLowerCase()));
+
+  container.innerHTML = '';
+  if (subscriptions.length === 0) {
+    container.innerHTML = '<div class="empty-brands">No shared lists. Subscribe to a list URL or import a JSON/CSV file.</div>';
+    return;
+  }
+
+  subscriptions.forEach(subscription => container.appendChild(createSharedListElement(subscription, personalNames)));
+}
+
+/**
+ * One shared list: label, status, remove button and its entries
+ */
+function createSharedListElement(subscription, personalNames) {
+  const details = document.createElement('details');
+  details.className = 'shared-list';
+
+  const summary = document.createElement('summary');
+  const label = document.createElement('span');
+  label.className = 'brand-name';
+  label.textContent = `${formatAvoidListLabel(subscription)} (${subscription.entries.length})`;
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-brand-btn';
+  removeBtn.textContent = '×';
+  removeBtn.setAttribute('aria-label', `Remove ${subscription.name}`);
+  removeBtn.addEventListener('click', (event) => {
+    event.preventDefault();
+    sendAvoidListChange({ type: 'REMOVE_AVOID_LIST', listId: subscription.id }, '🗑️ List removed');
+  });
+
+  summary.appendChild(label);
+  summary.appendChild(removeBtn);
+  details.appendChild(summary);
+
+  const meta = document.createElement('div');
+  meta.className = subscription.lastError ? 'shared-list-meta error' : 'shared-list-meta';
+  const updated = new Date(subscription.fetchedAt).toLocaleDateString();
+  meta.textContent = subscription.url
+    ? `${new URL(subscription.url).hostname} · updated ${updated}${subscription.lastError ? ` · last refresh failed: ${subscription.lastError}` : ''}`
+    : `Imported file · ${updated}`;
+  details.appendChild(meta);
+
+  const entries = document.createElement('div');
+  entries.className = 'shared-list-entries';
+  subscription.entries.forEach(entry => {
+    const row = document.createElement('div');
+    const shadowed = personalNames.has(entry.name.toLowerCase());
+    row.className = shadowed ? 'shared-list-entry shadowed' : 'shared-list-entry';
+
+    const name = document.createElement('span');
+    name.textContent = shadowed ? `${entry.name} (your entry applies)` : entry.name;
+    if (entry.note) name.title = entry.note;
+    row.appendChild(name);
+
+    const select = document.createElement('select');
+    select.className = 'popup-select';
+    select.setAttribute('aria-label', `Override ${entry.name}`);
+    select.appendChild(new Option(`List: ${AVOID_SEVERITIES[entry.severity].label}`, ''));
+    Object.entries(AVOID_SEVERITIES).forEach(([severity, info]) => select.appendChild(new Option(info.label, severity)));
+    select.appendChild(new Option('Off', AVOID_OVERRIDE_OFF));
+    select.value = (subscription.overrides || {})[entry.name.toLowerCase()] || '';
+    select.disabled = shadowed;
+    select.addEventListener('change', () => sendAvoidListChange({
+      type: 'SET_AVOID_LIST_OVERRIDE',
+      listId: subscription.id,
+      name: entry.name,
+      override: select.value || null
+    }));
+    row.appendChild(select);
+
+    entries.appendChild(row);
+  });
+  details.appendChild(entries);
+
+  return details;
+}
+
+/**
+ * Ask the background worker to change the shared lists, then redraw them
+ * @param {Object} message - SUBSCRIBE_AVOID_LIST, IMPORT_AVOID_LIST, REFRESH_AVOID_LISTS, ...
+ * @param {string} [notice] - Shown on success
+ * @returns {Promise<boolean>} Whether the change worked
+ */
+async function sendAvoidListChange(message, notice) {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response');
+    }
+    await loadSharedAvoidLists();
+    showSaveNotification(notice);
+    return true;
+  } catch (error) {
+    console.error('Error updating shared avoid lists:', error);
+    alert(`Shared list: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Subscribe to the URL in the list URL field
+ */
+async function subscribeToListUrl() {
+  const input = document.getElementById('avoid-list-url-input');
+  const url = input ? input.value.trim() : '';
+  if (!url) return;
+
+  if (!await requestOriginPermission(url)) {
+    alert('Shared list: Bramble needs access to the list\'s site to download it');
+    return;
+  }
+  if (await sendAvoidListChange({ type: 'SUBSCRIBE_AVOID_LIST', url }, '✓ Subscribed')) {
+    input.value = '';
+  }
+}
+
+/**
+ * Import the picked JSON/CSV file
+ */
+async function importListFile(event) {
+  const file = event.target.files[0];
+  event.target.value = ''; // Picking the same file again still fires change
+  if (!file) return;
+
+  if (file.size > AVOID_SUBSCRIPTION_LIMITS.maxListBytes) {
+    alert('That file is too large for an avoid list');
+    return;
+  }
+
+  const text = await file.text();
+  await sendAvoidListChange({ type: 'IMPORT_AVOID_LIST', text, fileName: file.name }, '✓ List imported');
+}
+
+/**
+ * Fill the severity picker and tag suggestions of the add-brand form
+ */
+function setupAvoidListForm() {
+  const severitySelect = document.getElementById('avoid-severity-select');
+  if (severitySelect && severitySelect.options.length === 0) {
+    Object.entries(AVOID_SEVERITIES).forEach(([severity, info]) => {
+      const option = new Option(info.label, severity);
+      option.title = info.description;
+      severitySelect.appendChild(option);
+    });
+    severitySelect.value = DEFAULT_AVOID_SEVERITY;
+  }
+
+  const tagSuggestions = document.getElementById('avoid-tag-suggestions');
+  if (tagSuggestions && tagSuggestions.options.length === 0) {
+    SUGGESTED_AVOID_TAGS.forEach(tag => tagSuggestions.appendChild(new Option(tag)));
+  }
+}
+
+/**
+ * Load and display brands list, grouped by tag (untagged entries first)
  */
 function loadBrandsList(brands) {
   const brandsList = document.getElementById('brands-list');
   if (!brandsList) return;
 
-  if (!brands || brands.length === 0) {
+  const entries = normalizeAvoidList(brands);
+  if (entries.length === 0) {
     brandsList.innerHTML = '<div class="empty-brands">No brands added yet. Add brands above to avoid them.</div>';
     return;
   }
 
   brandsList.innerHTML = '';
-  brands.forEach(brand => {
-    const brandTag = createBrandTag(brand);
-    brandsList.appendChild(brandTag);
+  // Lists from before the limit keep every entry, but new ones can't be added
+  if (entries.length > AVOID_LIST_LIMITS.maxEntries) {
+    const warning = document.createElement('div');
+    warning.className = 'shared-list-meta error';
+    warning.textContent = `You're avoiding ${entries.length} brands - more than the ${AVOID_LIST_LIMITS.maxEntries} that fit in synced settings. Remove some before adding more, or move them to an imported list.`;
+    brandsList.appendChild(warning);
+  }
+  const tags = [...new Set(entries.map(entry => entry.tag))].sort();
+  tags.forEach(tag => {
+    if (tag) {
+      const title = document.createElement('div');
+      title.className = 'brand-group-title';
+      title.textContent = tag;
+      brandsList.appendChild(title);
+    }
+    entries
+      .filter(entry => entry.tag === tag)
+      .forEach(entry => brandsList.appendChild(createBrandTag(entry)));
   });
 }
 
 /**
- * Create a brand tag element
+ * Create a brand tag element (name, note, severity picker and remove button)
  */
-function createBrandTag(brandName) {
+function createBrandTag(entry) {
   const tag = document.createElement('div');
-  tag.className = 'brand-tag';
+  tag.className = `brand-tag severity-${entry.severity}`;
+
+  const details = document.createElement('div');
+  details.className = 'brand-details';
 
-  const name = document.createElement('span');
+  const name = document.createElement('div');
   name.className = 'brand-name';
-  name.textContent = brandName;
+  name.textContent = entry.name;
+  details.appendChild(name);
+
+  if (entry.note) {
+    const note = document.createElement('div');
+    note.className = 'brand-note';
+    note.textContent = entry.note;
+    details.appendChild(note);
+  }
+
+  const severitySelect = document.createElement('select');
+  severitySelect.className = 'popup-select';
+  severitySelect.setAttribute('aria-label', `What happens on a ${entry.name} match`);
+  Object.entries(AVOID_SEVERITIES).forEach(([severity, info]) => {
+    severitySelect.appendChild(new Option(info.label, severity));
+  });
+  severitySelect.value = entry.severity;
+  severitySelect.addEventListener('change', () => updateBrandSeverity(entry.name, severitySelect.value));
 
   const removeBtn = document.createElement('button');
   removeBtn.className = 'remove-brand-btn';
   removeBtn.textContent = '×';
-  removeBtn.setAttribute('aria-label', `Remove ${brandName}`);
-  removeBtn.addEventListener('click', () => removeBrand(brandName));
+  removeBtn.setAttribute('aria-label', `Remove ${entry.name}`);
+  removeBtn.addEventListener('click', () => removeBrand(entry.name));
 
-  tag.appendChild(name);
+  tag.appendChild(details);
+  tag.appendChild(severitySelect);
   tag.appendChild(removeBtn);
 
   return tag;
@@ -158,6 +769,10 @@ async function addBrand() {
   const input = document.getElementById('brand-input');
   if (!input) return;
 
+  const severitySelect = document.getElementById('avoid-severity-select');
+  const tagInput = document.getElementById('avoid-tag-input');
+  const noteInput = document.getElementById('avoid-note-input');
+
   const brandName = input.value.trim();
 
   // Validate input
@@ -165,8 +780,8 @@ async function addBrand() {
     return;
   }
 
-  if (brandName.length > 50) {
-    alert('Brand name is too long (max 50 characters)');
+  if (brandName.length > AVOID_LIST_LIMITS.maxNameLength) {
+    alert(`Brand name is too long (max ${AVOID_LIST_LIMITS.maxNameLength} characters)`);
     return;
   }
 
@@ -175,74 +790,78 @@ async function addBrand() {
 
   // Check for duplicates (case-insensitive)
   const brandLower = brandName.toLowerCase();
-  if (brands.some(b => b.toLowerCase() === brandLower)) {
+  if (brands.some(b => b.name.toLowerCase() === brandLower)) {
     alert('This brand is already in your list');
     return;
   }
 
-  // Add new brand
-  brands.push(brandName);
+  if (brands.length >= AVOID_LIST_LIMITS.maxEntries) {
+    alert(`You can avoid up to ${AVOID_LIST_LIMITS.maxEntries} brands`);
+    return;
+  }
 
-  // Save to storage
-  const settings = {
-    supportLocal: document.getElementById('toggle-local').checked,
-    sustainableProducts: document.getElementById('toggle-sustainable').checked,
-    avoidedBrands: brands
-  };
+  // Add new brand
+  brands.push(normalizeAvoidEntry({
+    name: brandName,
+    severity: severitySelect ? severitySelect.value : DEFAULT_AVOID_SEVERITY,
+    tag: tagInput ? tagInput.value : '',
+    note: noteInput ? noteInput.value : ''
+  }));
 
   try {
-    await chrome.storage.sync.set({ settings });
+    await updateSettings({ avoidedBrands: brands });
 
     // Update UI
     loadBrandsList(brands);
+    loadSharedAvoidLists();
 
-    // Clear input
+    // Clear inputs (severity and tag stay for the next entry)
     input.value = '';
+    if (noteInput) noteInput.value = '';
 
     // Show notification
     showSaveNotification();
 
-    // Notify content scripts
-    chrome.runtime.sendMessage({
-      type: 'SETTINGS_UPDATED',
-      data: settings
-    }).catch(() => {});
-
   } catch (error) {
     console.error('Error adding brand:', error);
     alert('Failed to add brand. Please try again.');
   }
 }
 
+/**
+ * Change what happens when an avoided brand matches
+ */
+async function updateBrandSeverity(brandName, severity) {
+  const brands = await getAvoidedBrands();
+  const updatedBrands = brands.map(b => b.name === brandName ? { ...b, severity } : b);
+
+  try {
+    await updateSettings({ avoidedBrands: updatedBrands });
+    loadBrandsList(updatedBrands);
+    showSaveNotification();
+  } catch (error) {
+    console.error('Error updating brand:', error);
+    alert('Failed to update brand. Please try again.');
+  }
+}
+
 /**
  * Remove a brand from the avoid list
  */
 async function removeBrand(brandName) {
   const brands = await getAvoidedBrands();
-  const updatedBrands = brands.filter(b => b !== brandName);
-
-  // Save to storage
-  const settings = {
-    supportLocal: document.getElementById('toggle-local').checked,
-    sustainableProducts: document.getElementById('toggle-sustainable').checked,
-    avoidedBrands: updatedBrands
-  };
+  const updatedBrands = brands.filter(b => b.name !== brandName);
 
   try {
-    await chrome.storage.sync.set({ settings });
+    await updateSettings({ avoidedBrands: updatedBrands });
 
     // Update UI
     loadBrandsList(updatedBrands);
+    loadSharedAvoidLists();
 
     // Show notification
     showSaveNotification();
 
-    // Notify content scripts
-    chrome.runtime.sendMessage({
-      type: 'SETTINGS_UPDATED',
-      data: settings
-    }).catch(() => {});
-
   } catch (error) {
     console.error('Error removing brand:', error);
     alert('Failed to remove brand. Please try again.');
@@ -433,12 +1052,377 @@ function getMockCoordinatesForZip(zipCode) {
   return regions[firstDigit] || { lat: 39.0, lon: -98.0 }; // Center of US
 }
 
+/**
+ * Show the scoring factors and custom rules
+ */
+function loadScoringSettings(storedConfig) {
+  const config = normalizeScoringConfig(storedConfig);
+  renderScoringFactors(config);
+  renderCustomRules(config.customRules);
+}
+
+/**
+ * Render one row per built-in factor, grouped (checkbox = on/off, number = weight)
+ */
+function renderScoringFactors(config) {
+  const container = document.getElementById('scoring-factors');
+  if (!container) return;
+
+  container.innerHTML = '';
+  let groupEl = null;
+
+  SCORING_FACTORS.forEach(factor => {
+    if (!groupEl || groupEl.dataset.group !== factor.group) {
+      groupEl = document.createElement('div');
+      groupEl.className = 'scoring-group';
+      groupEl.dataset.group = factor.group;
+
+      const title = document.createElement('div');
+      title.className = 'field-label';
+      title.textContent = factor.group;
+      groupEl.appendChild(title);
+      container.appendChild(groupEl);
+    }
+
+    const enabled = !config.disabledFactors.includes(factor.id);
+    const row = document.createElement('div');
+    row.className = `scoring-factor${enabled ? '' : ' disabled'}`;
+    row.dataset.factorId = factor.id;
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = enabled;
+    checkbox.className = 'scoring-factor-toggle';
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(factor.label));
+
+    const weightInput = document.createElement('input');
+    weightInput.type = 'number';
+    weightInput.className = 'scoring-weight-input';
+    weightInput.min = SCORING_LIMITS.minWeight;
+    weightInput.max = SCORING_LIMITS.maxWeight;
+    weightInput.step = 5;
+    weightInput.value = factor.id in config.weights ? config.weights[factor.id] : factor.weight;
+    weightInput.disabled = !enabled;
+    weightInput.title = `Default: ${factor.weight > 0 ? '+' : ''}${factor.weight}`;
+
+    checkbox.addEventListener('change', () => saveScoringFactor(row));
+    weightInput.addEventListener('change', () => saveScoringFactor(row));
+
+    row.appendChild(label);
+    row.appendChild(weightInput);
+    groupEl.appendChild(row);
+  });
+}
+
+/**
+ * Render the user's custom rules with remove buttons
+ */
+function renderCustomRules(rules) {
+  const list = document.getElementById('scoring-rules-list');
+  if (!list) return;
+
+  if (rules.length === 0) {
+    list.innerHTML = '<div class="empty-brands">No rules yet. e.g., -20 if ownership is private-equity</div>';
+    return;
+  }
+
+  list.innerHTML = '';
+  rules.forEach(rule => {
+    const tag = document.createElement('div');
+    tag.className = 'brand-tag';
+
+    const name = document.createElement('span');
+    name.className = 'brand-name';
+    name.textContent = `${rule.change > 0 ? '+' : ''}${rule.change} if ${describeCustomRule(rule).toLowerCase()}`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-brand-btn';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', 'Remove rule');
+    removeBtn.addEventListener('click', () => removeCustomRule(rule.id));
+
+    tag.appendChild(name);
+    tag.appendChild(removeBtn);
+    list.appendChild(tag);
+  });
+}
+
+/**
+ * Fill the rule form's field picker and show the matching value control
+ */
+function setupCustomRuleForm() {
+  const fieldSelect = document.getElementById('rule-field-select');
+  if (!fieldSelect) return;
+
+  fieldSelect.innerHTML = Object.entries(CUSTOM_RULE_FIELDS)
+    .map(([field, definition]) => `<option value="${field}">${definition.label}</option>`)
+    .join('');
+  fieldSelect.addEventListener('change', updateCustomRuleValueControl);
+  updateCustomRuleValueControl();
+}
+
+/**
+ * Fields with fixed values get a picker; certifications get free text
+ */
+function updateCustomRuleValueControl() {
+  const field = CUSTOM_RULE_FIELDS[document.getElementById('rule-field-select').value];
+  const valueSelect = document.getElementById('rule-value-select');
+  const valueInput = document.getElementById('rule-value-input');
+
+  if (field.options) {
+    valueSelect.innerHTML = field.options.map(option => `<option value="${option}">${option}</option>`).join('');
+    valueSelect.style.display = '';
+    valueInput.style.display = 'none';
+  } else {
+    valueSelect.style.display = 'none';
+    valueInput.style.display = '';
+  }
+}
+
+/**
+ * Read the stored scoring config, apply a change and save it
+ * @param {Function} change - Receives the normalized config and mutates it
+ */
+async function updateScoringConfig(change) {
+  const result = await chrome.storage.sync.get('settings');
+  const config = normalizeScoringConfig(result.settings?.scoring);
+  change(config);
+
+  const settings = await updateSettings({ scoring: normalizeScoringConfig(config) });
+  loadScoringSettings(settings.scoring);
+  showSaveNotification('✓ Scoring updated');
+}
+
+/**
+ * Save a factor row's on/off state and weight
+ */
+async function saveScoringFactor(row) {
+  const factorId = row.dataset.factorId;
+  const factor = SCORING_FACTORS.find(candidate => candidate.id === factorId);
+  const enabled = row.querySelector('.scoring-factor-toggle').checked;
+  const weight = Number(row.querySelector('.scoring-weight-input').value);
+
+  try {
+    await updateScoringConfig(config => {
+      config.disabledFactors = config.disabledFactors.filter(id => id !== factorId);
+      if (!enabled) config.disabledFactors.push(factorId);
+
+      // Only weights that differ from the default are stored
+      if (Number.isFinite(weight) && weight !== factor.weight) {
+        config.weights[factorId] = weight;
+      } else {
+        delete config.weights[factorId];
+      }
+    });
+  } catch (error) {
+    console.error('Error saving scoring factor:', error);
+  }
+}
+
+/**
+ * Add a custom rule from the form
+ */
+async function addCustomRule() {
+  const field = document.getElementById('rule-field-select').value;
+  const value = CUSTOM_RULE_FIELDS[field].options
+    ? document.getElementById('rule-value-select').value
+    : document.getElementById('rule-value-input').value;
+  const rule = normalizeCustomRule({
+    id: `rule-${Date.now()}`,
+    field,
+    value,
+    change: Number(document.getElementById('rule-change-input').value)
+  });
+
+  if (!rule) {
+    alert('Enter a value and a non-zero number of points for the rule.');
+    return;
+  }
+
+  try {
+    const result = await chrome.storage.sync.get('settings');
+    const rules = normalizeScoringConfig(result.settings?.scoring).customRules;
+    if (rules.length >= SCORING_LIMITS.maxCustomRules) {
+      alert(`You can have up to ${SCORING_LIMITS.maxCustomRules} rules.`);
+      return;
+    }
+
+    await updateScoringConfig(config => {
+      config.customRules.push(rule);
+    });
+    document.getElementById('rule-value-input').value = '';
+  } catch (error) {
+    console.error('Error adding scoring rule:', error);
+  }
+}
+
+/**
+ * Remove a custom rule
+ */
+async function removeCustomRule(ruleId) {
+  try {
+    await updateScoringConfig(config => {
+      config.customRules = config.customRules.filter(rule => rule.id !== ruleId);
+    });
+  } catch (error) {
+    console.error('Error removing scoring rule:', error);
+  }
+}
+
+/**
+ * Restore the default weights and remove all custom rules
+ */
+async function resetScoring() {
+  if (!confirm('Reset all scoring weights and remove your rules?')) return;
+
+  try {
+    await updateScoringConfig(config => {
+      config.weights = {};
+      config.disabledFactors = [];
+      config.customRules = [];
+    });
+  } catch (error) {
+    console.error('Error resetting scoring:', error);
+  }
+}
+
+/**
+ * Show the profile picker, the active profile's description and the ranking controls
+ */
+async function loadValueProfiles(settings) {
+  const select = document.getElementById('value-profile-select');
+  if (!select) return;
+
+  const result = await chrome.storage.sync.get(VALUE_PROFILES_STORAGE_KEY);
+  const profiles = getValueProfiles(result[VALUE_PROFILES_STORAGE_KEY]);
+  const activeProfile = findValueProfile(profiles, settings.activeProfile) || findValueProfile(profiles, DEFAULT_PROFILE_ID);
+  const modified = isProfileModified(activeProfile, settings);
+
+  select.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile === activeProfile && modified ? `${profile.name} (edited)` : profile.name;
+    select.appendChild(option);
+  });
+  select.value = activeProfile.id;
+
+  document.getElementById('value-profile-description').textContent = modified
+    ? `${activeProfile.description} Some settings below were changed since - save them as a new profile to keep them.`
+    : activeProfile.description;
+  document.getElementById('delete-profile-btn').style.display = activeProfile.preset ? 'none' : '';
+
+  const ranking = normalizeRanking(settings.ranking);
+  const sortSelect = document.getElementById('ranking-sort-select');
+  sortSelect.innerHTML = Object.entries(RANKING_SORTS)
+    .map(([sortBy, label]) => `<option value="${sortBy}">${label}</option>`)
+    .join('');
+  sortSelect.value = ranking.sortBy;
+  document.getElementById('ranking-distance-select').value = ranking.maxDistanceMiles ? String(ranking.maxDistanceMiles) : '';
+  document.getElementById('ranking-local-first').checked = ranking.localFirst;
+}
+
+/**
+ * Switch to a profile - its weights, ranking and toggles replace the current ones
+ */
+async function selectValueProfile(profileId) {
+  try {
+    const result = await chrome.storage.sync.get(VALUE_PROFILES_STORAGE_KEY);
+    const profile = findValueProfile(getValueProfiles(result[VALUE_PROFILES_STORAGE_KEY]), profileId);
+    if (!profile) return;
+
+    await updateSettings(getProfileSettings(profile));
+    await loadSettings();
+    showSaveNotification(`✓ Switched to ${profile.name}`);
+  } catch (error) {
+    console.error('Error switching profile:', error);
+  }
+}
+
+/**
+ * Save the ranking controls
+ */
+async function saveRanking() {
+  try {
+    await updateSettings({
+      ranking: normalizeRanking({
+        sortBy: document.getElementById('ranking-sort-select').value,
+        maxDistanceMiles: document.getElementById('ranking-distance-select').value || null,
+        localFirst: document.getElementById('ranking-local-first').checked
+      })
+    });
+    showSaveNotification();
+  } catch (error) {
+    console.error('Error saving ranking:', error);
+  }
+}
+
+/**
+ * Save the current weights, ranking and toggles as a new profile and switch to it
+ */
+async function saveCurrentAsProfile() {
+  const nameInput = document.getElementById('profile-name-input');
+  const name = nameInput.value.trim();
+
+  if (!name) {
+    alert('Enter a name for the profile.');
+    return;
+  }
+
+  try {
+    const result = await chrome.storage.sync.get(['settings', VALUE_PROFILES_STORAGE_KEY]);
+    const customProfiles = result[VALUE_PROFILES_STORAGE_KEY] || [];
+
+    if (customProfiles.length >= PROFILE_LIMITS.maxCustomProfiles) {
+      alert(`You can have up to ${PROFILE_LIMITS.maxCustomProfiles} profiles of your own. Delete one first.`);
+      return;
+    }
+    if (getValueProfiles(customProfiles).some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+      alert(`There's already a profile named "${name}".`);
+      return;
+    }
+
+    const profile = createProfileFromSettings(name, { ...DEFAULT_SETTINGS, ...result.settings });
+    await chrome.storage.sync.set({ [VALUE_PROFILES_STORAGE_KEY]: [...customProfiles, profile] });
+    await updateSettings({ activeProfile: profile.id });
+
+    nameInput.value = '';
+    showSaveNotification(`✓ Saved ${profile.name}`);
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    alert('Could not save the profile. You may have reached the sync storage limit.');
+  }
+}
+
+/**
+ * Delete the selected custom profile (current settings are kept)
+ */
+async function deleteValueProfile() {
+  const profileId = document.getElementById('value-profile-select').value;
+
+  try {
+    const result = await chrome.storage.sync.get(VALUE_PROFILES_STORAGE_KEY);
+    const customProfiles = result[VALUE_PROFILES_STORAGE_KEY] || [];
+    const profile = customProfiles.find(candidate => candidate.id === profileId);
+    if (!profile || !confirm(`Delete the profile "${profile.name}"?`)) return;
+
+    await chrome.storage.sync.set({
+      [VALUE_PROFILES_STORAGE_KEY]: customProfiles.filter(candidate => candidate.id !== profileId)
+    });
+    await updateSettings({ activeProfile: DEFAULT_PROFILE_ID });
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+  }
+}
+
 /**
  * Setup event listeners
  */
 function setupEventListeners() {
   // Toggle switches
-  const toggles = ['toggle-local', 'toggle-sustainable'];
+  const toggles = ['toggle-local', 'toggle-sustainable', 'toggle-cart-guard'];
 
   toggles.forEach(toggleId => {
     const toggle = document.getElementById(toggleId);
@@ -454,20 +1438,103 @@ function setupEventListeners() {
     }
   });
 
+  // Needs a permission prompt first, so it isn't saved with the other toggles
+  document.getElementById('toggle-any-shop')?.addEventListener('change', (e) => setAnalyzeAnyShop(e.target));
+
+  // AI provider, model and endpoint
+  ['llm-provider-select', 'llm-model-input', 'llm-base-url-input', 'llm-rate-select'].forEach(fieldId => {
+    document.getElementById(fieldId)?.addEventListener('change', saveProviderSettings);
+  });
+
+  // Value profiles and ranking
+  document.getElementById('value-profile-select')?.addEventListener('change', (e) => selectValueProfile(e.target.value));
+  ['ranking-sort-select', 'ranking-distance-select', 'ranking-local-first'].forEach(fieldId => {
+    document.getElementById(fieldId)?.addEventListener('change', saveRanking);
+  });
+  document.getElementById('save-profile-btn')?.addEventListener('click', saveCurrentAsProfile);
+  document.getElementById('profile-name-input')?.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') saveCurrentAsProfile();
+  });
+  document.getElementById('delete-profile-btn')?.addEventListener('click', deleteValueProfile);
+
+  // Scoring rules
+  setupCustomRuleForm();
+  document.getElementById('add-rule-btn')?.addEventListener('click', addCustomRule);
+  document.getElementById('reset-scoring-btn')?.addEventListener('click', resetScoring);
+
+  // Team server URL
+  document.getElementById('backend-url-input')?.addEventListener('change', saveBackendUrl);
+
+  // API keys: save on change or Enter, test and remove buttons
+  document.querySelectorAll('[data-api-key-service]').forEach(row => {
+    const input = row.querySelector('.api-key-input');
+    input.addEventListener('change', () => saveApiKeyFromRow(row));
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') saveApiKeyFromRow(row);
+    });
+    row.querySelector('.api-key-test-btn').addEventListener('click', () => testApiKeyFromRow(row));
+    row.querySelector('.api-key-remove-btn').addEventListener('click', () => removeApiKeyFromRow(row));
+  });
+
+  // Analysis cache duration
+  const cacheTtlSelect = document.getElementById('cache-ttl-select');
+  if (cacheTtlSelect) {
+    cacheTtlSelect.addEventListener('change', saveSettings);
+  }
+
+  // Concerns without a source
+  const unsourcedSelect = document.getElementById('unsourced-concerns-select');
+  if (unsourcedSelect) {
+    unsourcedSelect.addEventListener('change', saveSettings);
+  }
+
+  // Clear cache button
+  const clearCacheBtn = document.getElementById('clear-cache-btn');
+  if (clearCacheBtn) {
+    clearCacheBtn.addEventListener('click', clearAnalysisCache);
+  }
+
+  // Clear selector health log button
+  const clearSelectorHealthBtn = document.getElementById('clear-selector-health-btn');
+  if (clearSelectorHealthBtn) {
+    clearSelectorHealthBtn.addEventListener('click', clearSelectorHealth);
+  }
+
   // Add brand button
   const addBrandBtn = document.getElementById('add-brand-btn');
   if (addBrandBtn) {
     addBrandBtn.addEventListener('click', addBrand);
   }
 
-  // Brand input - add on Enter key
-  const brandInput = document.getElementById('brand-input');
-  if (brandInput) {
-    brandInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        addBrand();
-      }
-    });
+  // Brand and note inputs - add on Enter key
+  setupAvoidListForm();
+  ['brand-input', 'avoid-note-input'].forEach(id => {
+    const brandInput = document.getElementById(id);
+    if (brandInput) {
+      brandInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          addBrand();
+        }
+      });
+    }
+  });
+
+  // Shared avoid lists
+  const subscribeListBtn = document.getElementById('subscribe-list-btn');
+  if (subscribeListBtn) {
+    subscribeListBtn.addEventListener('click', subscribeToListUrl);
+  }
+
+  const listFileInput = document.getElementById('avoid-list-file-input');
+  const importListBtn = document.getElementById('import-list-btn');
+  if (listFileInput && importListBtn) {
+    importListBtn.addEventListener('click', () => listFileInput.click());
+    listFileInput.addEventListener('change', importListFile);
+  }
+
+  const refreshListsBtn = document.getElementById('refresh-lists-btn');
+  if (refreshListsBtn) {
+    refreshListsBtn.addEventListener('click', () => sendAvoidListChange({ type: 'REFRESH_AVOID_LISTS' }, '✓ Lists refreshed'));
   }
 
   // Location detection button
@@ -540,6 +1607,12 @@ async function updateStats() {
     const altStat = document.getElementById('stat-alternatives');
     if (altStat) altStat.title = 'Number of alternative products you\'ve explored';
 
+    // Add-to-cart guard: times you kept looking or opened an alternative instead
+    const cartGuard = impact.cartGuard || {};
+    animateValue('stat-reconsidered', 0, (cartGuard.keptLooking || 0) + (cartGuard.alternative || 0), 1000);
+    const reconsideredStat = document.getElementById('stat-reconsidered');
+    if (reconsideredStat) reconsideredStat.title = `Add-to-cart guard: ${cartGuard.buyAnyway || 0} bought anyway, ${cartGuard.removed || 0} removed from your avoid list`;
+
   } catch (error) {
     console.error('Error loading stats:', error);
   }
@@ -595,7 +1668,7 @@ function animateValue(elementId, start, end, duration, prefix = '', suffix = '')
 /**
  * Show save notification
  */
-function showSaveNotification() {
+function showSaveNotification(message = '✓ Settings saved') {
   // Create temporary notification element
   const notification = document.createElement('div');
   notification.style.cssText = `
@@ -611,7 +1684,7 @@ function showSaveNotification() {
     z-index: 10000;
     animation: slideInRight 0.3s ease;
   `;
-  notification.textContent = '✓ Settings saved';
+  notification.textContent = message;
 
   document.body.appendChild(notification);
 
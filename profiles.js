@@ -0,0 +1,260 @@
+/**
+ * Bramble Value Profiles
+ * A profile bundles scoring weights, how alternatives are ranked and the
+ * supportLocal/sustainableProducts toggles under one name. Picking a profile copies
+ * its values into the synced settings; custom profiles are stored under valueProfiles.
+ */
+
+// Under Node, pull in the scoring config helpers (browsers load scoring.js before this file)
+if (typeof normalizeScoringConfig === 'undefined' && typeof require === 'function') {
+  var { normalizeScoringConfig } = require('./scoring.js');
+}
+
+const VALUE_PROFILES_STORAGE_KEY = 'valueProfiles'; // chrome.storage.sync - custom profiles only
+
+const DEFAULT_PROFILE_ID = 'balanced';
+
+const PROFILE_LIMITS = {
+  maxCustomProfiles: 8, // Keeps the synced item well under its 8KB quota
+  maxNameLength: 30
+};
+
+// How alternatives are ordered in the side panel
+const RANKING_SORTS = {
+  distance: 'Nearest first',
+  rating: 'Best rated first',
+  price: 'Lowest price first'
+};
+
+const DEFAULT_RANKING = {
+  localFirst: true, // Local stores ahead of online shops
+  sortBy: 'distance', // One of RANKING_SORTS
+  maxDistanceMiles: null // Hide local stores farther than this (null = no limit)
+};
+
+// Built-in profiles (scoring uses the settings.scoring format from scoring.js)
+const VALUE_PROFILE_PRESETS = [
+  {
+    id: 'balanced',
+    name: 'Balanced',
+    description: 'The default weights - every factor counts.',
+    scoring: { weights: {}, disabledFactors: [], customRules: [] },
+    ranking: { localFirst: true, sortBy: 'distance', maxDistanceMiles: null },
+    supportLocal: true,
+    sustainableProducts: true
+  },
+  {
+    id: 'laborFirst',
+    name: 'Labor first',
+    description: 'Labor records and fair-wage certifications weigh most.',
+    scoring: {
+      weights: { 'concern.labor': -25, 'cert.fairTrade': 20, 'cert.livingWage': 20, 'ownership.coopOrBCorp': 20 },
+      disabledFactors: [],
+      customRules: []
+    },
+    ranking: { localFirst: true, sortBy: 'rating', maxDistanceMiles: null },
+    supportLocal: true,
+    sustainableProducts: true
+  },
+  {
+    id: 'climateFirst',
+    name: 'Climate first',
+    description: 'Environmental records and climate commitments weigh most; nearby stores mean shorter trips.',
+    scoring: {
+      weights: { 'concern.environment': -25, 'cert.carbonNeutral': 20, 'cert.bCorp': 20 },
+      disabledFactors: [],
+      customRules: []
+    },
+    ranking: { localFirst: true, sortBy: 'distance', maxDistanceMiles: 15 },
+    supportLocal: true,
+    sustainableProducts: true
+  },
+  {
+    id: 'keepItLocal',
+    name: 'Keep it local',
+    description: 'Small and family-owned businesses first, big chains penalized hardest.',
+    scoring: {
+      weights: { 'size.mega': -25, 'size.large': -15, 'size.small': 25, 'ownership.family': 20, 'concern.antitrust': -15 },
+      disabledFactors: [],
+      customRules: []
+    },
+    ranking: { localFirst: true, sortBy: 'distance', maxDistanceMiles: 25 },
+    supportLocal: true,
+    sustainableProducts: true
+  },
+  {
+    id: 'budgetConscious',
+    name: 'Budget conscious',
+    description: 'No bonus for certifications, and the cheapest alternatives come first.',
+    scoring: { weights: {}, disabledFactors: [], customRules: [] },
+    ranking: { localFirst: false, sortBy: 'price', maxDistanceMiles: null },
+    supportLocal: true,
+    sustainableProducts: false
+  }
+];
+
+/**
+ * Clean a stored ranking preference
+ * @returns {Object} { localFirst, sortBy, maxDistanceMiles }
+ */
+function normalizeRanking(ranking) {
+  const source = ranking && typeof ranking === 'object' ? ranking : {};
+  const maxDistance = Number(source.maxDistanceMiles);
+
+  return {
+    localFirst: source.localFirst !== false,
+    sortBy: RANKING_SORTS[source.sortBy] ? source.sortBy : DEFAULT_RANKING.sortBy,
+    maxDistanceMiles: source.maxDistanceMiles != null && maxDistance > 0 ? maxDistance : null
+  };
+}
+
+/**
+ * Validate one profile
+ * @returns {Object|null} { id, name, description, scoring, ranking, supportLocal, sustainableProducts } or null
+ */
+function normalizeValueProfile(profile) {
+  if (!profile || typeof profile !== 'object') return null;
+
+  const name = typeof profile.name === 'string' ? profile.name.trim().substring(0, PROFILE_LIMITS.maxNameLength) : '';
+  if (!name || typeof profile.id !== 'string' || !profile.id) return null;
+
+  return {
+    id: profile.id,
+    name,
+    description: typeof profile.description === 'string' ? profile.description : '',
+    scoring: normalizeScoringConfig(profile.scoring),
+    ranking: normalizeRanking(profile.ranking),
+    supportLocal: profile.supportLocal !== false,
+    sustainableProducts: profile.sustainableProducts !== false
+  };
+}
+
+/**
+ * Presets followed by the user's own profiles
+ * @param {Array} [customProfiles] - Stored valueProfiles
+ * @returns {Array} Normalized profiles (presets have preset: true)
+ */
+function getValueProfiles(customProfiles) {
+  const presetIds = new Set(VALUE_PROFILE_PRESETS.map(preset => preset.id));
+  const presets = VALUE_PROFILE_PRESETS.map(preset => ({ ...normalizeValueProfile(preset), preset: true }));
+  const custom = (Array.isArray(customProfiles) ? customProfiles : [])
+    .map(normalizeValueProfile)
+    .filter(profile => profile && !presetIds.has(profile.id))
+    .slice(0, PROFILE_LIMITS.maxCustomProfiles);
+
+  return [...presets, ...custom];
+}
+
+/**
+ * Look up a profile by id
+ * @returns {Object|null}
+ */
+function findValueProfile(profiles, profileId) {
+  return profiles.find(profile => profile.id === profileId) || null;
+}
+
+/**
+ * Settings fields a profile controls
+ * @returns {Object} Changes to merge into settings
+ */
+function getProfileSettings(profile) {
+  return {
+    activeProfile: profile.id,
+    scoring: profile.scoring,
+    ranking: profile.ranking,
+    supportLocal: profile.supportLocal,
+    sustainableProducts: profile.sustainableProducts
+  };
+}
+
+/**
+ * Capture the current settings as a new custom profile
+ * @param {string} name - Profile name as entered
+ * @param {Object} settings - Current settings
+ * @returns {Object|null} The profile, or null if the name is empty
+ */
+function createProfileFromSettings(name, settings) {
+  return normalizeValueProfile({
+    id: `profile-${Date.now()}`,
+    name,
+    description: 'Your profile',
+    scoring: settings.scoring,
+    ranking: settings.ranking,
+    supportLocal: settings.supportLocal,
+    sustainableProducts: settings.sustainableProducts
+  });
+}
+
+/**
+ * Whether settings were changed by hand after the profile was picked
+ */
+function isProfileModified(profile, settings) {
+  const current = normalizeValueProfile({ ...settings, id: profile.id, name: profile.name });
+  const fields = ['scoring', 'ranking', 'supportLocal', 'sustainableProducts'];
+  return fields.some(field => JSON.stringify(current[field]) !== JSON.stringify(profile[field]));
+}
+
+/**
+ * Order alternatives by a profile's ranking preferences
+ * Local stores need a distance (miles) for maxDistanceMiles and 'distance' sorting.
+ * @param {Array} alternatives - Local and online alternatives
+ * @param {Object} [ranking] - settings.ranking
+ * @returns {Array} New array, best first
+ */
+function rankAlternatives(alternatives, ranking) {
+  const { localFirst, sortBy, maxDistanceMiles } = normalizeRanking(ranking);
+
+  const kept = alternatives.filter(alt =>
+    alt.type !== 'local' || maxDistanceMiles == null || alt.distance == null || alt.distance <= maxDistanceMiles
+  );
+
+  const compare = {
+    distance: (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity),
+    rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+    price: (a, b) => (parsePriceValue(a.price) ?? Infinity) - (parsePriceValue(b.price) ?? Infinity)
+  }[sortBy];
+
+  return kept
+    .map((alt, index) => ({ alt, index }))
+    .sort((a, b) => {
+      if (localFirst) {
+        const localOrder = (b.alt.type === 'local') - (a.alt.type === 'local');
+        if (localOrder !== 0) return localOrder;
+      }
+      return compare(a.alt, b.alt) || a.index - b.index;
+    })
+    .map(({ alt }) => alt);
+}
+
+/**
+ * Read a number from a price like "$1,299.99"
+ * @returns {number|null}
+ */
+function parsePriceValue(price) {
+  if (typeof price === 'number') return Number.isFinite(price) ? price : null;
+  if (typeof price !== 'string') return null;
+
+  const match = price.replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VALUE_PROFILES_STORAGE_KEY,
+    DEFAULT_PROFILE_ID,
+    PROFILE_LIMITS,
+    RANKING_SORTS,
+    DEFAULT_RANKING,
+    VALUE_PROFILE_PRESETS,
+    normalizeRanking,
+    normalizeValueProfile,
+    getValueProfiles,
+    findValueProfile,
+    getProfileSettings,
+    createProfileFromSettings,
+    isProfileModified,
+    rankAlternatives,
+    parsePriceValue
+  };
+}
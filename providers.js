@@ -0,0 +1,342 @@
+/**
+ * Bramble LLM Providers
+ * One interface for every analysis backend: prompt in, raw text out.
+ * Errors are mapped to the shared API_RATE_LIMIT / API_ERROR / NETWORK_ERROR codes.
+ */
+
+// Under Node, pull in the backend client (browsers load it before this file)
+if (typeof getBackendConfig === 'undefined' && typeof require === 'function') {
+  var { getBackendConfig, backendFetch, readBackendError } = require('./backend-client.js');
+}
+
+// backend-client.js's routes, read through a local since redeclaring its const stops importScripts
+const providerRoutes = typeof BACKEND_ROUTES === 'undefined' && typeof require === 'function'
+  ? require('./backend-client.js').BACKEND_ROUTES
+  : BACKEND_ROUTES;
+
+// Provider defaults (model and endpoint can be overridden in settings)
+const LLM_PROVIDER_DEFAULTS = {
+  anthropic: {
+    label: 'Anthropic',
+    model: 'claude-sonnet-4-20250514',
+    baseUrl: 'https://api.anthropic.com'
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    model: 'gpt-4o-mini',
+    baseUrl: 'https://api.openai.com/v1'
+  },
+  local: {
+    label: 'Local model',
+    model: 'llama3.1',
+    baseUrl: 'http://localhost:11434'
+  }
+};
+
+const DEFAULT_LLM_PROVIDER = 'anthropic';
+
+// Label for the self-hosted server (it picks the upstream provider and model)
+const BACKEND_PROVIDER_LABEL = 'Bramble server';
+
+/**
+ * Resolve which provider, model and endpoint to use
+ * A backend URL overrides the provider: the server holds the keys and picks the model.
+ * @param {Object} settings - User settings (llmProvider, llmModel, llmBaseUrl, backendUrl)
+ * @param {Object} apiKeys - Available API keys ({ anthropic, openai, backend })
+ * @returns {Object} { provider, label, model, baseUrl, apiKey, maxTokens }
+ */
+function getProviderConfig(settings = {}, apiKeys = {}) {
+  const backend = getBackendConfig(settings, apiKeys);
+  if (backend) {
+    return {
+      provider: 'backend',
+      label: BACKEND_PROVIDER_LABEL,
+      model: 'server default',
+      baseUrl: backend.baseUrl,
+      apiKey: backend.token,
+      maxTokens: 1500
+    };
+  }
+
+  const provider = LLM_PROVIDER_DEFAULTS[settings.llmProvider] ? settings.llmProvider : DEFAULT_LLM_PROVIDER;
+  const defaults = LLM_PROVIDER_DEFAULTS[provider];
+
+  return {
+    provider,
+    label: defaults.label,
+    model: (settings.llmModel || '').trim() || defaults.model,
+    baseUrl: ((settings.llmBaseUrl || '').trim() || defaults.baseUrl).replace(/\/+$/, ''),
+    apiKey: apiKeys[provider] || null,
+    maxTokens: 1500
+  };
+}
+
+/**
+ * Map a failed HTTP response to the shared error codes
+ */
+async function throwProviderError(response, config) {
+  const errorText = await response.text().catch(() => '');
+  console.error(`Bramble: ${config.label} error response:`, response.status, errorText);
+
+  if (response.status === 429) {
+    throw new Error('API_RATE_LIMIT');
+  } else if (response.status === 401 || response.status === 403) {
+    throw new Error(`API_ERROR: ${response.status} - Unauthorized. API key may be invalid or expired. Error: ${errorText}`);
+  } else {
+    throw new Error(`API_ERROR: ${response.status} - ${errorText}`);
+  }
+}
+
+/**
+ * Read a streaming response body line by line (SSE or NDJSON)
+ * @param {Response} response - fetch() response with a readable body
+ * @param {Function} onLine - Called with each non-empty line
+ */
+async function readStreamLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    lines.map(line => line.trim()).filter(Boolean).forEach(onLine);
+
+    if (done) break;
+  }
+}
+
+/**
+ * Parse the JSON payload of a server-sent event line ("data: {...}")
+ */
+function parseSSEData(line) {
+  if (!line.startsWith('data:')) return null;
+  const payload = line.slice(5).trim();
+  if (!payload || payload === '[DONE]') return null;
+
+  try {
+    return JSON.parse(payload);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+async function completeWithAnthropic(prompt, config) {
+  if (!config.apiKey) {
+    throw new Error('API_KEY_MISSING: Anthropic');
+  }
+
+  const response = await fetch(`${config.baseUrl}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    },
+    signal: config.signal,
+    body: JSON.stringify({
+      model: config.model,
+      max_tokens: config.maxTokens,
+      stream: Boolean(config.onText),
+      messages: [{ role: 'user', content: prompt }]
+    })
+  });
+
+  if (!response.ok) {
+    await throwProviderError(response, config);
+  }
+
+  if (config.onText) {
+    let text = '';
+    await readStreamLines(response, line => {
+      const event = parseSSEData(line);
+      if (event?.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        config.onText(text);
+      }
+    });
+    return text;
+  }
+
+  const data = await response.json();
+  return (data.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * OpenAI-compatible Chat Completions API (OpenAI, OpenRouter, vLLM, LM Studio, ...)
+ */
+async function completeWithOpenAI(prompt, config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  const response = await fetch(`${config.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    signal: config.signal,
+    body: JSON.stringify({
+      model: config.model,
+      max_tokens: config.maxTokens,
+      stream: Boolean(config.onText),
+      messages: [{ role: 'user', content: prompt }]
+    })
+  });
+
+  if (!response.ok) {
+    await throwProviderError(response, config);
+  }
+
+  if (config.onText) {
+    let text = '';
+    await readStreamLines(response, line => {
+      const delta = parseSSEData(line)?.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        config.onText(text);
+      }
+    });
+    return text;
+  }
+
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content || '';
+}
+
+/**
+ * Local Ollama-style HTTP server (no API key, runs on localhost)
+ */
+async function completeWithLocalModel(prompt, config) {
+  const response = await fetch(`${config.baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    signal: config.signal,
+    body: JSON.stringify({
+      model: config.model,
+      stream: Boolean(config.onText),
+      format: 'json',
+      messages: [{ role: 'user', content: prompt }]
+    })
+  });
+
+  if (!response.ok) {
+    await throwProviderError(response, config);
+  }
+
+  // Ollama streams newline-delimited JSON objects
+  if (config.onText) {
+    let text = '';
+    await readStreamLines(response, line => {
+      try {
+        const delta = JSON.parse(line).message?.content;
+        if (delta) {
+          text += delta;
+          config.onText(text);
+        }
+      } catch (error) {
+        // Ignore partial or non-JSON lines
+      }
+    });
+    return text;
+  }
+
+  const data = await response.json();
+  return data.message?.content || '';
+}
+
+/**
+ * Self-hosted Bramble server (server/server.js) - same reply shape for every upstream
+ * Streams newline-delimited { text } deltas; quota errors come back as QUOTA_EXCEEDED.
+ */
+async function completeWithBackend(prompt, config) {
+  const backend = { baseUrl: config.baseUrl, token: config.apiKey };
+  const response = await backendFetch(backend, providerRoutes.complete, {
+    prompt,
+    maxTokens: config.maxTokens,
+    stream: Boolean(config.onText)
+  }, config.signal);
+
+  if (!response.ok) {
+    const { code, message } = await readBackendError(response);
+    console.error(`Bramble: ${config.label} error response:`, response.status, code || message);
+
+    if (code === 'QUOTA_EXCEEDED') {
+      throw new Error('QUOTA_EXCEEDED');
+    } else if (response.status === 429) {
+      throw new Error('API_RATE_LIMIT');
+    }
+    throw new Error(`API_ERROR: ${response.status} - ${code || message}`);
+  }
+
+  if (config.onText) {
+    let text = '';
+    await readStreamLines(response, line => {
+      try {
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+          throw new Error(`API_ERROR: 502 - ${chunk.error}`);
+        }
+        if (chunk.text) {
+          text += chunk.text;
+          config.onText(text);
+        }
+      } catch (error) {
+        if (error.message.startsWith('API_ERROR')) throw error;
+        // Ignore partial or non-JSON lines
+      }
+    });
+    return text;
+  }
+
+  const data = await response.json();
+  return data.text || '';
+}
+
+const LLM_PROVIDERS = {
+  anthropic: completeWithAnthropic,
+  openai: completeWithOpenAI,
+  local: completeWithLocalModel,
+  backend: completeWithBackend
+};
+
+/**
+ * Send a prompt to the configured provider and return the raw text reply
+ * @param {string} prompt - Prompt text
+ * @param {Object} config - Result of getProviderConfig, optionally with an AbortSignal as config.signal
+ *   and an onText(textSoFar) callback as config.onText to stream the reply
+ * @returns {Promise<string>} Raw model output
+ */
+async function completePrompt(prompt, config) {
+  const complete = LLM_PROVIDERS[config.provider];
+  console.log(`Bramble: Calling ${config.label} (${config.model})`);
+
+  try {
+    return await complete(prompt, config);
+  } catch (error) {
+    // fetch() rejects with a TypeError when the server can't be reached
+    if (error.name === 'TypeError' || error.message === 'Failed to fetch') {
+      throw new Error(`NETWORK_ERROR: Could not connect to ${config.label} at ${config.baseUrl}. Check your connection or endpoint.`);
+    }
+    throw error;
+  }
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LLM_PROVIDER_DEFAULTS,
+    DEFAULT_LLM_PROVIDER,
+    getProviderConfig,
+    completePrompt
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * Bramble Request Queue
+ * Central queue for LLM analysis requests from every tab: enforces a request rate,
+ * retries rate-limit and server errors with backoff, collapses duplicate requests
+ * for the same product, and cancels work for tabs that close or navigate away.
+ */
+
+const REQUEST_QUEUE_DEFAULTS = {
+  requestsPerMinute: 20,
+  maxConcurrent: 2,
+  maxRetries: 3,
+  baseRetryDelayMs: 1000,
+  maxRetryDelayMs: 30000
+};
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+let queueOptions = { ...REQUEST_QUEUE_DEFAULTS };
+const pendingJobs = []; // Jobs waiting for a rate-limit slot
+const jobsByKey = new Map(); // Every unfinished job (queued, running or waiting to retry)
+let requestStartTimes = []; // Start times within the current rate window
+let runningCount = 0;
+let pumpTimer = null;
+
+/**
+ * Update queue options (e.g., when the user changes the request rate)
+ * @param {Object} options - Any of REQUEST_QUEUE_DEFAULTS
+ */
+function configureRequestQueue(options = {}) {
+  const requestsPerMinute = Number(options.requestsPerMinute);
+  queueOptions = {
+    ...queueOptions,
+    ...options,
+    requestsPerMinute: requestsPerMinute > 0 ? requestsPerMinute : REQUEST_QUEUE_DEFAULTS.requestsPerMinute
+  };
+  pumpRequestQueue();
+}
+
+/**
+ * Queue a request, sharing the result with any identical request already in flight
+ * @param {string} key - De-duplication key (e.g., the product cache key)
+ * @param {Object|null} origin - { tabId, pageUrl } of the requesting tab, or null
+ * @param {Function} task - (signal, reportProgress) => Promise; receives an AbortSignal for
+ *   cancellation and a callback that relays progress to every caller sharing the request
+ * @param {Function} [onProgress] - Called with each progress update from the task
+ * @returns {Promise<*>} Result of the task; rejects with REQUEST_CANCELLED if every requesting tab went away
+ */
+function enqueueRequest(key, origin, task, onProgress) {
+  const existing = jobsByKey.get(key);
+  if (existing) {
+    console.log('Bramble: Joining in-flight request for', key);
+    addJobOrigin(existing, origin);
+    addJobListener(existing, onProgress);
+    return existing.promise;
+  }
+
+  const job = {
+    key,
+    task,
+    origins: new Map(),
+    listeners: new Set(),
+    lastProgress: null,
+    attempts: 0,
+    running: false,
+    retryTimer: null,
+    controller: new AbortController()
+  };
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  addJobOrigin(job, origin);
+  addJobListener(job, onProgress);
+
+  jobsByKey.set(key, job);
+  pendingJobs.push(job);
+  pumpRequestQueue();
+
+  if (pendingJobs.includes(job)) {
+    reportJobProgress(job, { stage: 'queued' });
+  }
+
+  return job.promise;
+}
+
+/**
+ * Track which tab (and page) asked for a job; requests without a tab are never cancelled
+ */
+function addJobOrigin(job, origin) {
+  const tabId = origin && typeof origin.tabId === 'number' ? origin.tabId : null;
+  job.origins.set(tabId, origin ? origin.pageUrl || null : null);
+}
+
+/**
+ * Subscribe to a job's progress, catching late joiners up with the latest update
+ */
+function addJobListener(job, onProgress) {
+  if (!onProgress) return;
+
+  job.listeners.add(onProgress);
+  if (job.lastProgress) {
+    onProgress(job.lastProgress);
+  }
+}
+
+/**
+ * Relay a progress update to everyone waiting on a job
+ */
+function reportJobProgress(job, progress) {
+  job.lastProgress = progress;
+  job.listeners.forEach(listener => {
+    try {
+      listener(progress);
+    } catch (error) {
+      console.error('Bramble: Progress listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Start as many pending jobs as the rate limit and concurrency cap allow
+ */
+function pumpRequestQueue() {
+  if (pumpTimer) {
+    clearTimeout(pumpTimer);
+    pumpTimer = null;
+  }
+
+  const now = Date.now();
+  requestStartTimes = requestStartTimes.filter(time => now - time < RATE_WINDOW_MS);
+
+  while (pendingJobs.length > 0 && runningCount < queueOptions.maxConcurrent) {
+    if (requestStartTimes.length >= queueOptions.requestsPerMinute) {
+      // Wait for the oldest request to leave the window
+      const waitMs = RATE_WINDOW_MS - (now - requestStartTimes[0]) + 10;
+      console.log(`Bramble: Request rate limit reached, next request in ${Math.ceil(waitMs / 1000)}s`);
+      pumpTimer = setTimeout(pumpRequestQueue, waitMs);
+      return;
+    }
+
+    const job = pendingJobs.shift();
+    requestStartTimes.push(now);
+    runJob(job);
+  }
+}
+
+/**
+ * Run a job once, scheduling a retry for transient errors
+ */
+async function runJob(job) {
+  job.running = true;
+  job.attempts++;
+  runningCount++;
+
+  try {
+    const result = await job.task(job.controller.signal, progress => reportJobProgress(job, progress));
+    finishJob(job);
+    job.resolve(result);
+  } catch (error) {
+    if (job.controller.signal.aborted) {
+      finishJob(job);
+      job.reject(new Error('REQUEST_CANCELLED'));
+    } else if (isRetryableError(error) && job.attempts <= queueOptions.maxRetries) {
+      const delayMs = getRetryDelay(job.attempts, queueOptions);
+      console.warn(`Bramble: ${error.message.substring(0, 40)} - retrying ${job.key} in ${Math.round(delayMs)}ms (attempt ${job.attempts + 1})`);
+      reportJobProgress(job, { stage: 'retrying' });
+      job.retryTimer = setTimeout(() => {
+        job.retryTimer = null;
+        pendingJobs.unshift(job);
+        pumpRequestQueue();
+      }, delayMs);
+    } else {
+      finishJob(job);
+      job.reject(error);
+    }
+  } finally {
+    job.running = false;
+    runningCount--;
+    pumpRequestQueue();
+  }
+}
+
+/**
+ * Forget a job so new requests for the same key start fresh
+ */
+function finishJob(job) {
+  if (jobsByKey.get(job.key) === job) {
+    jobsByKey.delete(job.key);
+  }
+}
+
+/**
+ * Rate limits (429) and server errors (5xx) are worth retrying; everything else fails fast
+ */
+function isRetryableError(error) {
+  const message = (error && error.message) || '';
+  return message === 'API_RATE_LIMIT' || /^API_ERROR: 5\d\d\b/.test(message);
+}
+
+/**
+ * Exponential backoff with jitter (50-100% of the capped delay)
+ * @param {number} attempt - Attempts made so far (1 = first retry)
+ * @param {Object} options - { baseRetryDelayMs, maxRetryDelayMs }
+ */
+function getRetryDelay(attempt, options = REQUEST_QUEUE_DEFAULTS) {
+  const delay = Math.min(options.maxRetryDelayMs, options.baseRetryDelayMs * Math.pow(2, attempt - 1));
+  return delay * (0.5 + Math.random() * 0.5);
+}
+
+/**
+ * A page URL without its #fragment, so in-page anchors count as the same page
+ */
+function stripUrlHash(url) {
+  const hashIndex = typeof url === 'string' ? url.indexOf('#') : -1;
+  return hashIndex === -1 ? url : url.slice(0, hashIndex);
+}
+
+/**
+ * Drop a tab's interest in queued work; jobs nobody wants any more are cancelled
+ * @param {number} tabId - Tab that closed or navigated
+ * @param {string} [newUrl] - New page URL if the tab navigated (omit when the tab closed)
+ */
+function cancelRequestsForTab(tabId, newUrl) {
+  for (const job of [...jobsByKey.values()]) {
+    if (!job.origins.has(tabId)) continue;
+
+    // Still on the page that asked for it (e.g., a reload or hash change)
+    if (newUrl && stripUrlHash(job.origins.get(tabId)) === stripUrlHash(newUrl)) continue;
+
+    job.origins.delete(tabId);
+    if (job.origins.size > 0) continue;
+
+    console.log('Bramble: Cancelling request for', job.key, '- tab', tabId, newUrl ? 'navigated away' : 'closed');
+    finishJob(job);
+
+    const pendingIndex = pendingJobs.indexOf(job);
+    if (pendingIndex !== -1) {
+      pendingJobs.splice(pendingIndex, 1);
+    }
+    if (job.retryTimer) {
+      clearTimeout(job.retryTimer);
+      job.retryTimer = null;
+    }
+
+    if (job.running) {
+      // runJob rejects once the fetch aborts
+      job.controller.abort();
+    } else {
+      job.reject(new Error('REQUEST_CANCELLED'));
+    }
+  }
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REQUEST_QUEUE_DEFAULTS,
+    configureRequestQueue,
+    enqueueRequest,
+    cancelRequestsForTab,
+    isRetryableError,
+    getRetryDelay
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * Bramble Sanitization
+ * Cleans untrusted text (scraped product titles, user-entered brands) before it goes
+ * into a prompt, fences it off with delimiters, and checks model output for text
+ * that echoes injected instructions. Also escapes text for innerHTML rendering.
+ */
+
+// Maximum lengths for untrusted prompt inputs
+const UNTRUSTED_TEXT_LIMITS = {
+  productName: 300,
+  productDetail: 100, // Each of brand, identifiers, seller and the breadcrumb trail
+  brandName: 60,
+  avoidedBrandCount: 50,
+  locationName: 100
+};
+
+// Control characters (replaced with spaces)
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/g;
+
+// Soft hyphens, zero-width characters and bidi overrides (removed)
+const INVISIBLE_CHARACTERS = /[\u00ad\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+// Phrases that try to steer the model rather than describe a product
+const INSTRUCTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override)\b.{0,30}\b(instructions?|prompts?|rules|above|previous|prior)\b/i,
+  /\b(new|updated|real|actual)\s+(instructions?|task|prompt)\b/i,
+  /\b(system|developer|assistant)\s*(prompt|message|:)/i,
+  /\byou\s+(are|must)\s+now\b/i,
+  /\bact\s+as\b/i,
+  /\b(set|give|make|rate|score|return)\b.{0,30}\b(score|rating)\b.{0,15}\b(100|perfect|maximum|highest)\b/i,
+  /\b(score|rating)\s*(=|:|of|to)\s*100\b/i,
+  /\bparentCompany\b|\bisOnAvoidList\b|\balignmentScore\b/,
+  /<\/?\s*(system|instructions?|prompt|product_title|product_details|avoided_brands|user_location)\b/i,
+  /\bjailbreak\b/i
+];
+
+/**
+ * Clean untrusted text for use inside a prompt
+ * @param {string} text - Raw text from the page or the user
+ * @param {number} maxLength - Length cap (longer text is truncated with an ellipsis)
+ * @returns {string} Single-line text with no control characters or delimiter look-alikes
+ */
+function sanitizeUntrustedText(text, maxLength) {
+  if (typeof text !== 'string') return '';
+
+  let cleaned = text
+    .normalize('NFKC') // Fold full-width and stylized look-alikes ("ｉｇｎｏｒｅ")
+    .replace(INVISIBLE_CHARACTERS, '')
+    .replace(CONTROL_CHARACTERS, ' ')
+    .replace(/[<>{}`]/g, '') // Can't open or close delimiters or code blocks
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (maxLength && cleaned.length > maxLength) {
+    cleaned = cleaned.substring(0, maxLength - 1).trim() + '…';
+  }
+
+  return cleaned;
+}
+
+/**
+ * Wrap untrusted text in named delimiters for the prompt
+ * @param {string} tag - Delimiter name (e.g., "product_title")
+ * @param {string} text - Already-sanitized text
+ */
+function fenceUntrustedText(tag, text) {
+  return `<${tag}>${text}</${tag}>`;
+}
+
+/**
+ * Find instruction-like text
+ * @param {string} text - Text to check
+ * @returns {string|null} The matching excerpt, or null if the text looks like plain data
+ */
+function findInstructionLikeText(text) {
+  if (typeof text !== 'string' || !text) return null;
+
+  const normalized = text.normalize('NFKC').replace(INVISIBLE_CHARACTERS, '').replace(CONTROL_CHARACTERS, ' ');
+  for (const pattern of INSTRUCTION_PATTERNS) {
+    const match = normalized.match(pattern);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+/**
+ * Sanitize every untrusted input that goes into the analysis prompt
+ * @param {string} productName - Scraped product title
+ * @param {Object} userPreferences - { avoidedBrands, location } (only entry names are sent, never notes)
+ * @param {Object} [productDetails] - Scraped { brand, asin, gtin, model, sku, seller, breadcrumbs }
+ * @returns {Object} { productName, productDetails, avoidedBrands, locationName, suspicious } - productDetails
+ *   keeps the non-empty fields (breadcrumbs joined into one "A › B" string); suspicious lists
+ *   instruction-like excerpts found in the inputs
+ */
+function sanitizePromptInputs(productName, userPreferences = {}, productDetails = {}) {
+  const avoidedBrands = (userPreferences.avoidedBrands || [])
+    .slice(0, UNTRUSTED_TEXT_LIMITS.avoidedBrandCount)
+    .map(brand => sanitizeUntrustedText(typeof brand === 'string' ? brand : brand?.name, UNTRUSTED_TEXT_LIMITS.brandName))
+    .filter(Boolean);
+
+  const details = {};
+  Object.entries(productDetails || {}).forEach(([field, value]) => {
+    const text = Array.isArray(value) ? value.join(' › ') : value;
+    const cleaned = sanitizeUntrustedText(text, UNTRUSTED_TEXT_LIMITS.productDetail);
+    if (cleaned) details[field] = cleaned;
+  });
+
+  const inputs = {
+    productName: sanitizeUntrustedText(productName, UNTRUSTED_TEXT_LIMITS.productName),
+    productDetails: details,
+    avoidedBrands,
+    locationName: sanitizeUntrustedText(userPreferences.location?.display || '', UNTRUSTED_TEXT_LIMITS.locationName)
+  };
+
+  inputs.suspicious = [inputs.productName, ...Object.values(details), ...avoidedBrands, inputs.locationName]
+    .map(findInstructionLikeText)
+    .filter(Boolean);
+
+  return inputs;
+}
+
+/**
+ * Find analysis fields that repeat instruction-like text from the prompt inputs (a sign the model followed it)
+ * Only excerpts flagged in the fenced inputs count: the patterns are too broad for the model's own
+ * prose ("acts as a distributor", "lobbied to override state rules").
+ * @param {Object} data - Validated company data
+ * @param {string[]} [suspicious] - sanitizePromptInputs().suspicious for the same prompt
+ * @returns {string[]} Names of the offending fields
+ */
+function findInstructionEchoes(data, suspicious = []) {
+  const flagged = [];
+  const normalize = text => text.normalize('NFKC').replace(INVISIBLE_CHARACTERS, '').replace(/\s+/g, ' ').toLowerCase();
+  const excerpts = suspicious.filter(Boolean).map(normalize);
+  if (excerpts.length === 0) return flagged;
+
+  const check = (field, value) => {
+    if (typeof value !== 'string' || flagged.includes(field)) return;
+    const text = normalize(value);
+    if (excerpts.some(excerpt => text.includes(excerpt))) {
+      flagged.push(field);
+    }
+  };
+
+  ['parentCompany', 'productCategory', 'impactExplanation', 'avoidReason', 'sellerParentCompany'].forEach(field => check(field, data[field]));
+  ['subsidiaries', 'certifications', 'suggestedStoreTypes', 'suggestedStoreNames'].forEach(field => {
+    (data[field] || []).forEach(value => check(field, value));
+  });
+  (data.ownershipEdges || []).forEach(edge => {
+    if (edge && typeof edge === 'object') {
+      check('ownershipEdges', edge.child);
+      check('ownershipEdges', edge.parent);
+    }
+  });
+  (data.factualConcerns || []).forEach(concern => {
+    if (concern && typeof concern === 'object') {
+      check('factualConcerns', concern.description);
+      check('factualConcerns', concern.source);
+    } else {
+      check('factualConcerns', concern);
+    }
+  });
+
+  return flagged;
+}
+
+/**
+ * Escape text for use in innerHTML (element content and quoted attributes)
+ */
+function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    UNTRUSTED_TEXT_LIMITS,
+    sanitizeUntrustedText,
+    fenceUntrustedText,
+    findInstructionLikeText,
+    sanitizePromptInputs,
+    findInstructionEchoes,
+    escapeHtml
+  };
+}
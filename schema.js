@@ -0,0 +1,281 @@
+/**
+ * Bramble Analysis Schema
+ * JSON schema for the company-analysis object returned by the LLM,
+ * with per-field validation so partial results can be kept.
+ */
+
+const COMPANY_SIZES = ['mega-corp', 'large-corp', 'medium-corp', 'small-business', 'unknown'];
+const OWNERSHIP_TYPES = ['publicly-traded', 'private-equity', 'family-owned', 'co-op', 'b-corp', 'unknown'];
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Concern taxonomy: category -> the sub-categories the model classifies into
+const CONCERN_TAXONOMY = {
+  labor: ['wage-theft', 'unsafe-conditions', 'union-busting', 'forced-or-child-labor', 'discrimination'],
+  environment: ['pollution', 'emissions', 'deforestation', 'waste', 'toxic-chemicals'],
+  antitrust: ['price-fixing', 'monopoly-abuse', 'anticompetitive-merger'],
+  political: ['lobbying', 'campaign-finance', 'corruption'],
+  privacy: ['data-breach', 'surveillance', 'data-sale'],
+  safety: ['product-recall', 'consumer-harm', 'false-advertising'],
+  other: []
+};
+const CONCERN_CATEGORIES = Object.keys(CONCERN_TAXONOMY);
+const CONCERN_SUBCATEGORIES = Object.values(CONCERN_TAXONOMY).flat();
+const CONCERN_SEVERITIES = ['minor', 'moderate', 'serious', 'severe'];
+const REMEDIATION_STATUSES = ['none', 'partial', 'full'];
+const OWNERSHIP_RELATIONS = ['brand', 'subsidiary', 'holding', 'investor']; // How the child relates to the parent
+
+/**
+ * One documented concern about the parent company, with its evidence
+ * Plain strings (older responses and cached entries) are accepted as the description.
+ */
+const CONCERN_SCHEMA = {
+  type: 'object',
+  fromString: 'description',
+  properties: {
+    category: { type: 'string', enum: CONCERN_CATEGORIES, default: 'other' },
+    subcategory: { type: 'string', enum: CONCERN_SUBCATEGORIES, default: null }, // Must belong to the category
+    severity: { type: 'string', enum: CONCERN_SEVERITIES, default: null },
+    remediation: { type: 'string', enum: REMEDIATION_STATUSES, default: 'none' }, // Fixed, settled or reformed since
+    date: { type: 'string', pattern: /^\d{4}(-\d{2}){0,2}$/, default: null }, // YYYY, YYYY-MM or YYYY-MM-DD
+    description: { type: 'string', required: true, minLength: 1, maxLength: 300 },
+    source: { type: 'string', maxLength: 120, default: null },
+    url: { type: 'string', pattern: /^https?:\/\/[^\s"'<>]+$/, maxLength: 500, default: null },
+    confidence: { type: 'string', enum: CONFIDENCE_LEVELS, default: 'low' }
+  }
+};
+
+/**
+ * One step in a product's ownership chain ("Ring" is a subsidiary of "Amazon.com, Inc.")
+ */
+const OWNERSHIP_EDGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    child: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    parent: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    relation: { type: 'string', enum: OWNERSHIP_RELATIONS, default: 'subsidiary' }
+  }
+};
+
+/**
+ * Schema for the company-analysis object
+ * Every field has a default so an invalid field never discards the rest of the result.
+ */
+const COMPANY_ANALYSIS_SCHEMA = {
+  parentCompany: { type: 'string', required: true, minLength: 1, maxLength: 100, default: null },
+  companySize: { type: 'string', enum: COMPANY_SIZES, default: 'unknown' },
+  ownershipType: { type: 'string', enum: OWNERSHIP_TYPES, default: 'unknown' },
+  factualConcerns: { type: 'array', maxItems: 10, items: CONCERN_SCHEMA, default: [] },
+  certifications: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 60 }, default: [] },
+  productCategory: { type: 'string', minLength: 1, maxLength: 80, default: 'General' },
+  subsidiaries: { type: 'array', maxItems: 30, items: { type: 'string', minLength: 1, maxLength: 100 }, default: [] },
+  ownershipEdges: { type: 'array', maxItems: 10, items: OWNERSHIP_EDGE_SCHEMA, default: [] },
+  impactExplanation: { type: 'string', maxLength: 1000, default: '' },
+  suggestedStoreTypes: { type: 'array', maxItems: 5, items: { type: 'string', minLength: 1, maxLength: 60 }, default: [] },
+  suggestedStoreNames: { type: 'array', maxItems: 5, items: { type: 'string', minLength: 1, maxLength: 60 }, default: [] },
+  googlePlacesTypes: { type: 'array', maxItems: 5, items: { type: 'string', pattern: /^[a-z_]+$/, maxLength: 40 }, default: [] },
+  isOnAvoidList: { type: 'boolean', default: false },
+  avoidReason: { type: 'string', maxLength: 200, default: '' },
+  // The marketplace seller named in the listing, when there is one
+  sellerName: { type: 'string', maxLength: 100, default: '' },
+  sellerParentCompany: { type: 'string', maxLength: 100, default: '' },
+  sellerSize: { type: 'string', enum: COMPANY_SIZES, default: 'unknown' }
+};
+
+/**
+ * Normalize enum-like strings ("Mega Corp" -> "mega-corp") before checking them
+ */
+function normalizeEnumValue(value) {
+  return value.trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Validate a single value against a field rule
+ * @returns {Object} { valid, value, errors } - value is the cleaned value (items dropped, enums normalized)
+ */
+function validateField(value, rule, path) {
+  const errors = [];
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') {
+      return { valid: false, value: rule.default, errors: [`${path} must be a string`] };
+    }
+
+    let cleaned = value.trim();
+
+    if (rule.enum) {
+      cleaned = normalizeEnumValue(cleaned);
+      if (!rule.enum.includes(cleaned)) {
+        return { valid: false, value: rule.default, errors: [`${path} must be one of: ${rule.enum.join(', ')} (got "${value}")`] };
+      }
+    }
+    if (rule.minLength && cleaned.length < rule.minLength) {
+      return { valid: false, value: rule.default, errors: [`${path} must not be empty`] };
+    }
+    if (rule.maxLength && cleaned.length > rule.maxLength) {
+      return { valid: false, value: rule.default, errors: [`${path} must be at most ${rule.maxLength} characters (got ${cleaned.length})`] };
+    }
+    if (rule.pattern && !rule.pattern.test(cleaned)) {
+      return { valid: false, value: rule.default, errors: [`${path} has an invalid format ("${value}")`] };
+    }
+
+    return { valid: true, value: cleaned, errors };
+  }
+
+  if (rule.type === 'boolean') {
+    if (typeof value !== 'boolean') {
+      return { valid: false, value: rule.default, errors: [`${path} must be true or false`] };
+    }
+    return { valid: true, value, errors };
+  }
+
+  if (rule.type === 'object') {
+    if (typeof value === 'string' && rule.fromString) {
+      const result = validateField({ [rule.fromString]: value }, rule, path);
+      return { ...result, valid: false, errors: [`${path} must be an object, not a string`, ...result.errors] };
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { valid: false, value: null, errors: [`${path} must be an object`] };
+    }
+
+    // Invalid optional properties fall back to their defaults; a missing required one drops the object
+    const cleaned = {};
+    for (const [property, propertyRule] of Object.entries(rule.properties)) {
+      const propertyValue = value[property];
+      if (propertyValue === undefined || propertyValue === null || propertyValue === '') {
+        if (propertyRule.required) {
+          return { valid: false, value: null, errors: [`${path}.${property} is required`] };
+        }
+        cleaned[property] = propertyRule.default;
+        continue;
+      }
+
+      const result = validateField(propertyValue, propertyRule, `${path}.${property}`);
+      if (!result.valid && propertyRule.required) {
+        return { valid: false, value: null, errors: result.errors };
+      }
+      cleaned[property] = result.value;
+      errors.push(...result.errors);
+    }
+
+    return { valid: errors.length === 0, value: cleaned, errors };
+  }
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) {
+      return { valid: false, value: rule.default, errors: [`${path} must be an array`] };
+    }
+
+    // Keep the valid items (and salvageable objects), report the rest
+    const items = [];
+    value.forEach((item, index) => {
+      const result = validateField(item, rule.items, `${path}[${index}]`);
+      if (result.valid || (rule.items.type === 'object' && result.value)) {
+        items.push(result.value);
+      }
+      errors.push(...result.errors);
+    });
+
+    if (rule.maxItems && items.length > rule.maxItems) {
+      errors.push(`${path} must have at most ${rule.maxItems} items (got ${items.length})`);
+      items.length = rule.maxItems;
+    }
+
+    return { valid: errors.length === 0, value: items, errors };
+  }
+
+  return { valid: false, value: rule.default, errors: [`${path} has unsupported schema type ${rule.type}`] };
+}
+
+/**
+ * Validate a parsed company-analysis object field by field
+ * @param {Object} data - Parsed JSON from the LLM
+ * @returns {Object} { data, errors, validFields } - data always has every schema field;
+ *   validFields lists the fields the model actually supplied with valid values
+ */
+function validateCompanyAnalysis(data) {
+  const cleaned = {};
+  const errors = [];
+  const validFields = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    for (const [field, rule] of Object.entries(COMPANY_ANALYSIS_SCHEMA)) {
+      cleaned[field] = Array.isArray(rule.default) ? [] : rule.default;
+    }
+    return { data: cleaned, errors: ['Response must be a single JSON object'], validFields };
+  }
+
+  for (const [field, rule] of Object.entries(COMPANY_ANALYSIS_SCHEMA)) {
+    const value = data[field];
+
+    if (value === undefined || value === null) {
+      cleaned[field] = Array.isArray(rule.default) ? [] : rule.default;
+      if (rule.required) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+
+    const result = validateField(value, rule, field);
+    cleaned[field] = result.value;
+    errors.push(...result.errors);
+    if (result.valid) {
+      validFields.push(field);
+    }
+  }
+
+  return { data: cleaned, errors, validFields };
+}
+
+/**
+ * Merge two validation results field by field, preferring valid fields from the newer one
+ * @param {Object} previous - Earlier result from validateCompanyAnalysis
+ * @param {Object} next - Later (repaired) result from validateCompanyAnalysis
+ * @returns {Object} Combined { data, errors, validFields }
+ */
+function mergeValidationResults(previous, next) {
+  const data = {};
+  const validFields = [];
+
+  for (const field of Object.keys(COMPANY_ANALYSIS_SCHEMA)) {
+    if (next.validFields.includes(field)) {
+      data[field] = next.data[field];
+      validFields.push(field);
+    } else if (previous.validFields.includes(field)) {
+      data[field] = previous.data[field];
+      validFields.push(field);
+    } else {
+      // Neither attempt supplied a valid value - keep whatever partial value has more content
+      const prevValue = previous.data[field];
+      const nextValue = next.data[field];
+      data[field] = Array.isArray(nextValue) && Array.isArray(prevValue) && prevValue.length > nextValue.length
+        ? prevValue
+        : (nextValue ?? prevValue);
+    }
+  }
+
+  const errors = next.errors.filter(error => {
+    const field = error.split(/[\s[]/)[0];
+    return !validFields.includes(field);
+  });
+
+  return { data, errors, validFields };
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COMPANY_SIZES,
+    OWNERSHIP_TYPES,
+    CONCERN_TAXONOMY,
+    CONCERN_CATEGORIES,
+    CONCERN_SUBCATEGORIES,
+    CONCERN_SEVERITIES,
+    REMEDIATION_STATUSES,
+    OWNERSHIP_RELATIONS,
+    CONFIDENCE_LEVELS,
+    COMPANY_ANALYSIS_SCHEMA,
+    validateField,
+    validateCompanyAnalysis,
+    mergeValidationResults
+  };
+}
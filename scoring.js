@@ -0,0 +1,230 @@
+/**
+ * Bramble Scoring Configuration
+ * The user's weights for each scoring factor, plus their own custom rules.
+ * Stored in the synced settings as settings.scoring; calculateAlignmentScore reads it.
+ */
+
+// The schema enums: required under Node, schema.js's globals in browsers (loaded before this file).
+// Read through a local, as redeclaring schema.js's consts would stop the classic scripts loading together.
+const schemaEnums = typeof COMPANY_SIZES === 'undefined' && typeof require === 'function'
+  ? require('./schema.js')
+  : { COMPANY_SIZES, OWNERSHIP_TYPES, CONCERN_CATEGORIES };
+
+// Built-in factors and their default weights (points added to the 100 base score)
+const SCORING_FACTORS = [
+  { id: 'size.mega', group: 'Company size', label: 'Mega-corporation (>$100B revenue)', weight: -15 },
+  { id: 'size.large', group: 'Company size', label: 'Large corporation ($10B-$100B)', weight: -10 },
+  { id: 'size.medium', group: 'Company size', label: 'Medium corporation ($1B-$10B)', weight: -5 },
+  { id: 'size.small', group: 'Company size', label: 'Small business (<$1B)', weight: 10 },
+  { id: 'ownership.publicMegaCorp', group: 'Ownership', label: 'Publicly traded mega-corp', weight: -10 },
+  { id: 'ownership.privateEquity', group: 'Ownership', label: 'Private equity owned', weight: -5 },
+  { id: 'ownership.family', group: 'Ownership', label: 'Family-owned business', weight: 10 },
+  { id: 'ownership.coopOrBCorp', group: 'Ownership', label: 'Co-op or B-Corp structure', weight: 15 },
+  { id: 'seller.retailer', group: 'Seller', label: 'Sold by the retailer itself', weight: -5 },
+  { id: 'seller.independent', group: 'Seller', label: 'Sold and shipped by an independent seller', weight: 10 },
+  { id: 'seller.independentFulfilled', group: 'Seller', label: 'Independent seller, fulfilled by the retailer', weight: 5 },
+  { id: 'concern.labor', group: 'Documented concerns', label: 'Documented labor concerns', weight: -10 },
+  { id: 'concern.environment', group: 'Documented concerns', label: 'Environmental violations', weight: -10 },
+  { id: 'concern.antitrust', group: 'Documented concerns', label: 'Anti-competitive practices', weight: -5 },
+  { id: 'concern.political', group: 'Documented concerns', label: 'Political controversies', weight: -5 },
+  { id: 'concern.privacy', group: 'Documented concerns', label: 'Privacy violations', weight: -5 },
+  { id: 'concern.safety', group: 'Documented concerns', label: 'Consumer safety issues', weight: -10 },
+  { id: 'cert.bCorp', group: 'Certifications', label: 'B-Corp certified', weight: 15 },
+  { id: 'cert.fairTrade', group: 'Certifications', label: 'Fair Trade certified', weight: 10 },
+  { id: 'cert.carbonNeutral', group: 'Certifications', label: 'Carbon neutral commitment', weight: 5 },
+  { id: 'cert.livingWage', group: 'Certifications', label: 'Living wage employer', weight: 10 }
+];
+
+// What a custom rule can test ("-20 if ownership is private-equity")
+const CUSTOM_RULE_FIELDS = {
+  ownershipType: { label: 'Ownership is', options: schemaEnums.OWNERSHIP_TYPES.filter(type => type !== 'unknown') },
+  companySize: { label: 'Company size is', options: schemaEnums.COMPANY_SIZES.filter(size => size !== 'unknown') },
+  certification: { label: 'Certified', options: null }, // Free text, matched as a substring
+  concernCategory: { label: 'Has a documented concern about', options: schemaEnums.CONCERN_CATEGORIES.filter(category => category !== 'other') }
+};
+
+const SCORING_LIMITS = {
+  minWeight: -50,
+  maxWeight: 50,
+  maxCustomRules: 20,
+  maxRuleValueLength: 40
+};
+
+// How a single concern's penalty is scaled (a concern factor's weight is the penalty
+// for one serious, current, unremediated concern in that category)
+const CONCERN_SCORING = {
+  severityMultipliers: { minor: 0.25, moderate: 0.5, serious: 1, severe: 1.5 },
+  unratedMultiplier: 1, // Concerns without a severity (older analyses) count as serious
+  halfLifeYears: 5, // A concern's penalty halves every 5 years
+  remediationCredit: { none: 0, partial: 0.4, full: 0.75 }, // Share of the penalty forgiven
+  maxCategoryMultiplier: 2 // A category never costs more than twice its weight
+};
+
+const DEFAULT_SCORING_CONFIG = {
+  weights: {}, // factor id -> weight (only changed factors are stored)
+  disabledFactors: [], // factor ids that are turned off
+  customRules: [] // { id, field, value, change }
+};
+
+/**
+ * Clean a stored scoring config (unknown factors, out-of-range weights and broken rules are dropped)
+ * @param {Object} [config] - settings.scoring
+ * @returns {Object} { weights, disabledFactors, customRules }
+ */
+function normalizeScoringConfig(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  const factorIds = new Set(SCORING_FACTORS.map(factor => factor.id));
+
+  const weights = {};
+  Object.entries(source.weights || {}).forEach(([id, weight]) => {
+    if (factorIds.has(id) && Number.isFinite(Number(weight))) {
+      weights[id] = clampWeight(Number(weight));
+    }
+  });
+
+  const disabledFactors = (Array.isArray(source.disabledFactors) ? source.disabledFactors : [])
+    .filter(id => factorIds.has(id));
+
+  const customRules = (Array.isArray(source.customRules) ? source.customRules : [])
+    .map(normalizeCustomRule)
+    .filter(Boolean)
+    .slice(0, SCORING_LIMITS.maxCustomRules);
+
+  return { weights, disabledFactors, customRules };
+}
+
+/**
+ * Validate one custom rule
+ * @returns {Object|null} { id, field, value, change } or null if the rule can't be used
+ */
+function normalizeCustomRule(rule) {
+  if (!rule || typeof rule !== 'object') return null;
+
+  const field = CUSTOM_RULE_FIELDS[rule.field];
+  const value = typeof rule.value === 'string' ? rule.value.trim().substring(0, SCORING_LIMITS.maxRuleValueLength) : '';
+  const change = clampWeight(Number(rule.change));
+
+  if (!field || !value || !Number.isFinite(change) || change === 0) return null;
+  if (field.options && !field.options.includes(value)) return null;
+
+  return {
+    id: typeof rule.id === 'string' && rule.id ? rule.id : `rule-${rule.field}-${value}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-'),
+    field: rule.field,
+    value,
+    change
+  };
+}
+
+function clampWeight(weight) {
+  return Math.max(SCORING_LIMITS.minWeight, Math.min(SCORING_LIMITS.maxWeight, Math.round(weight)));
+}
+
+/**
+ * Weight of a built-in factor under the user's config
+ * @returns {number} 0 when the factor is turned off
+ */
+function getFactorWeight(config, factorId) {
+  if (config.disabledFactors.includes(factorId)) return 0;
+  if (factorId in config.weights) return config.weights[factorId];
+
+  const factor = SCORING_FACTORS.find(candidate => candidate.id === factorId);
+  return factor ? factor.weight : 0;
+}
+
+/**
+ * Label for a built-in factor (used as the breakdown reason)
+ */
+function getFactorLabel(factorId) {
+  const factor = SCORING_FACTORS.find(candidate => candidate.id === factorId);
+  return factor ? factor.label : factorId;
+}
+
+/**
+ * Years since a concern's date (YYYY counts from mid-year, YYYY-MM from mid-month)
+ * @param {string|null} date - YYYY, YYYY-MM or YYYY-MM-DD
+ * @param {Date} now - Reference time
+ * @returns {number|null} null when the date is missing or unreadable
+ */
+function getConcernAgeYears(date, now) {
+  const match = typeof date === 'string' ? date.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/) : null;
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const incident = Date.UTC(Number(year), month ? Number(month) - 1 : 6, day ? Number(day) : (month ? 15 : 1));
+  return Math.max(0, (now.getTime() - incident) / (365.25 * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Penalty for one concern under the user's config, before the per-category cap
+ * @param {Object} concern - Normalized concern record
+ * @param {Object} config - Normalized scoring config
+ * @param {Date} [now] - Reference time for recency decay
+ * @returns {Object} { factorId, change, severityMultiplier, ageYears, decay, credit }
+ */
+function getConcernContribution(concern, config, now = new Date()) {
+  const factorId = `concern.${concern.category}`;
+  const weight = SCORING_FACTORS.some(factor => factor.id === factorId) ? getFactorWeight(config, factorId) : 0;
+
+  const severityMultiplier = CONCERN_SCORING.severityMultipliers[concern.severity] ?? CONCERN_SCORING.unratedMultiplier;
+  const ageYears = getConcernAgeYears(concern.date, now);
+  const decay = ageYears === null ? 1 : Math.pow(0.5, ageYears / CONCERN_SCORING.halfLifeYears);
+  const credit = CONCERN_SCORING.remediationCredit[concern.remediation] || 0;
+
+  return {
+    factorId,
+    change: weight * severityMultiplier * decay * (1 - credit),
+    severityMultiplier,
+    ageYears,
+    decay,
+    credit
+  };
+}
+
+/**
+ * Human-readable rule ("Ownership is private-equity")
+ */
+function describeCustomRule(rule) {
+  const field = CUSTOM_RULE_FIELDS[rule.field];
+  return `${field ? field.label : rule.field} ${rule.value}`;
+}
+
+/**
+ * Whether a custom rule applies to a company
+ * @param {Object} rule - Normalized custom rule
+ * @param {Object} companyData - Company facts (concerns already normalized)
+ */
+function customRuleMatches(rule, companyData) {
+  const value = rule.value.toLowerCase();
+
+  switch (rule.field) {
+    case 'ownershipType':
+      return (companyData.ownershipType || '').toLowerCase() === value;
+    case 'companySize':
+      return (companyData.companySize || '').toLowerCase() === value;
+    case 'certification':
+      return (companyData.certifications || []).some(cert => cert.toLowerCase().includes(value));
+    case 'concernCategory':
+      return (companyData.factualConcerns || []).some(concern => concern && concern.category === value);
+    default:
+      return false;
+  }
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCORING_FACTORS,
+    CUSTOM_RULE_FIELDS,
+    SCORING_LIMITS,
+    CONCERN_SCORING,
+    DEFAULT_SCORING_CONFIG,
+    normalizeScoringConfig,
+    normalizeCustomRule,
+    getFactorWeight,
+    getFactorLabel,
+    getConcernAgeYears,
+    getConcernContribution,
+    describeCustomRule,
+    customRuleMatches
+  };
+}
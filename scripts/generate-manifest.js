@@ -0,0 +1,145 @@
+/**
+ * Bramble Manifest Generator
+ * Keeps manifest.json's retailer match patterns in step with the site adapters:
+ * the retailer content_scripts entries (the content script and the history hooks), the retailer
+ * web_accessible_resources entry and the retailer entries of host_permissions are all generated
+ * from SITE_ADAPTERS in site-adapters.js.
+ *
+ * Run:  node scripts/generate-manifest.js          (rewrite manifest.json)
+ *       node scripts/generate-manifest.js --check  (exit 1 if manifest.json is out of date)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SITE_ADAPTERS, getSiteMatchPatterns } = require('../site-adapters.js');
+
+const MANIFEST_PATH = path.join(__dirname, '..', 'manifest.json');
+
+// Keys whose string arrays the hand-written manifest keeps on one line
+const INLINE_ARRAY_KEYS = ['js', 'css'];
+
+/**
+ * Manifest with its retailer patterns replaced by the registry's
+ * Host permissions that aren't retailer patterns (AI providers, search APIs) are kept in order;
+ * optional ones (the "analyze any shop" origins) stay out of host_permissions, so they're only
+ * granted when the popup requests them.
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {Array} adapters - Site adapters
+ * @returns {Object} Updated copy
+ */
+function applySiteAdapters(manifest, adapters) {
+  const patterns = getSiteMatchPatterns(adapters);
+  const previousPatterns = new Set(manifest.content_scripts?.[0]?.matches || []);
+
+  const updated = JSON.parse(JSON.stringify(manifest));
+  updated.content_scripts[0].matches = patterns;
+  // Only retailer entries - others (the "analyze any shop" entry) keep their own matches
+  const isRetailerEntry = entry => (entry.matches || []).every(match => previousPatterns.has(match));
+  [...updated.content_scripts.slice(1), ...(updated.web_accessible_resources || [])]
+    .filter(isRetailerEntry)
+    .forEach(entry => {
+      entry.matches = patterns;
+    });
+  const optional = new Set(manifest.optional_host_permissions || []);
+  updated.host_permissions = [
+    ...patterns,
+    ...(manifest.host_permissions || []).filter(permission => !previousPatterns.has(permission) && !patterns.includes(permission) && !optional.has(permission))
+  ];
+
+  return updated;
+}
+
+/**
+ * Adapter problems that would break extraction or the manifest
+ * @returns {string[]} One message per problem
+ */
+function validateSiteAdapters(adapters) {
+  const problems = [];
+  const ids = new Set();
+  const hosts = new Set();
+
+  adapters.forEach(adapter => {
+    const label = adapter.id || '(no id)';
+    if (!adapter.id || ids.has(adapter.id)) problems.push(`${label}: missing or duplicate id`);
+    ids.add(adapter.id);
+
+    if (!adapter.name) problems.push(`${label}: missing name`);
+    if (!Array.isArray(adapter.hosts) || adapter.hosts.length === 0) problems.push(`${label}: no hosts`);
+    (adapter.hosts || []).forEach(host => {
+      if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(host)) problems.push(`${label}: invalid host "${host}"`);
+      if (hosts.has(host)) problems.push(`${label}: host "${host}" is claimed by another adapter`);
+      hosts.add(host);
+    });
+
+    if (!(adapter.productUrlPatterns || []).every(pattern => pattern instanceof RegExp)) {
+      problems.push(`${label}: productUrlPatterns must be regular expressions`);
+    }
+    if (adapter.storeNames && !(Array.isArray(adapter.storeNames) && adapter.storeNames.every(name => typeof name === 'string' && name))) {
+      problems.push(`${label}: storeNames must be non-empty strings`);
+    }
+    if (!adapter.fields || !Array.isArray(adapter.fields.title) || adapter.fields.title.length === 0) {
+      problems.push(`${label}: no title selectors`);
+    }
+    if (!Object.values(adapter.identifierPatterns || {}).every(pattern => pattern instanceof RegExp)) {
+      problems.push(`${label}: identifierPatterns must be regular expressions`);
+    }
+    if (!/^[A-Z]{3}$/.test(adapter.currency || '')) problems.push(`${label}: currency must be an ISO 4217 code`);
+    if (!adapter.ready || !(adapter.ready.attempts >= 1)) problems.push(`${label}: ready.attempts must be at least 1`);
+  });
+
+  return problems;
+}
+
+/**
+ * JSON.stringify(manifest, null, 2), keeping the INLINE_ARRAY_KEYS arrays on one line
+ */
+function formatManifest(manifest) {
+  const placeholders = [];
+  const text = JSON.stringify(manifest, (key, value) => {
+    if (INLINE_ARRAY_KEYS.includes(key) && Array.isArray(value)) {
+      placeholders.push(`[${value.map(item => JSON.stringify(item)).join(', ')}]`);
+      return `@@inline${placeholders.length - 1}@@`;
+    }
+    return value;
+  }, 2);
+
+  return `${text.replace(/"@@inline(\d+)@@"/g, (match, index) => placeholders[index])}\n`;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const problems = validateSiteAdapters(SITE_ADAPTERS);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`Site adapter error - ${problem}`));
+    process.exit(1);
+  }
+
+  const current = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const generated = applySiteAdapters(current, SITE_ADAPTERS);
+  const isUpToDate = JSON.stringify(generated) === JSON.stringify(current); // Formatting doesn't count
+
+  if (argv.includes('--check')) {
+    if (!isUpToDate) {
+      console.error('manifest.json is out of date with site-adapters.js - run: node scripts/generate-manifest.js');
+      process.exit(1);
+    }
+    console.log('manifest.json matches the site adapters');
+    return;
+  }
+
+  if (isUpToDate) {
+    console.log('manifest.json is already up to date');
+    return;
+  }
+  fs.writeFileSync(MANIFEST_PATH, formatManifest(generated));
+  console.log('Updated manifest.json for', SITE_ADAPTERS.length, 'site adapters');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  applySiteAdapters,
+  validateSiteAdapters,
+  formatManifest
+};
@@ -0,0 +1,95 @@
+/**
+ * Bramble Search APIs
+ * Google Places and Brave Search, called directly with the user's keys or through the
+ * Bramble server. Both paths return the upstream response unchanged, so callers don't
+ * care which one is in use.
+ */
+
+// Under Node, pull in the backend client (browsers load it before this file)
+if (typeof getBackendConfig === 'undefined' && typeof require === 'function') {
+  var { getBackendConfig, backendFetch } = require('./backend-client.js');
+}
+
+// The server routes, read through a local: redeclaring backend-client.js's const would stop importScripts
+const searchRoutes = typeof BACKEND_ROUTES === 'undefined' && typeof require === 'function'
+  ? require('./backend-client.js').BACKEND_ROUTES
+  : BACKEND_ROUTES;
+
+const PLACES_SEARCH_URL = 'https://places.googleapis.com/v1/places:searchText';
+const BRAVE_WEB_SEARCH_URL = 'https://api.search.brave.com/res/v1/web/search';
+
+/**
+ * Decide how to reach the search APIs
+ * @param {Object} settings - User settings (backendUrl)
+ * @param {Object} apiKeys - Stored keys ({ googlePlaces, braveSearch, backend })
+ * @returns {Object} { backend, googlePlaces, braveSearch } - backend is null in direct mode
+ */
+function getSearchConfig(settings = {}, apiKeys = {}) {
+  return {
+    backend: getBackendConfig(settings, apiKeys),
+    googlePlaces: apiKeys.googlePlaces || null,
+    braveSearch: apiKeys.braveSearch || null
+  };
+}
+
+/**
+ * Whether a search service can be called (the server holds its own keys)
+ * @param {Object} config - Result of getSearchConfig
+ * @param {string} service - 'googlePlaces' | 'braveSearch'
+ */
+function isSearchAvailable(config, service) {
+  return Boolean(config.backend || config[service]);
+}
+
+/**
+ * Google Places (New) text search
+ * @param {Object} requestBody - places:searchText request body
+ * @param {string} fieldMask - X-Goog-FieldMask value
+ * @param {Object} config - Result of getSearchConfig
+ * @returns {Promise<Response>} Places API response
+ */
+async function searchPlacesText(requestBody, fieldMask, config) {
+  if (config.backend) {
+    return backendFetch(config.backend, searchRoutes.places, { body: requestBody, fieldMask });
+  }
+
+  return fetch(PLACES_SEARCH_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Goog-Api-Key': config.googlePlaces,
+      'X-Goog-FieldMask': fieldMask
+    },
+    body: JSON.stringify(requestBody)
+  });
+}
+
+/**
+ * Brave web search
+ * @param {string} query - Search query
+ * @param {number} count - Number of results
+ * @param {Object} config - Result of getSearchConfig
+ * @returns {Promise<Response>} Brave Search API response
+ */
+async function searchWeb(query, count, config) {
+  if (config.backend) {
+    return backendFetch(config.backend, searchRoutes.web, { q: query, count });
+  }
+
+  return fetch(`${BRAVE_WEB_SEARCH_URL}?q=${encodeURIComponent(query)}&count=${count}`, {
+    headers: {
+      'X-Subscription-Token': config.braveSearch
+    },
+    mode: 'cors'
+  });
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getSearchConfig,
+    isSearchAvailable,
+    searchPlacesText,
+    searchWeb
+  };
+}
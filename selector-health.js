@@ -0,0 +1,150 @@
+/**
+ * Bramble Selector Health
+ * Records which selector in each adapter field's fallback chain matched on every product page,
+ * so a retailer redesign shows up as "title: only the generic h1 fallback matched" instead of
+ * extraction quietly getting worse. The log lives in chrome.storage.local (selectorHealth);
+ * content.js records it and the popup shows a per-retailer summary.
+ */
+
+// Under Node, pull in the adapter helpers (the content scripts load site-adapters.js first)
+if (typeof findAdapterField === 'undefined' && typeof require === 'function') {
+  var { findAdapterField } = require('./site-adapters.js');
+}
+
+// site-adapters.js's detail fields, read through a local: redeclaring its const stops the content
+// scripts loading. The popup loads this file without the adapters and only reads the log.
+const adapterDetailFields = typeof PRODUCT_DETAIL_FIELDS === 'undefined'
+  ? (typeof require === 'function' ? require('./site-adapters.js').PRODUCT_DETAIL_FIELDS : [])
+  : PRODUCT_DETAIL_FIELDS;
+
+const SELECTOR_HEALTH_KEY = 'selectorHealth';
+
+const SELECTOR_HEALTH_LIMITS = {
+  maxWarnings: 20 // Recent pages with warnings kept per retailer
+};
+
+// A page is unusable (or nearly) without these, so missing them is a warning
+const SELECTOR_HEALTH_CRITICAL_FIELDS = ['title', 'price'];
+
+// How FIELD_FALLBACKS read in warnings
+const FALLBACK_DESCRIPTIONS = {
+  anyHeading: 'the generic h1 fallback',
+  priceClassText: 'the "price" class fallback',
+  priceText: 'the bare price text fallback'
+};
+
+/**
+ * Where each of the adapter's fields was found on a page
+ * @param {SiteAdapter} adapter - Adapter for this site
+ * @param {Document} doc - Page document
+ * @returns {Object} { adapterId, site, fields, warnings } - fields maps each configured field to
+ *   { selector, position, fallback } (position is the index in the adapter's selector list, -1 for
+ *   fallbacks) or null when nothing matched
+ */
+function checkSelectorHealth(adapter, doc) {
+  const fieldNames = ['title', 'price', ...adapterDetailFields, 'breadcrumbs', 'image']
+    .filter(field => (adapter.fields[field] || []).length > 0 || (adapter.fallbacks && adapter.fallbacks[field]));
+
+  const fields = {};
+  const warnings = [];
+  fieldNames.forEach(field => {
+    const match = findFieldSelector(adapter, field, doc);
+    fields[field] = match;
+
+    if (match && match.fallback) {
+      const name = match.selector.replace(/^fallback:/, '');
+      warnings.push(`${field}: only ${FALLBACK_DESCRIPTIONS[name] || match.selector} matched`);
+    } else if (!match && SELECTOR_HEALTH_CRITICAL_FIELDS.includes(field)) {
+      warnings.push(`${field}: no selector matched`);
+    }
+  });
+
+  return { adapterId: adapter.id, site: adapter.name, fields, warnings };
+}
+
+/**
+ * The selector that found a field, and its place in the adapter's list
+ * Breadcrumbs and images have no text of their own, so any matching element counts.
+ * @returns {Object|null} { selector, position, fallback }
+ */
+function findFieldSelector(adapter, field, doc) {
+  const selectors = adapter.fields[field] || [];
+
+  if (field === 'breadcrumbs' || field === 'image') {
+    const position = selectors.findIndex(selector => doc.querySelector(selector));
+    return position === -1 ? null : { selector: selectors[position], position, fallback: false };
+  }
+
+  const found = findAdapterField(adapter, field, doc);
+  if (!found) return null;
+
+  const position = selectors.indexOf(found.selector);
+  return { selector: found.selector, position, fallback: position === -1 };
+}
+
+/**
+ * Add one page's report to the log
+ * @param {Object} log - Stored selectorHealth ({} when empty)
+ * @param {Object} report - From checkSelectorHealth
+ * @param {string} path - Page path, kept with warnings so the page can be found again
+ * @param {number} [now] - Timestamp
+ * @returns {Object} Updated copy of the log
+ */
+function mergeSelectorHealth(log, report, path, now = Date.now()) {
+  const previous = (log && log[report.adapterId]) || { checks: 0, fields: {}, warnings: [] };
+  const entry = {
+    site: report.site,
+    checks: previous.checks + 1,
+    lastCheckedAt: now,
+    lastWarnings: report.warnings,
+    fields: { ...previous.fields },
+    warnings: previous.warnings
+  };
+
+  // Match counts per selector ("none" when nothing matched)
+  Object.entries(report.fields).forEach(([field, match]) => {
+    const key = match ? match.selector : 'none';
+    const counts = { ...entry.fields[field] };
+    counts[key] = (counts[key] || 0) + 1;
+    entry.fields[field] = counts;
+  });
+
+  if (report.warnings.length > 0) {
+    entry.warnings = [...previous.warnings, { at: now, path, messages: report.warnings }]
+      .slice(-SELECTOR_HEALTH_LIMITS.maxWarnings);
+  }
+
+  return { ...log, [report.adapterId]: entry };
+}
+
+/**
+ * One row per retailer for the popup, retailers whose last page had warnings first
+ * @param {Object} log - Stored selectorHealth
+ * @returns {Object[]} { adapterId, site, checks, lastCheckedAt, healthy, lastWarnings, warningCount, fields }
+ */
+function summarizeSelectorHealth(log) {
+  return Object.entries(log || {})
+    .map(([adapterId, entry]) => ({
+      adapterId,
+      site: entry.site || adapterId,
+      checks: entry.checks || 0,
+      lastCheckedAt: entry.lastCheckedAt || 0,
+      healthy: (entry.lastWarnings || []).length === 0,
+      lastWarnings: entry.lastWarnings || [],
+      warningCount: (entry.warnings || []).length,
+      fields: entry.fields || {}
+    }))
+    .sort((a, b) => Number(a.healthy) - Number(b.healthy) || a.site.localeCompare(b.site));
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SELECTOR_HEALTH_KEY,
+    SELECTOR_HEALTH_LIMITS,
+    SELECTOR_HEALTH_CRITICAL_FIELDS,
+    checkSelectorHealth,
+    mergeSelectorHealth,
+    summarizeSelectorHealth
+  };
+}
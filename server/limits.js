@@ -0,0 +1,109 @@
+/**
+ * Bramble Server Limits
+ * Per-user daily quotas and a small in-memory response cache (TTL + LRU).
+ * Both live in memory - restart the server and they start over.
+ */
+
+/**
+ * Create a quota tracker
+ * @param {Object} limits - Daily limit per bucket, e.g. { analyses: 200, searches: 1000 }
+ * @returns {Object} { tryConsume(user, bucket), getUsage(user) }
+ */
+function createQuotaTracker(limits) {
+  let day = currentDay();
+  let usage = new Map(); // user -> { bucket: count }
+
+  // Counters reset at midnight UTC
+  function rollOver() {
+    const today = currentDay();
+    if (today !== day) {
+      day = today;
+      usage = new Map();
+    }
+  }
+
+  function getCounts(user) {
+    if (!usage.has(user)) {
+      usage.set(user, {});
+    }
+    return usage.get(user);
+  }
+
+  return {
+    /**
+     * Count one request against a user's quota
+     * @returns {boolean} false if the user has none left today
+     */
+    tryConsume(user, bucket) {
+      rollOver();
+      const counts = getCounts(user);
+      const used = counts[bucket] || 0;
+      if (used >= limits[bucket]) return false;
+
+      counts[bucket] = used + 1;
+      return true;
+    },
+
+    /**
+     * Usage so far today
+     * @returns {Object} { bucket: { used, limit } }
+     */
+    getUsage(user) {
+      rollOver();
+      const counts = getCounts(user);
+      const result = {};
+      Object.keys(limits).forEach(bucket => {
+        result[bucket] = { used: counts[bucket] || 0, limit: limits[bucket] };
+      });
+      return result;
+    }
+  };
+}
+
+/**
+ * Create a response cache
+ * @param {Object} options - { ttlMs, maxEntries }
+ * @returns {Object} { get(key), set(key, value), size() }
+ */
+function createResponseCache(options) {
+  const entries = new Map(); // Insertion order doubles as LRU order
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (Date.now() - entry.storedAt > options.ttlMs) {
+        entries.delete(key);
+        return null;
+      }
+
+      // Move to the back (most recently used)
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, storedAt: Date.now() });
+
+      while (entries.size > options.maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+module.exports = {
+  createQuotaTracker,
+  createResponseCache
+};
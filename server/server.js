@@ -0,0 +1,337 @@
+/**
+ * Bramble Server
+ * Optional companion server for team deployments. The extension sends AI prompts and
+ * store/web searches here instead of calling Anthropic, Google Places and Brave directly;
+ * the server holds the keys, enforces per-user daily quotas and caches responses.
+ *
+ * Run:  node server/server.js          (real upstreams - needs the keys below)
+ *       node server/server.js --stub   (canned upstream responses, no keys needed)
+ *
+ * Environment:
+ *   PORT                        Port to listen on (default 8787)
+ *   BRAMBLE_TOKENS              Comma-separated user:token pairs (required unless --stub)
+ *   ANTHROPIC_API_KEY           Key for AI analyses
+ *   BRAMBLE_MODEL               Anthropic model (default claude-sonnet-4-20250514)
+ *   GOOGLE_PLACES_API_KEY       Key for local store searches
+ *   BRAVE_SEARCH_API_KEY        Key for online retailer searches
+ *   BRAMBLE_DAILY_ANALYSES      Analyses per user per day (default 200)
+ *   BRAMBLE_DAILY_SEARCHES      Searches per user per day (default 1000)
+ *   BRAMBLE_CACHE_TTL_SECONDS   How long responses are reused (default 86400)
+ *   BRAMBLE_CACHE_MAX_ENTRIES   Cached responses kept (default 500)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { createQuotaTracker, createResponseCache } = require('./limits.js');
+const { UpstreamError, createUpstreams, createStubUpstreams } = require('./upstreams.js');
+
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_PROMPT_LENGTH = 20000;
+const MAX_QUERY_LENGTH = 400;
+
+// Token accepted in stub mode when no tokens are configured
+const STUB_TOKEN = 'dev-token';
+
+/**
+ * A request the server refuses (sent to the client as { error, message })
+ */
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message || code);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Read server options from the environment
+ * @param {Object} env - process.env
+ * @param {string[]} argv - Command line arguments
+ */
+function getServerOptions(env = process.env, argv = process.argv.slice(2)) {
+  const stub = argv.includes('--stub') || env.BRAMBLE_STUB_UPSTREAMS === '1';
+
+  return {
+    port: Number(env.PORT) || 8787,
+    stub,
+    tokens: parseTokens(env.BRAMBLE_TOKENS || (stub ? `dev:${STUB_TOKEN}` : '')),
+    dailyLimits: {
+      analyses: Number(env.BRAMBLE_DAILY_ANALYSES) || 200,
+      searches: Number(env.BRAMBLE_DAILY_SEARCHES) || 1000
+    },
+    cache: {
+      ttlMs: (Number(env.BRAMBLE_CACHE_TTL_SECONDS) || 86400) * 1000,
+      maxEntries: Number(env.BRAMBLE_CACHE_MAX_ENTRIES) || 500
+    },
+    upstream: {
+      anthropicApiKey: env.ANTHROPIC_API_KEY || null,
+      model: env.BRAMBLE_MODEL || 'claude-sonnet-4-20250514',
+      googlePlacesApiKey: env.GOOGLE_PLACES_API_KEY || null,
+      braveSearchApiKey: env.BRAVE_SEARCH_API_KEY || null
+    }
+  };
+}
+
+/**
+ * Parse "alice:token1,bob:token2" into a token -> user map
+ */
+function parseTokens(value) {
+  const tokens = new Map();
+  value.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const separator = pair.indexOf(':');
+    if (separator > 0 && separator < pair.length - 1) {
+      tokens.set(pair.slice(separator + 1), pair.slice(0, separator));
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} options - Result of getServerOptions
+ * @param {Object} [upstreams] - Upstream implementation (defaults to real or stub per options.stub)
+ * @returns {http.Server}
+ */
+function createBrambleServer(options, upstreams) {
+  const api = upstreams || (options.stub ? createStubUpstreams() : createUpstreams(options.upstream));
+  const quotas = createQuotaTracker(options.dailyLimits);
+  const cache = createResponseCache(options.cache);
+
+  const routes = {
+    'GET /v1/health': handleHealth,
+    'POST /v1/complete': handleComplete,
+    'POST /v1/places/search': handlePlacesSearch,
+    'POST /v1/web/search': handleWebSearch
+  };
+
+  async function handleHealth(req, res, user) {
+    sendJson(res, 200, {
+      ok: true,
+      user,
+      stub: options.stub,
+      quota: quotas.getUsage(user),
+      cachedResponses: cache.size()
+    });
+  }
+
+  async function handleComplete(req, res, user) {
+    const body = await readJsonBody(req);
+    if (typeof body.prompt !== 'string' || !body.prompt || body.prompt.length > MAX_PROMPT_LENGTH) {
+      throw new HttpError(400, 'BAD_REQUEST', 'prompt must be a non-empty string');
+    }
+    const maxTokens = Math.min(Math.max(Number(body.maxTokens) || 1500, 1), 4000);
+    const cacheKey = hashKey('complete', { prompt: body.prompt, maxTokens });
+
+    // Cache hits don't count against the quota
+    const cached = cache.get(cacheKey);
+    if (cached !== null) {
+      console.log('Bramble server: Cache hit for', user);
+      return sendCompletion(res, body.stream, cached);
+    }
+
+    consumeQuota(user, 'analyses');
+
+    if (!body.stream) {
+      const text = await api.complete(body.prompt, { maxTokens });
+      cache.set(cacheKey, text);
+      return sendCompletion(res, false, text);
+    }
+
+    // Headers go out with the first delta, so errors before it still get a proper status
+    let started = false;
+    try {
+      const text = await api.complete(body.prompt, {
+        maxTokens,
+        onText: delta => {
+          if (!started) {
+            res.writeHead(200, { 'Content-Type': 'application/x-ndjson', ...res.corsHeaders });
+            started = true;
+          }
+          res.write(JSON.stringify({ text: delta }) + '\n');
+        }
+      });
+      cache.set(cacheKey, text);
+      if (!started) {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson', ...res.corsHeaders });
+      }
+      res.end(JSON.stringify({ done: true }) + '\n');
+    } catch (error) {
+      if (!started) throw error;
+      console.error('Bramble server: Stream failed:', error.message);
+      res.end(JSON.stringify({ error: error.code || 'UPSTREAM_ERROR' }) + '\n');
+    }
+  }
+
+  async function handlePlacesSearch(req, res, user) {
+    const body = await readJsonBody(req);
+    if (!body.body || typeof body.body.textQuery !== 'string' || body.body.textQuery.length > MAX_QUERY_LENGTH) {
+      throw new HttpError(400, 'BAD_REQUEST', 'body.textQuery is required');
+    }
+    if (typeof body.fieldMask !== 'string' || !/^[A-Za-z.,*]+$/.test(body.fieldMask)) {
+      throw new HttpError(400, 'BAD_REQUEST', 'fieldMask must list Places fields');
+    }
+
+    await sendCachedSearch(res, user, hashKey('places', body), () => api.searchPlaces(body.body, body.fieldMask));
+  }
+
+  async function handleWebSearch(req, res, user) {
+    const body = await readJsonBody(req);
+    if (typeof body.q !== 'string' || !body.q.trim() || body.q.length > MAX_QUERY_LENGTH) {
+      throw new HttpError(400, 'BAD_REQUEST', 'q must be a non-empty string');
+    }
+    const count = Math.min(Math.max(Number(body.count) || 10, 1), 20);
+
+    await sendCachedSearch(res, user, hashKey('web', { q: body.q, count }), () => api.searchWeb(body.q, count));
+  }
+
+  /**
+   * Relay an upstream search response, reusing a cached copy when there is one
+   */
+  async function sendCachedSearch(res, user, cacheKey, search) {
+    const cached = cache.get(cacheKey);
+    if (cached !== null) {
+      return sendJson(res, 200, cached);
+    }
+
+    consumeQuota(user, 'searches');
+    const result = await search();
+    if (result.status >= 200 && result.status < 300) {
+      cache.set(cacheKey, result.body);
+    }
+    sendJson(res, result.status, result.body);
+  }
+
+  function consumeQuota(user, bucket) {
+    if (!quotas.tryConsume(user, bucket)) {
+      console.log(`Bramble server: ${user} is out of ${bucket} for today`);
+      throw new HttpError(429, 'QUOTA_EXCEEDED', `Daily ${bucket} quota used up`);
+    }
+  }
+
+  function authenticate(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/);
+    const user = match ? options.tokens.get(match[1].trim()) : null;
+    if (!user) {
+      throw new HttpError(401, 'UNAUTHORIZED', 'Missing or unknown token');
+    }
+    return user;
+  }
+
+  return http.createServer(async (req, res) => {
+    // Attach CORS headers to every JSON reply for this request
+    res.corsHeaders = corsHeaders(req);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        ...res.corsHeaders,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+      });
+      return res.end();
+    }
+
+    const path = (req.url || '').split('?')[0];
+    const handler = routes[`${req.method} ${path}`];
+
+    try {
+      if (!handler) {
+        throw new HttpError(404, 'NOT_FOUND', `No route for ${req.method} ${path}`);
+      }
+      const user = authenticate(req);
+      await handler(req, res, user);
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.code, message: error.message });
+      } else if (error instanceof UpstreamError) {
+        // Upstream rate limits stay 429 so clients back off; other failures become 502/503
+        const status = error.code === 'UPSTREAM_RATE_LIMIT' ? 429 : error.status === 503 ? 503 : 502;
+        sendJson(res, status, { error: error.code, message: error.message });
+      } else {
+        console.error('Bramble server: Request failed:', error);
+        sendJson(res, 500, { error: 'SERVER_ERROR', message: 'Unexpected server error' });
+      }
+    }
+  });
+}
+
+/**
+ * Allow calls from the extension (and localhost pages during development)
+ */
+function corsHeaders(req) {
+  const origin = req.headers.origin || '';
+  if (/^chrome-extension:\/\//.test(origin) || /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin)) {
+    return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+  }
+  return {};
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...(res.corsHeaders || {}) });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a completion as JSON, or as a one-chunk stream when the client asked to stream
+ */
+function sendCompletion(res, stream, text) {
+  if (!stream) {
+    return sendJson(res, 200, { text });
+  }
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson', ...(res.corsHeaders || {}) });
+  res.write(JSON.stringify({ text }) + '\n');
+  res.end(JSON.stringify({ done: true }) + '\n');
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'BODY_TOO_LARGE'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(new HttpError(400, 'BAD_REQUEST', 'Body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function hashKey(route, body) {
+  return crypto.createHash('sha256').update(route + '\n' + JSON.stringify(body)).digest('hex');
+}
+
+if (require.main === module) {
+  const options = getServerOptions();
+
+  if (options.tokens.size === 0) {
+    console.error('Bramble server: Set BRAMBLE_TOKENS (e.g. "alice:secret1,bob:secret2") or run with --stub');
+    process.exit(1);
+  }
+
+  createBrambleServer(options).listen(options.port, () => {
+    console.log(`Bramble server: Listening on http://localhost:${options.port}${options.stub ? ' (stub upstreams)' : ''}`);
+    if (options.stub && !process.env.BRAMBLE_TOKENS) {
+      console.log(`Bramble server: Stub mode - use the token "${STUB_TOKEN}"`);
+    }
+  });
+}
+
+module.exports = {
+  getServerOptions,
+  createBrambleServer
+};
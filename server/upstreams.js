@@ -0,0 +1,199 @@
+/**
+ * Bramble Server Upstreams
+ * The third-party APIs the server calls with its own keys, plus stub versions with
+ * canned responses so the server can be run and tested without any keys.
+ *
+ * Every upstream set has the same shape:
+ *   complete(prompt, { maxTokens, onText }) -> Promise<string>  (onText gets each text delta)
+ *   searchPlaces(body, fieldMask)           -> Promise<{ status, body }>
+ *   searchWeb(query, count)                 -> Promise<{ status, body }>
+ */
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const PLACES_SEARCH_URL = 'https://places.googleapis.com/v1/places:searchText';
+const BRAVE_WEB_SEARCH_URL = 'https://api.search.brave.com/res/v1/web/search';
+
+/**
+ * An upstream call failed (status is the upstream HTTP status, if there was one)
+ */
+class UpstreamError extends Error {
+  constructor(code, status, message) {
+    super(message || code);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Real upstreams
+ * @param {Object} config - { anthropicApiKey, model, googlePlacesApiKey, braveSearchApiKey }
+ */
+function createUpstreams(config) {
+  function requireKey(key, service) {
+    if (!key) {
+      throw new UpstreamError('UPSTREAM_NOT_CONFIGURED', 503, `${service} is not configured on this server`);
+    }
+  }
+
+  return {
+    async complete(prompt, { maxTokens, onText }) {
+      requireKey(config.anthropicApiKey, 'Anthropic');
+
+      const response = await fetch(ANTHROPIC_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': config.anthropicApiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+          model: config.model,
+          max_tokens: maxTokens,
+          stream: Boolean(onText),
+          messages: [{ role: 'user', content: prompt }]
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        console.error('Bramble server: Anthropic error', response.status, errorText.slice(0, 200));
+        throw new UpstreamError(response.status === 429 ? 'UPSTREAM_RATE_LIMIT' : 'UPSTREAM_ERROR', response.status);
+      }
+
+      if (!onText) {
+        const data = await response.json();
+        return (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+      }
+
+      let text = '';
+      await readLines(response, line => {
+        if (!line.startsWith('data:')) return;
+        try {
+          const event = JSON.parse(line.slice(5).trim());
+          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            text += event.delta.text;
+            onText(event.delta.text);
+          }
+        } catch (error) {
+          // Ignore keep-alives and partial lines
+        }
+      });
+      return text;
+    },
+
+    async searchPlaces(body, fieldMask) {
+      requireKey(config.googlePlacesApiKey, 'Google Places');
+
+      const response = await fetch(PLACES_SEARCH_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Goog-Api-Key': config.googlePlacesApiKey,
+          'X-Goog-FieldMask': fieldMask
+        },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json().catch(() => ({})) };
+    },
+
+    async searchWeb(query, count) {
+      requireKey(config.braveSearchApiKey, 'Brave Search');
+
+      const response = await fetch(`${BRAVE_WEB_SEARCH_URL}?q=${encodeURIComponent(query)}&count=${count}`, {
+        headers: { 'X-Subscription-Token': config.braveSearchApiKey }
+      });
+      return { status: response.status, body: await response.json().catch(() => ({})) };
+    }
+  };
+}
+
+/**
+ * Stub upstreams with canned responses (no network, no keys)
+ */
+function createStubUpstreams() {
+  const analysis = {
+    parentCompany: 'Stub Holdings Inc.',
+    companySize: 'large-corp',
+    ownershipType: 'publicly-traded',
+    factualConcerns: [{
+      category: 'labor',
+      subcategory: 'unsafe-conditions',
+      severity: 'moderate',
+      remediation: 'partial',
+      date: '2021',
+      description: 'Stub concern for local testing',
+      source: 'Bramble stub upstream',
+      url: null,
+      confidence: 'low'
+    }],
+    certifications: [],
+    subsidiaries: [],
+    productCategory: 'household goods',
+    impactExplanation: 'Stub analysis from the Bramble server. Configure real upstream keys for live results.',
+    suggestedStoreTypes: ['hardware store'],
+    suggestedStoreNames: [],
+    googlePlacesTypes: ['store'],
+    isOnAvoidList: false,
+    avoidReason: ''
+  };
+
+  return {
+    async complete(prompt, { onText }) {
+      const text = JSON.stringify(analysis, null, 2);
+      if (onText) {
+        // Stream in a few chunks so clients exercise their partial rendering
+        const chunkSize = Math.ceil(text.length / 4);
+        for (let i = 0; i < text.length; i += chunkSize) {
+          onText(text.slice(i, i + chunkSize));
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+      return text;
+    },
+
+    async searchPlaces(body) {
+      const center = body.locationBias?.circle?.center || { latitude: 37.77, longitude: -122.42 };
+      const places = [1, 2].map(n => ({
+        id: `stub-place-${n}`,
+        displayName: { text: `Stub ${body.textQuery || 'Store'} ${n}` },
+        formattedAddress: `${n}00 Main St`,
+        location: { latitude: center.latitude + n * 0.01, longitude: center.longitude },
+        rating: 4.5,
+        types: ['store'],
+        businessStatus: 'OPERATIONAL'
+      }));
+      return { status: 200, body: { places } };
+    },
+
+    async searchWeb(query, count) {
+      const results = [1, 2, 3].slice(0, count).map(n => ({
+        title: `${query.split(' -')[0]} - Stub Shop ${n}`,
+        url: `https://stub-shop-${n}.example/products`,
+        description: `Stub result ${n} for local testing`
+      }));
+      return { status: 200, body: { web: { results } } };
+    }
+  };
+}
+
+/**
+ * Read a streaming fetch body line by line
+ */
+async function readLines(response, onLine) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.map(line => line.trim()).filter(Boolean).forEach(onLine);
+  }
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
+module.exports = {
+  UpstreamError,
+  createUpstreams,
+  createStubUpstreams
+};
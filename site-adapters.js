@@ -0,0 +1,735 @@
+/**
+ * Bramble Site Adapters
+ * One declarative adapter per supported retailer: which hosts it covers, which URLs are
+ * product pages, ordered selectors for each product field, how long to wait for the page
+ * to render, and its currency. Adding a retailer means adding an adapter here, then running
+ * `node scripts/generate-manifest.js` to update the manifest's matches and host permissions.
+ */
+
+/**
+ * @typedef {Object} SiteAdapter
+ * @property {string} id - Stable identifier
+ * @property {string} name - Shown as the product's site ("Best Buy")
+ * @property {string[]} hosts - Registrable domains; subdomains match too
+ * @property {RegExp[]} productUrlPatterns - Tested against the URL path; empty = any page with a title
+ * @property {string} currency - ISO 4217 code for prices on this site
+ * @property {string[]} [storeNames] - Other names its physical stores go by, so they're never offered as alternatives
+ * @property {string[]} [firstPartySellers] - Legal names the retailer sells under on its own marketplace
+ * @property {Object<string, string[]>} fields - Ordered selectors per field: title (required), price, the
+ *   PRODUCT_DETAIL_FIELDS, breadcrumbs (every match of the first selector that finds links) and image
+ * @property {Object<string, RegExp>} [identifierPatterns] - Identifiers read from the URL (group 1) when the page doesn't show them
+ * @property {Object<string, string[]>} [fallbacks] - Named FIELD_FALLBACKS per field, tried after the selectors
+ * @property {Object} ready - { attempts, intervalMs } - how long to poll for the title and price on client-rendered pages
+ * @property {string[]} cartButtons - Add-to-cart and buy-now buttons (for the cart guard)
+ */
+
+/**
+ * @typedef {Object} ProductRecord
+ * @property {string} name - Product title
+ * @property {string} price - Price as displayed ("Price not available" if missing)
+ * @property {string} currency - ISO 4217 code
+ * @property {string} site - Retailer name
+ * @property {string} url - Page URL
+ * @property {string} [brand] - Brand or manufacturer
+ * @property {string} [asin] - Amazon ASIN
+ * @property {string} [gtin] - UPC/EAN/GTIN
+ * @property {string} [model] - Model or manufacturer part number
+ * @property {string} [sku] - Retailer SKU or item number
+ * @property {string} [seller] - Who sells the listing, when the page names one
+ * @property {string} [shipsFrom] - Who ships it, when the page names someone other than the seller
+ * @property {string[]} [breadcrumbs] - Category trail ("Home", "Kitchen", "Cookware")
+ * @property {string} [image] - Primary image URL
+ */
+
+/** @type {SiteAdapter[]} */
+const SITE_ADAPTERS = [
+  {
+    id: 'amazon',
+    name: 'Amazon',
+    hosts: ['amazon.com'],
+    productUrlPatterns: [/\/dp\/[A-Z0-9]{10}/i, /\/gp\/product\/[A-Z0-9]{10}/i, /\/gp\/aw\/d\/[A-Z0-9]{10}/i],
+    currency: 'USD',
+    firstPartySellers: ['Amazon.com Services LLC', 'Amazon Export Sales LLC', 'Amazon Resale', 'Amazon Warehouse'],
+    fields: {
+      // Amazon has different layouts
+      title: [
+        '#productTitle',
+        '#title',
+        'span[data-a-size="large"]',
+        'h1.product-title',
+        'h1 span#productTitle'
+      ],
+      price: [
+        '.a-price .a-offscreen',
+        '#priceblock_ourprice',
+        '#priceblock_dealprice',
+        '.a-price-whole',
+        'span.a-price > span.a-offscreen',
+        '#corePrice_feature_div .a-offscreen',
+        '.priceToPay .a-offscreen'
+      ],
+      brand: ['#bylineInfo', '#brand'],
+      asin: ['input#ASIN', '#ASIN'],
+      seller: [
+        '#sellerProfileTriggerId',
+        '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Sold by"] span',
+        '[offer-display-feature-name="desktop-merchant-info"] .offer-display-feature-text-message',
+        '#merchant-info a',
+        '#merchant-info'
+      ],
+      shipsFrom: [
+        '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Ships from"] span',
+        '[offer-display-feature-name="desktop-fulfiller-info"] .offer-display-feature-text-message'
+      ],
+      breadcrumbs: ['#wayfinding-breadcrumbs_feature_div ul li a'],
+      image: ['#landingImage', '#imgBlkFront', '#main-image']
+    },
+    identifierPatterns: { asin: /\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})/i },
+    // Server-rendered; the buy box price can arrive a moment after the title
+    ready: { attempts: 4, intervalMs: 500 },
+    cartButtons: [
+      '#add-to-cart-button',
+      '#add-to-cart-button-ubb',
+      '#buy-now-button',
+      'input[name="submit.add-to-cart"]',
+      'input[name="submit.buy-now"]'
+    ]
+  },
+  {
+    id: 'walmart',
+    name: 'Walmart',
+    hosts: ['walmart.com'],
+    productUrlPatterns: [/\/ip\//],
+    currency: 'USD',
+    fields: {
+      title: ['[itemprop="name"]', 'h1[data-automation-id="product-title"]'],
+      price: ['[itemprop="price"]', '[data-automation-id="product-price"]'],
+      brand: ['a[data-seo-id="brand-name"]', '[data-testid="product-brand"]', '[itemprop="brand"]'],
+      seller: ['a[data-testid="seller-name-link"]', '[data-testid="product-seller-info"] a', '[itemprop="seller"]'],
+      shipsFrom: ['[data-testid="product-fulfillment-info"] a', '[data-testid="fulfilled-by-walmart"]'],
+      breadcrumbs: ['nav[aria-label="breadcrumb"] li a', '[data-testid="breadcrumb"] a'],
+      image: ['[data-testid="hero-image-container"] img', 'img[data-testid="hero-image"]', '[itemprop="image"]']
+    },
+    identifierPatterns: { sku: /\/ip\/(?:[^\/]+\/)?(\d{5,})/ },
+    ready: { attempts: 6, intervalMs: 500 },
+    cartButtons: [
+      'button[data-automation-id="atc"]',
+      'button[data-dca-name="ItemBuyBoxAddToCartButton"]',
+      'button[aria-label^="Add to cart"]'
+    ]
+  },
+  {
+    id: 'target',
+    name: 'Target',
+    hosts: ['target.com'],
+    productUrlPatterns: [/\/p\//],
+    currency: 'USD',
+    fields: {
+      title: ['[data-test="product-title"]', 'h1[class*="Title"]'],
+      price: ['[data-test="product-price"]'],
+      brand: ['a[data-test="@web/ProductDetailBrandLink"]', '[data-test="product-brand"]'],
+      // Target Plus listings are sold by partner stores
+      seller: ['[data-test="targetPlusExtraInfoSection"] a', '[data-test="sold-by-partner"] a'],
+      breadcrumbs: ['[data-test="@web/Breadcrumbs/BreadcrumbLink"]', 'nav[aria-label="Breadcrumbs"] a'],
+      image: ['[data-test="product-image"] img', 'section[aria-label="Image gallery"] img']
+    },
+    identifierPatterns: { sku: /\/A-(\d+)/ },
+    // Client-rendered
+    ready: { attempts: 8, intervalMs: 500 },
+    cartButtons: [
+      'button[data-test="shippingButton"]',
+      'button[data-test="orderPickupButton"]',
+      'button[data-test="scheduledDeliveryButton"]',
+      'button[id^="addToCartButtonOrTextIdFor"]'
+    ]
+  },
+  {
+    id: 'bestbuy',
+    name: 'Best Buy',
+    hosts: ['bestbuy.com'],
+    // /product/product-name/SKU (e.g., /product/energizer-max-9v-batteries/J78676CL43)
+    productUrlPatterns: [/\/product\/[^\/]+\/[A-Z0-9]+/],
+    currency: 'USD',
+    fields: {
+      title: [
+        'h1.heading-5.v-fw-regular',
+        'h1.heading-5',
+        '.sku-title h1',
+        'h1[class*="heading"]',
+        'div[class*="sku-title"] h1',
+        'h1[data-testid="product-title"]',
+        '.product-title h1'
+      ],
+      price: [
+        '.priceView-hero-price.priceView-customer-price span[aria-hidden="true"]',
+        '.priceView-hero-price span[aria-hidden="true"]',
+        '[class*="priceView-customer-price"] span[aria-hidden="true"]',
+        '[data-testid="customer-price"]',
+        '.priceView-customer-price',
+        '.pricing-price__regular-price',
+        'div[class*="priceView"] span[aria-hidden="true"]',
+        '[class*="priceView"] [class*="priceView-customer-price"]',
+        'div[data-testid="pricing"] span'
+      ],
+      model: ['.model.product-data .product-data-value', '[data-testid="model-number"] span'],
+      sku: ['.sku.product-data .product-data-value', '[data-testid="sku-number"] span'],
+      seller: ['[data-testid="marketplace-seller-name"]', '.marketplace-seller-name'],
+      breadcrumbs: ['nav[aria-label="Breadcrumb"] li a', '.c-breadcrumbs-list-item a'],
+      image: ['img.primary-image', '[data-testid="image-media-gallery"] img']
+    },
+    fallbacks: {
+      title: ['anyHeading'],
+      price: ['priceClassText', 'priceText']
+    },
+    identifierPatterns: { sku: /\/product\/[^\/]+\/([A-Z0-9]+)/ },
+    // Best Buy renders with React - poll until the title shows up
+    ready: { attempts: 10, intervalMs: 500 },
+    cartButtons: [
+      'button.add-to-cart-button',
+      'button[data-button-state="ADD_TO_CART"]'
+    ]
+  },
+  {
+    id: 'homedepot',
+    name: 'Home Depot',
+    hosts: ['homedepot.com'],
+    storeNames: ['the home depot', 'homedepot'],
+    // /p/product-name/123456789 (9-digit Internet number)
+    productUrlPatterns: [/\/p\/(?:[^\/]+\/)?\d{9}/],
+    currency: 'USD',
+    fields: {
+      title: [
+        '[data-testid="product-details__title"] h1',
+        'h1.product-details__title',
+        '.product-details__badge-title--wrapper h1',
+        'h1.sui-h4-bold'
+      ],
+      price: [
+        '[data-testid="price-format"]',
+        '#standard-price',
+        '.price-format__main-price',
+        '.price-detailed__wrapper .price'
+      ],
+      brand: [
+        '[data-testid="product-details__brand"] a',
+        '.product-details__brand--link',
+        '[data-component*="ProductDetailsBrandCollection"] a'
+      ],
+      sku: ['[data-testid="internet-number"] span', '.product-info-bar__detail--internet-number'],
+      model: ['[data-testid="model-number"] span', '.product-info-bar__detail--model'],
+      breadcrumbs: ['nav[aria-label="Breadcrumb"] a', '.breadcrumbs__link'],
+      image: ['.mediagallery__mainimage img', '[data-testid="media-gallery"] img']
+    },
+    identifierPatterns: { sku: /\/p\/(?:[^\/]+\/)?(\d{9})/ },
+    // Product details render client-side
+    ready: { attempts: 8, intervalMs: 500 },
+    cartButtons: [
+      'button[data-testid="add-to-cart-button"]',
+      '#atc_pickItUp',
+      '#atc_shipIt',
+      'button[aria-label^="Add to Cart" i]'
+    ]
+  },
+  {
+    id: 'lowes',
+    name: "Lowe's",
+    hosts: ['lowes.com'],
+    storeNames: ['lowes', "lowe's home improvement"],
+    // /pd/product-name/1000123456 (item ID)
+    productUrlPatterns: [/\/pd\/[^\/]+\/\d{6,}/],
+    currency: 'USD',
+    fields: {
+      title: [
+        'h1[data-testid="product-title"]',
+        'h1.product-title',
+        '.product-brand-description h1',
+        'h1[itemprop="name"]'
+      ],
+      price: [
+        '[data-testid="product-price"] .item-price-dollar',
+        '[data-testid="product-price"]',
+        '.main-price .final-price',
+        '[itemprop="price"]'
+      ],
+      brand: ['[data-testid="product-brand"]', 'a[data-testid="brand-link"]', '[itemprop="brand"]'],
+      sku: ['[data-testid="item-number"]', '.styles__ItemNumber'],
+      model: ['[data-testid="model-number"]', '.styles__ModelNumber'],
+      breadcrumbs: ['nav[aria-label="breadcrumb"] a', '.breadcrumbs a'],
+      image: ['[data-testid="product-image"] img', '.imageContainer img']
+    },
+    identifierPatterns: { sku: /\/pd\/[^\/]+\/(\d{6,})/ },
+    ready: { attempts: 8, intervalMs: 500 },
+    cartButtons: [
+      'button[data-testid="add-to-cart"]',
+      'button[data-selector="atc-button"]',
+      'button[aria-label^="Add to Cart" i]'
+    ]
+  },
+  {
+    id: 'costco',
+    name: 'Costco',
+    hosts: ['costco.com'],
+    storeNames: ['costco wholesale'],
+    // /product-name.product.100123456.html
+    productUrlPatterns: [/\.product\.\d+\.html/],
+    currency: 'USD',
+    fields: {
+      title: [
+        'h1[automation-id="productName"]',
+        'h1[itemprop="name"]',
+        '.product-h1-container-v2 h1',
+        '.product-h1-container h1'
+      ],
+      // Members-only prices stay hidden until sign-in; the record then says "Price not available"
+      price: [
+        '[automation-id="productPriceOutput"]',
+        '#pull-right-price .value',
+        '.your-price .value',
+        '[itemprop="price"]'
+      ],
+      brand: ['[itemprop="brand"]', '.product-brand', '[automation-id="productBrand"]'],
+      sku: ['[automation-id="itemNumber"]', '#item-no span', '[data-testid="item-number"]'],
+      model: ['[automation-id="modelNumber"]', '#model-no span'],
+      breadcrumbs: ['#crumbs_ul li a', 'nav[aria-label="Breadcrumb"] a'],
+      image: ['#productImage img', '#heroImage_zoom']
+    },
+    identifierPatterns: { sku: /\.product\.(\d+)\.html/ },
+    ready: { attempts: 8, intervalMs: 500 },
+    cartButtons: [
+      '#add-to-cart-btn',
+      'input#add-to-cart-btn',
+      'button[automation-id="addToCartButton"]',
+      'button[aria-label^="Add to Cart" i]'
+    ]
+  },
+  {
+    id: 'wayfair',
+    name: 'Wayfair',
+    hosts: ['wayfair.com'],
+    // /furniture/pdp/product-name-w001234567.html
+    productUrlPatterns: [/\/pdp\/[^\/]+-[a-z]{1,5}\d{3,}\.html/i],
+    currency: 'USD',
+    fields: {
+      title: [
+        '[data-enzyme-id="ProductTitle"] h1',
+        'h1[data-hb-id="Heading"]',
+        '[data-test-id="ProductTitle"]',
+        'header h1'
+      ],
+      price: [
+        '[data-test-id="PriceDisplay"]',
+        '.SFPrice span',
+        '[data-enzyme-id="PriceBlock"] span'
+      ],
+      brand: [
+        '[data-enzyme-id="ManufacturerName"]',
+        'a[data-test-id="ProductManufacturerLink"]',
+        '[data-test-id="manufacturer-name"]'
+      ],
+      sku: ['[data-enzyme-id="ProductSku"]', '[data-test-id="sku"]'],
+      breadcrumbs: ['[data-enzyme-id="Breadcrumbs"] a', 'nav[aria-label="Breadcrumb"] a'],
+      image: ['[data-enzyme-id="FluidImage"] img', '[data-test-id="pdp-mt-d-mainImageCarousel"] img']
+    },
+    identifierPatterns: { sku: /-([a-z]{1,5}\d{3,})\.html/i },
+    // Wayfair's React page fills in after load
+    ready: { attempts: 10, intervalMs: 500 },
+    cartButtons: [
+      'button[data-testing-id="atc-button"]',
+      'button[data-enzyme-id="AddToCartButton"]',
+      'button[aria-label^="Add to Cart" i]'
+    ]
+  },
+  {
+    id: 'kroger',
+    name: 'Kroger',
+    hosts: ['kroger.com'],
+    // Kroger's banners share its shelves
+    storeNames: ['ralphs', 'fred meyer', 'king soopers', 'harris teeter', "fry's food", "smith's food", 'dillons', "mariano's", 'qfc'],
+    // /p/product-name/0001111041700 (13-digit UPC)
+    productUrlPatterns: [/\/p\/[^\/]+\/\d{13}/],
+    currency: 'USD',
+    fields: {
+      title: [
+        'h1[data-testid="product-details-name"]',
+        'h1.ProductDetails-header',
+        '.ProductDetails h1'
+      ],
+      price: [
+        '[data-testid="product-details-price"] data',
+        '.ProductDetails-sellBy data.kds-Price',
+        'data.kds-Price',
+        '[typeof="Price"]'
+      ],
+      brand: ['[data-testid="product-details-brand"]', '.ProductDetails-brand'],
+      gtin: ['[data-testid="product-details-upc"]', '.ProductDetails-upc'],
+      breadcrumbs: ['nav[aria-label="breadcrumb"] a', '.kds-Breadcrumb a'],
+      image: ['[data-testid="product-image"] img', '.ProductImages img']
+    },
+    identifierPatterns: { gtin: /\/p\/[^\/]+\/(\d{13})/ },
+    // The product page is a client-rendered app
+    ready: { attempts: 10, intervalMs: 500 },
+    cartButtons: [
+      'button[data-testid="kds-QuantityStepper-ctaButton"]',
+      'button[data-testid="add-to-cart-button"]',
+      'button[aria-label^="Add to Cart" i]'
+    ]
+  }
+];
+
+// Last-resort field finders an adapter can opt into by name
+const FIELD_FALLBACKS = {
+  // Any h1 long enough to be a product title
+  anyHeading: (doc) => [...doc.querySelectorAll('h1')].find(h1 => h1.textContent.trim().length > 10) || null,
+
+  // An element with "price" in its class showing "$XX.XX" or "$X,XXX.XX"
+  priceClassText: (doc) => [...doc.querySelectorAll('[class*="price"]')].find(el => {
+    const text = el.textContent.trim();
+    return /\$[\d,]+\.?\d*/.test(text) && text.length < 30;
+  }) || null,
+
+  // Any span or div that is only a price over $10
+  priceText: (doc) => [...doc.querySelectorAll('span, div')].find(el => {
+    const text = el.textContent.trim();
+    return /^\$[\d,]+\.?\d*$/.test(text) && text.length < 15 && parseFloat(text.replace(/[$,]/g, '')) > 10;
+  }) || null
+};
+
+// The record's price when the page shows none (members-only, out of stock, not rendered yet)
+const MISSING_PRICE = 'Price not available';
+
+// Minimum polling after in-page navigation, when the previous product can stay on screen
+// until the single-page app renders the new one
+const NAVIGATION_READY = { attempts: 10, intervalMs: 300 };
+
+// Text fields of the product record beyond name and price, sent with the analysis request
+const PRODUCT_DETAIL_FIELDS = ['brand', 'asin', 'gtin', 'model', 'sku', 'seller', 'shipsFrom'];
+
+const PRODUCT_DETAIL_LIMITS = {
+  maxFieldLength: 100,
+  maxBreadcrumbs: 8
+};
+
+// Leading labels stripped from detail text ("Model # 1234" -> "1234", "Sold by: Acme" -> "Acme")
+const FIELD_LABEL_PATTERN = /^(?:brand|by|sold\s+by|sold\s+and\s+shipped\s+by|ships\s+from\s+and\s+sold\s+by|ships\s+from|shipped\s+by|fulfilled\s+by|model|item|internet|store\s+sku|sku|upc|gtin|ean|asin|mpn)\b\s*(?:#|no\.?|number)?\s*:?\s*/i;
+
+// Fulfilment note after a seller's name ("Acme and Fulfilled by Amazon.")
+const SELLER_SUFFIX_PATTERN = /(?:\s+and\s+(?:fulfilled|shipped)\s+by\s+.*)?[.\s]*$/i;
+
+// Who a listing's seller is, relative to the retailer and the product's brand
+const SELLER_TYPES = ['retailer', 'brand', 'third-party'];
+
+// Storefront links used as brand bylines ("Visit the Anker Store", "Shop all Threshold")
+const BRAND_STOREFRONT_PATTERN = /^(?:visit\s+the|shop\s+all)\s+(.+?)(?:\s+store)?$/i;
+
+/**
+ * Adapter for a hostname ("www.bestbuy.com" -> Best Buy)
+ * @returns {SiteAdapter|null}
+ */
+function findSiteAdapter(hostname, adapters = SITE_ADAPTERS) {
+  const host = String(hostname || '').toLowerCase();
+  return adapters.find(adapter => adapter.hosts.some(domain => host === domain || host.endsWith(`.${domain}`))) || null;
+}
+
+/**
+ * Whether a URL path is one of the adapter's product pages
+ */
+function isAdapterProductPage(adapter, pathname) {
+  return adapter.productUrlPatterns.length === 0 || adapter.productUrlPatterns.some(pattern => pattern.test(pathname));
+}
+
+/**
+ * An element's text, or its content/value attribute for <meta itemprop> and hidden <input> elements
+ */
+function readElementText(element) {
+  return element.textContent.trim() || (element.getAttribute('content') || element.getAttribute('value') || '').trim();
+}
+
+/**
+ * First element with text for a field: the adapter's selectors in order, then its fallbacks
+ * @returns {Object|null} { element, selector } (selector is "fallback:<name>" for fallbacks)
+ */
+function findAdapterField(adapter, field, doc) {
+  for (const selector of adapter.fields[field] || []) {
+    const element = doc.querySelector(selector);
+    if (element && readElementText(element)) {
+      return { element, selector };
+    }
+  }
+
+  for (const name of (adapter.fallbacks && adapter.fallbacks[field]) || []) {
+    const element = FIELD_FALLBACKS[name] ? FIELD_FALLBACKS[name](doc) : null;
+    if (element && readElementText(element)) {
+      return { element, selector: `fallback:${name}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * A detail field's text with its label removed, falling back to the adapter's URL pattern
+ * @returns {string} Value, or '' if neither the page nor the URL has it
+ */
+function readDetailField(adapter, field, doc, pageUrl) {
+  const found = findAdapterField(adapter, field, doc);
+  let value = found ? readElementText(found.element).replace(FIELD_LABEL_PATTERN, '').trim() : '';
+  if (field === 'brand') {
+    value = value.replace(BRAND_STOREFRONT_PATTERN, '$1');
+  }
+  if (field === 'seller' || field === 'shipsFrom') {
+    value = value.replace(SELLER_SUFFIX_PATTERN, '');
+  }
+
+  const pattern = adapter.identifierPatterns && adapter.identifierPatterns[field];
+  if (!value && pattern) {
+    const match = pageUrl.pathname.match(pattern);
+    value = match ? match[1] : '';
+  }
+
+  return value.replace(/\s+/g, ' ').substring(0, PRODUCT_DETAIL_LIMITS.maxFieldLength);
+}
+
+/**
+ * Category trail from the first breadcrumb selector that finds links
+ * @returns {string[]} Trail, root first
+ */
+function readAdapterBreadcrumbs(adapter, doc) {
+  for (const selector of adapter.fields.breadcrumbs || []) {
+    const trail = [...doc.querySelectorAll(selector)]
+      .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+      .filter(text => text && !/^[›>/|]$/.test(text));
+    if (trail.length > 0) return trail.slice(0, PRODUCT_DETAIL_LIMITS.maxBreadcrumbs);
+  }
+  return [];
+}
+
+/**
+ * Absolute URL of the primary product image ('' if none; inline data: images are skipped)
+ */
+function readAdapterImage(adapter, doc, pageUrl) {
+  for (const selector of adapter.fields.image || []) {
+    const element = doc.querySelector(selector);
+    // Amazon keeps the full-size image in data-old-hires
+    const source = element && (element.getAttribute('data-old-hires') || element.getAttribute('src') || element.getAttribute('content'));
+    if (source && !source.startsWith('data:')) {
+      try {
+        return new URL(source, pageUrl.href).href;
+      } catch (error) {
+        // Unusable URL - try the next selector
+      }
+    }
+  }
+  return '';
+}
+
+/**
+ * The details of a product record that go into the analysis request and cache key
+ * Also validates records coming from content scripts.
+ * @param {ProductRecord|Object} product - Product record
+ * @returns {Object} Non-empty PRODUCT_DETAIL_FIELDS plus breadcrumbs
+ */
+function getProductDetails(product) {
+  const details = {};
+  if (!product || typeof product !== 'object') return details;
+
+  const clean = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().substring(0, PRODUCT_DETAIL_LIMITS.maxFieldLength) : '');
+
+  PRODUCT_DETAIL_FIELDS.forEach(field => {
+    const value = clean(product[field]);
+    if (value) details[field] = value;
+  });
+
+  const breadcrumbs = (Array.isArray(product.breadcrumbs) ? product.breadcrumbs : [])
+    .map(clean)
+    .filter(Boolean)
+    .slice(0, PRODUCT_DETAIL_LIMITS.maxBreadcrumbs);
+  if (breadcrumbs.length > 0) details.breadcrumbs = breadcrumbs;
+
+  return details;
+}
+
+/**
+ * Read the product on the current page
+ * @param {SiteAdapter} adapter - Adapter for this site
+ * @param {Document} doc - Page document
+ * @param {Location|URL} pageUrl - Page location
+ * @returns {ProductRecord|null} Product, or null if not a product page
+ */
+function extractWithAdapter(adapter, doc, pageUrl) {
+  if (!isAdapterProductPage(adapter, pageUrl.pathname)) {
+    console.log(`Bramble: Not a ${adapter.name} product page:`, pageUrl.pathname);
+    return null;
+  }
+
+  const title = findAdapterField(adapter, 'title', doc);
+  if (!title) {
+    console.log(`Bramble: Could not find ${adapter.name} product title`);
+    return null;
+  }
+
+  const price = findAdapterField(adapter, 'price', doc);
+  const product = {
+    name: readElementText(title.element),
+    price: price ? readElementText(price.element) : MISSING_PRICE,
+    currency: adapter.currency,
+    site: adapter.name,
+    url: pageUrl.href
+  };
+
+  PRODUCT_DETAIL_FIELDS.forEach(field => {
+    const value = readDetailField(adapter, field, doc, pageUrl);
+    if (value) product[field] = value;
+  });
+
+  const breadcrumbs = readAdapterBreadcrumbs(adapter, doc);
+  if (breadcrumbs.length > 0) product.breadcrumbs = breadcrumbs;
+
+  const image = readAdapterImage(adapter, doc, pageUrl);
+  if (image) product.image = image;
+
+  console.log(`Bramble: Extracted ${adapter.name} product:`, product, { title: title.selector, price: price?.selector || null });
+  return product;
+}
+
+/**
+ * Extract once the page is ready, polling per the adapter's readiness settings
+ * The page is ready when it shows a title and a price - and, after in-page navigation, a title
+ * other than the previous product's. When polling runs out, whatever was found is returned
+ * (a product without a price, or a variant with the same title).
+ * @param {Object} [options] - { staleName } - title of the product shown before an in-page navigation
+ * @returns {Promise<Object|null>} Product or null
+ */
+async function waitForAdapterProduct(adapter, doc, pageUrl, options = {}) {
+  const { staleName = null } = options;
+  const attempts = staleName ? Math.max(adapter.ready.attempts, NAVIGATION_READY.attempts) : adapter.ready.attempts;
+  const intervalMs = staleName ? Math.max(adapter.ready.intervalMs, NAVIGATION_READY.intervalMs) : adapter.ready.intervalMs;
+  let product = null;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    product = extractWithAdapter(adapter, doc, pageUrl);
+    if (product && product.price !== MISSING_PRICE && product.name !== staleName) return product;
+
+    // Polling can't turn a non-product URL into a product page
+    if (!isAdapterProductPage(adapter, pageUrl.pathname)) return null;
+
+    if (attempt < attempts) {
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  if (!product && attempts > 1) {
+    console.log(`Bramble: Failed to find ${adapter.name} product after`, attempts, 'attempts');
+  }
+  return product;
+}
+
+/**
+ * Lowercased names a retailer trades under ("costco", "costco wholesale")
+ */
+function getRetailerStoreNames(adapter) {
+  return [...new Set([adapter.name, ...(adapter.storeNames || [])].map(name => name.toLowerCase()))];
+}
+
+/**
+ * Domain names without the TLD for every adapter ("homedepot", "lowes")
+ * Used to keep the user's retailers out of online alternatives.
+ */
+function getRetailerDomainKeys(adapters = SITE_ADAPTERS) {
+  return adapters.flatMap(adapter => adapter.hosts.map(domain => domain.split('.')[0]));
+}
+
+/**
+ * Adapter for a product's site name ("Home Depot")
+ * @returns {SiteAdapter|null}
+ */
+function findSiteAdapterByName(siteName, adapters = SITE_ADAPTERS) {
+  const name = String(siteName || '').toLowerCase();
+  return adapters.find(adapter => adapter.name.toLowerCase() === name) || null;
+}
+
+/**
+ * Seller name reduced for comparison ("Amazon.com Services, LLC" -> "amazon")
+ */
+function normalizeSellerName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(?:com|services|inc|llc|ltd|co|corp|corporation|company)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a seller or shipper name is the retailer itself
+ */
+function isRetailerSeller(adapter, name) {
+  const seller = normalizeSellerName(name);
+  if (!seller) return false;
+  return [...getRetailerStoreNames(adapter), ...(adapter.firstPartySellers || [])]
+    .some(retailerName => normalizeSellerName(retailerName) === seller);
+}
+
+/**
+ * Who sells a marketplace listing: the retailer, the brand's own storefront or a third party
+ * @param {Object} productDetails - getProductDetails() of the product record
+ * @param {string} siteName - The product's site ("Amazon")
+ * @returns {Object|null} { name, type (one of SELLER_TYPES), retailer, shipsFrom, fulfilledBy } - fulfilledBy is
+ *   'retailer', 'seller' or null when the page doesn't say; null when the page names no seller
+ */
+function classifyListingSeller(productDetails, siteName) {
+  const adapter = findSiteAdapterByName(siteName);
+  const name = productDetails && productDetails.seller;
+  if (!adapter || !name) return null;
+
+  const shipsFrom = productDetails.shipsFrom || '';
+  const brand = normalizeSellerName(productDetails.brand);
+  const seller = normalizeSellerName(name);
+
+  let type = 'third-party';
+  if (isRetailerSeller(adapter, name)) {
+    type = 'retailer';
+  } else if (brand.length >= 3 && (seller.includes(brand) || brand.includes(seller))) {
+    type = 'brand';
+  }
+
+  let fulfilledBy = null;
+  if (type === 'retailer' || isRetailerSeller(adapter, shipsFrom)) {
+    fulfilledBy = 'retailer';
+  } else if (shipsFrom) {
+    fulfilledBy = 'seller';
+  }
+
+  return { name, type, retailer: adapter.name, shipsFrom, fulfilledBy };
+}
+
+/**
+ * Match patterns for every adapter host ("https://*.amazon.com/*")
+ * Used for the manifest's content_scripts, web_accessible_resources and host_permissions.
+ */
+function getSiteMatchPatterns(adapters = SITE_ADAPTERS) {
+  return adapters.flatMap(adapter => adapter.hosts.map(domain => `https://*.${domain}/*`));
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SITE_ADAPTERS,
+    FIELD_FALLBACKS,
+    PRODUCT_DETAIL_FIELDS,
+    PRODUCT_DETAIL_LIMITS,
+    MISSING_PRICE,
+    NAVIGATION_READY,
+    SELLER_TYPES,
+    findSiteAdapter,
+    findSiteAdapterByName,
+    isAdapterProductPage,
+    findAdapterField,
+    extractWithAdapter,
+    getProductDetails,
+    waitForAdapterProduct,
+    getRetailerStoreNames,
+    getRetailerDomainKeys,
+    classifyListingSeller,
+    getSiteMatchPatterns
+  };
+}
@@ -0,0 +1,331 @@
+/**
+ * Bramble Structured Data
+ * Generic product detection from the schema.org data most shops embed - JSON-LD, microdata
+ * and Open Graph tags. Used when a page has no site adapter ("analyze any shop" mode) and
+ * when an adapter's selectors miss. The opt-in mode registers the content scripts for every
+ * https page once the user grants the optional host permission (see background.js).
+ */
+
+// Optional host permission requested when the user turns on "analyze any shop"
+const ANY_SHOP_ORIGINS = ['https://*/*'];
+
+// Dynamic content scripts registered while the mode is on (the content script and the history hooks)
+const ANY_SHOP_SCRIPT_ID = 'bramble-any-shop';
+const ANY_SHOP_HISTORY_SCRIPT_ID = 'bramble-any-shop-history';
+
+// schema.org types that describe a single purchasable product
+const SCHEMA_PRODUCT_TYPES = ['Product', 'ProductGroup', 'ProductModel', 'IndividualProduct'];
+
+// GTIN properties, most specific first
+const SCHEMA_GTIN_FIELDS = ['gtin13', 'gtin12', 'gtin14', 'gtin8', 'gtin'];
+
+// Record fields structured data can fill in when a site adapter didn't find them
+const STRUCTURED_DETAIL_FIELDS = ['brand', 'gtin', 'model', 'sku', 'seller', 'breadcrumbs', 'image'];
+
+/**
+ * Whether a JSON-LD node is a product ("Product", ["Product", "Thing"], "https://schema.org/Product")
+ */
+function isSchemaProduct(node) {
+  return [].concat(node['@type'] || []).some(type =>
+    SCHEMA_PRODUCT_TYPES.includes(String(type).replace(/^https?:\/\/schema\.org\//, '')));
+}
+
+/**
+ * First product in parsed JSON-LD blocks, looking inside arrays, @graph and mainEntity
+ * @param {Array} blocks - Parsed contents of each ld+json script
+ * @returns {Object|null} Product node
+ */
+function findJsonLdProduct(blocks) {
+  const queue = [...blocks];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (Array.isArray(node)) {
+      queue.push(...node);
+      continue;
+    }
+    if (!node || typeof node !== 'object') continue;
+
+    if (isSchemaProduct(node)) return node;
+    if (node['@graph']) queue.push(node['@graph']);
+    if (node.mainEntity) queue.push(node.mainEntity);
+  }
+
+  return null;
+}
+
+/**
+ * Text of a schema.org value that may be a string, a list or a Thing ({ name })
+ */
+function readSchemaText(value) {
+  if (Array.isArray(value)) return readSchemaText(value[0]);
+  if (value && typeof value === 'object') return readSchemaText(value.name || value['@value'] || value.url);
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+/**
+ * Category trail from the page's BreadcrumbList ("Home", "Kitchen", "Cookware")
+ * @param {Array} blocks - Parsed JSON-LD blocks
+ * @returns {string[]} Trail in position order, root first
+ */
+function findJsonLdBreadcrumbs(blocks) {
+  const queue = [...blocks];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (Array.isArray(node)) {
+      queue.push(...node);
+      continue;
+    }
+    if (!node || typeof node !== 'object') continue;
+
+    if ([].concat(node['@type'] || []).includes('BreadcrumbList')) {
+      return [].concat(node.itemListElement || [])
+        .filter(item => item && typeof item === 'object')
+        .sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0))
+        .map(item => readSchemaText(item.name || item.item))
+        .filter(Boolean);
+    }
+    if (node['@graph']) queue.push(node['@graph']);
+  }
+
+  return [];
+}
+
+/**
+ * Price and currency of a product's first priced offer
+ * Handles single offers, offer lists, AggregateOffer (lowPrice) and ProductGroup variants.
+ * @param {Object} product - JSON-LD product node
+ * @returns {Object|null} { amount, currency, seller } or null if no offer has a price
+ */
+function getSchemaOffer(product) {
+  const variants = [].concat(product.hasVariant || []);
+  const offers = [].concat(product.offers || variants.flatMap(variant => [].concat(variant.offers || [])));
+
+  for (const offer of offers) {
+    if (!offer || typeof offer !== 'object') continue;
+
+    const specification = [].concat(offer.priceSpecification || [])[0] || {};
+    const amount = parseSchemaPrice(offer.price ?? offer.lowPrice ?? specification.price);
+    if (amount !== null) {
+      return {
+        amount,
+        currency: readSchemaText(offer.priceCurrency || specification.priceCurrency).toUpperCase(),
+        seller: readSchemaText(offer.seller)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 19.99, "19.99" or "$1,299.00" -> number (null if not a price)
+ */
+function parseSchemaPrice(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = parseFloat(String(value).replace(/[^\d.]/g, ''));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+/**
+ * Display price in the shop's currency ("$19.99", "€24.00")
+ */
+function formatSchemaPrice(amount, currency) {
+  if (/^[A-Z]{3}$/.test(currency || '')) {
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      // Unknown currency code - fall through to the bare amount
+    }
+  }
+  return amount.toFixed(2);
+}
+
+/**
+ * Product fields from a JSON-LD node
+ * @returns {Object} { name, brand, gtin, model, sku, seller, image, amount, currency } (empty strings when missing)
+ */
+function readJsonLdProduct(product) {
+  const offer = getSchemaOffer(product);
+  const gtinField = SCHEMA_GTIN_FIELDS.find(field => readSchemaText(product[field]));
+
+  return {
+    name: readSchemaText(product.name),
+    brand: readSchemaText(product.brand || product.manufacturer),
+    gtin: gtinField ? readSchemaText(product[gtinField]) : '',
+    model: readSchemaText(product.mpn || product.model),
+    sku: readSchemaText(product.sku),
+    seller: offer ? offer.seller : '',
+    image: readSchemaText(product.image),
+    amount: offer ? offer.amount : null,
+    currency: offer ? offer.currency : ''
+  };
+}
+
+/**
+ * Parsed JSON-LD blocks on the page (blocks that don't parse are skipped)
+ */
+function readJsonLdBlocks(doc) {
+  return [...doc.querySelectorAll('script[type="application/ld+json"]')].flatMap(script => {
+    try {
+      return [JSON.parse(script.textContent)];
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+/**
+ * Value of a microdata property (content attribute, an image's src, a link's href, else the text)
+ */
+function readItemProp(element) {
+  if (!element) return '';
+  const tag = element.tagName.toLowerCase();
+  const value = element.getAttribute('content')
+    || (tag === 'img' ? element.getAttribute('src') : '')
+    || (tag === 'link' ? element.getAttribute('href') : '')
+    || element.textContent;
+  return (value || '').trim();
+}
+
+/**
+ * Product fields from a schema.org microdata item
+ * Name, identifiers and image must belong to the product itself, not a nested offer or review.
+ */
+function readMicrodataProduct(scope) {
+  const ownProp = (name) => [...scope.querySelectorAll(`[itemprop~="${name}"]`)]
+    .find(element => element.parentElement.closest('[itemscope]') === scope) || null;
+
+  const brandElement = ownProp('brand') || ownProp('manufacturer');
+  const brand = brandElement && brandElement.hasAttribute('itemscope')
+    ? readItemProp(brandElement.querySelector('[itemprop~="name"]'))
+    : readItemProp(brandElement);
+  const gtinField = SCHEMA_GTIN_FIELDS.find(field => readItemProp(ownProp(field)));
+
+  return {
+    name: readItemProp(ownProp('name')),
+    brand,
+    gtin: gtinField ? readItemProp(ownProp(gtinField)) : '',
+    model: readItemProp(ownProp('mpn')) || readItemProp(ownProp('model')),
+    sku: readItemProp(ownProp('sku')),
+    seller: readItemProp(scope.querySelector('[itemprop~="seller"] [itemprop~="name"]')),
+    image: readItemProp(ownProp('image')),
+    amount: parseSchemaPrice(readItemProp(scope.querySelector('[itemprop~="price"]')) || readItemProp(scope.querySelector('[itemprop~="lowPrice"]'))),
+    currency: readItemProp(scope.querySelector('[itemprop~="priceCurrency"]')).toUpperCase()
+  };
+}
+
+/**
+ * Product fields from Open Graph tags (only when og:type says it's a product)
+ */
+function readOpenGraphProduct(doc) {
+  const meta = (property) => (doc.querySelector(`meta[property="${property}"]`)?.getAttribute('content') || '').trim();
+  if (!/product/i.test(meta('og:type'))) return null;
+
+  return {
+    name: meta('og:title'),
+    brand: meta('product:brand') || meta('og:brand'),
+    gtin: meta('product:upc') || meta('product:ean') || meta('product:isbn'),
+    model: meta('product:mfr_part_no'),
+    sku: meta('product:retailer_item_id'),
+    seller: '',
+    image: meta('og:image'),
+    amount: parseSchemaPrice(meta('product:price:amount') || meta('og:price:amount')),
+    currency: (meta('product:price:currency') || meta('og:price:currency')).toUpperCase()
+  };
+}
+
+/**
+ * Read the product on any page from its structured data
+ * JSON-LD wins, microdata and Open Graph fill the gaps.
+ * @param {Document} doc - Page document
+ * @param {Location|URL} pageUrl - Page location
+ * @returns {ProductRecord|null} Product (see site-adapters.js), or null if the page isn't a product
+ */
+function extractStructuredProduct(doc, pageUrl) {
+  const blocks = readJsonLdBlocks(doc);
+  const jsonLdProduct = findJsonLdProduct(blocks);
+  const microdataScope = doc.querySelector('[itemscope][itemtype*="schema.org/Product" i]');
+  const openGraphProduct = readOpenGraphProduct(doc);
+  const sources = [
+    jsonLdProduct && { source: 'json-ld', ...readJsonLdProduct(jsonLdProduct) },
+    microdataScope && { source: 'microdata', ...readMicrodataProduct(microdataScope) },
+    openGraphProduct && { source: 'open-graph', ...openGraphProduct }
+  ].filter(Boolean);
+
+  const pick = (field) => sources.map(fields => fields[field]).find(value => value !== null && value !== '') ?? null;
+  const name = pick('name');
+  if (!name) return null;
+
+  const amount = pick('amount');
+  const currency = pick('currency') || '';
+  const image = pick('image');
+  const siteName = (doc.querySelector('meta[property="og:site_name"]')?.getAttribute('content') || '').trim();
+
+  const product = {
+    name,
+    price: amount !== null ? formatSchemaPrice(amount, currency) : 'Price not available',
+    currency,
+    site: siteName || pageUrl.hostname.replace(/^www\./, ''),
+    url: pageUrl.href
+  };
+
+  ['brand', 'gtin', 'model', 'sku', 'seller'].forEach(field => {
+    const value = pick(field);
+    if (value) product[field] = value;
+  });
+
+  const breadcrumbs = findJsonLdBreadcrumbs(blocks);
+  if (breadcrumbs.length > 0) product.breadcrumbs = breadcrumbs;
+  if (image) {
+    try {
+      product.image = new URL(image, pageUrl.href).href;
+    } catch (error) {
+      // Unusable image URL - leave it out
+    }
+  }
+
+  console.log('Bramble: Extracted product from structured data:', product, { sources: sources.map(fields => fields.source) });
+  return product;
+}
+
+/**
+ * Fill the fields a site adapter didn't find from the page's structured data
+ * @param {ProductRecord} product - Adapter's product
+ * @param {ProductRecord|null} structured - extractStructuredProduct() for the same page
+ * @returns {ProductRecord} Merged copy (the adapter's values win)
+ */
+function mergeStructuredDetails(product, structured) {
+  if (!structured) return product;
+
+  const merged = { ...product };
+  STRUCTURED_DETAIL_FIELDS.forEach(field => {
+    const missing = Array.isArray(merged[field]) ? merged[field].length === 0 : !merged[field];
+    if (missing && structured[field]) merged[field] = structured[field];
+  });
+  return merged;
+}
+
+// Export functions if in module context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ANY_SHOP_ORIGINS,
+    ANY_SHOP_SCRIPT_ID,
+    ANY_SHOP_HISTORY_SCRIPT_ID,
+    SCHEMA_PRODUCT_TYPES,
+    isSchemaProduct,
+    STRUCTURED_DETAIL_FIELDS,
+    findJsonLdProduct,
+    findJsonLdBreadcrumbs,
+    readSchemaText,
+    getSchemaOffer,
+    parseSchemaPrice,
+    formatSchemaPrice,
+    readJsonLdProduct,
+    readMicrodataProduct,
+    readOpenGraphProduct,
+    extractStructuredProduct,
+    mergeStructuredDetails
+  };
+}
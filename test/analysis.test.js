@@ -0,0 +1,130 @@
+/**
+ * Prompt building, response parsing and scoring in analysis.js
+ * Run: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildAnalysisPrompt,
+  parseClaudeResponse,
+  normalizeAnalysisResult,
+  calculateAlignmentScore,
+  checkAvoidedBrands,
+  brandsMatch
+} = require('../analysis.js');
+const { buildOwnershipGraph } = require('../ownership-graph.js');
+const dataset = require('../data/companies.json');
+
+const graph = buildOwnershipGraph(dataset);
+
+test('buildAnalysisPrompt fences the title, listing details and avoid list', () => {
+  const prompt = buildAnalysisPrompt('Acme Widget 3-pack', { avoidedBrands: ['Nestle'] }, null, { brand: 'Acme', gtin: '012345678905' });
+
+  assert.match(prompt, /<product_title>Acme Widget 3-pack<\/product_title>/);
+  assert.match(prompt, /<product_details>Brand: Acme; UPC\/GTIN: 012345678905<\/product_details>/);
+  assert.match(prompt, /<avoided_brands>Nestle<\/avoided_brands>/);
+  assert.match(prompt, /Location: Not provided/);
+});
+
+test('buildAnalysisPrompt makes the analysis location-aware when the user shares a location', () => {
+  const prompt = buildAnalysisPrompt('Acme Widget', { avoidedBrands: [], location: { lat: 40.1, lon: -75.2, display: 'Philadelphia, PA' } });
+
+  assert.match(prompt, /Brands to avoid: None specified/);
+  assert.match(prompt, /Location: <user_location>Philadelphia, PA<\/user_location> \(40\.1000, -75\.2000\)/);
+});
+
+test('buildAnalysisPrompt only asks about the seller when the page names one', () => {
+  const withoutSeller = buildAnalysisPrompt('Acme Widget', { avoidedBrands: [] });
+  const withSeller = buildAnalysisPrompt('Acme Widget', { avoidedBrands: [] }, null, { seller: 'Gadget Barn' });
+
+  assert.doesNotMatch(withoutSeller, /sellerParentCompany/);
+  assert.match(withSeller, /Sold by: Gadget Barn/);
+  assert.match(withSeller, /sellerParentCompany/);
+});
+
+test('parseClaudeResponse reads JSON inside a code fence or prose', () => {
+  const fenced = parseClaudeResponse('```json\n{"parentCompany": "Acme Corp", "companySize": "small-business"}\n```');
+  assert.equal(fenced.data.parentCompany, 'Acme Corp');
+  assert.equal(fenced.data.companySize, 'small-business');
+  assert.deepEqual(fenced.errors, []);
+
+  const prose = parseClaudeResponse('Here is the analysis: {"parentCompany": "Acme Corp"} Hope that helps.');
+  assert.equal(prose.data.parentCompany, 'Acme Corp');
+});
+
+test('parseClaudeResponse reports invalid JSON and out-of-schema values', () => {
+  const invalid = parseClaudeResponse('not json');
+  assert.equal(invalid.data.parentCompany, null);
+  assert.match(invalid.errors[0], /not valid JSON/);
+
+  const badEnum = parseClaudeResponse('{"parentCompany": "Acme Corp", "companySize": "small"}');
+  assert.equal(badEnum.data.companySize, 'unknown');
+  assert.ok(badEnum.errors.some(error => error.startsWith('companySize')));
+  assert.ok(!badEnum.validFields.includes('companySize'));
+});
+
+test('normalizeAnalysisResult maps legacy fields and concern strings', () => {
+  const result = normalizeAnalysisResult({
+    ethicalScore: 40,
+    costBenefitAnalysis: 'Why it matters',
+    alternativeTypes: ['Co-ops'],
+    concerns: ['Labor violations reported']
+  });
+
+  assert.equal(result.alignmentScore, 40);
+  assert.equal(result.impactExplanation, 'Why it matters');
+  assert.deepEqual(result.suggestedStoreTypes, ['Co-ops']);
+  assert.equal(result.ethicalScore, undefined);
+  assert.equal(result.factualConcerns[0].category, 'labor');
+  assert.equal(result.factualConcerns[0].description, 'Labor violations reported');
+  assert.deepEqual(result.concerns, result.factualConcerns);
+  assert.equal(normalizeAnalysisResult(null), null);
+});
+
+test('calculateAlignmentScore applies size and ownership factors', () => {
+  const { score, breakdown } = calculateAlignmentScore({ parentCompany: 'Acme', companySize: 'mega-corp', ownershipType: 'publicly-traded' }, { avoidedBrands: [] });
+
+  assert.equal(score, 75);
+  assert.deepEqual(breakdown.map(item => item.change), [-15, -10]);
+});
+
+test('calculateAlignmentScore credits certifications only for sustainable shoppers', () => {
+  const company = { parentCompany: 'Acme', companySize: 'medium-corp', certifications: ['Fair Trade Certified'] };
+
+  assert.equal(calculateAlignmentScore(company, { avoidedBrands: [] }).score, 100);
+  assert.equal(calculateAlignmentScore(company, { avoidedBrands: [], sustainableProducts: false }).score, 95);
+});
+
+test('calculateAlignmentScore drops a hard-blocked brand to 5', () => {
+  const { score, breakdown } = calculateAlignmentScore({ parentCompany: 'Acme', companySize: 'mega-corp', ownershipType: 'publicly-traded' }, { avoidedBrands: ['Acme'] });
+
+  assert.equal(score, 5);
+  assert.match(breakdown[breakdown.length - 1].reason, /On your avoid list: Acme/);
+});
+
+test('brandsMatch compares ownership keys, not substrings', () => {
+  assert.equal(brandsMatch('The Kroger Co.', 'Kroger'), true);
+  assert.equal(brandsMatch('Amazon', 'Amazon.com, Inc.', graph), true);
+
+  assert.equal(brandsMatch('Pineapple Co', 'Apple'), false);
+  assert.equal(brandsMatch('Dover Corp', 'Dove'), false);
+  assert.equal(brandsMatch('Nestle USA', 'Nestle Waters'), false);
+  assert.equal(brandsMatch('', 'Apple'), false);
+  assert.equal(brandsMatch('', ''), false);
+});
+
+test('checkAvoidedBrands ignores names that only contain an avoided brand', () => {
+  const company = { detectedBrand: 'Pineapple Co', parentCompany: 'Dover Corp' };
+
+  assert.equal(checkAvoidedBrands(company, ['Apple', 'Dove'], graph).isOnAvoidList, false);
+  assert.equal(calculateAlignmentScore(company, { avoidedBrands: ['Apple', 'Dove'] }).score, 100);
+});
+
+test('checkAvoidedBrands follows the ownership graph to an avoided parent', () => {
+  const match = checkAvoidedBrands({ detectedBrand: 'Ring', parentCompany: '' }, ['Amazon'], graph);
+
+  assert.equal(match.isOnAvoidList, true);
+  assert.deepEqual(match.chain, ['Ring', 'Amazon']);
+});
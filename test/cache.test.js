@@ -0,0 +1,62 @@
+/**
+ * Analysis cache in cache.js, against an in-memory chrome.storage.local
+ * Run: npm test
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getCachedCompanyData,
+  setCachedCompanyData,
+  invalidateAnalysisCache
+} = require('../cache.js');
+
+const OPTIONS = { ttlMs: 60 * 60 * 1000, maxEntries: 10 };
+
+let stored = {};
+
+// Like chrome.storage: values are copied, and every call resolves on a later tick
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+global.chrome = {
+  storage: {
+    local: {
+      get: async key => { await tick(); return structuredClone({ [key]: stored[key] }); },
+      set: async items => { await tick(); Object.assign(stored, structuredClone(items)); },
+      remove: async key => { await tick(); delete stored[key]; }
+    }
+  }
+};
+
+beforeEach(() => {
+  stored = {};
+});
+
+test('a cached entry is returned without the user-specific fields', async () => {
+  await setCachedCompanyData('asin:B0ABCD1234', { parentCompany: 'Anker Innovations', isOnAvoidList: true }, OPTIONS);
+  const cached = await getCachedCompanyData('asin:B0ABCD1234', OPTIONS);
+
+  assert.deepEqual(cached.companyData, { parentCompany: 'Anker Innovations' });
+  assert.equal(await getCachedCompanyData('asin:B0NOTCACHED', OPTIONS), null);
+});
+
+test('analyses cached at the same time keep each other\'s entries', async () => {
+  await Promise.all([
+    setCachedCompanyData('asin:B0AAAAAAAA', { parentCompany: 'Acme' }, OPTIONS),
+    setCachedCompanyData('asin:B0BBBBBBBB', { parentCompany: 'Globex' }, OPTIONS),
+    getCachedCompanyData('asin:B0AAAAAAAA', OPTIONS),
+    setCachedCompanyData('asin:B0CCCCCCCC', { parentCompany: 'Initech' }, OPTIONS)
+  ]);
+
+  assert.deepEqual(Object.keys(stored.analysisCache).sort(), ['asin:B0AAAAAAAA', 'asin:B0BBBBBBBB', 'asin:B0CCCCCCCC']);
+});
+
+test('invalidating one entry while another is written keeps the new one', async () => {
+  await setCachedCompanyData('asin:B0AAAAAAAA', { parentCompany: 'Acme' }, OPTIONS);
+  await Promise.all([
+    invalidateAnalysisCache('asin:B0AAAAAAAA'),
+    setCachedCompanyData('asin:B0BBBBBBBB', { parentCompany: 'Globex' }, OPTIONS)
+  ]);
+
+  assert.deepEqual(Object.keys(stored.analysisCache), ['asin:B0BBBBBBBB']);
+});
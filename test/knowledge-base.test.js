@@ -0,0 +1,75 @@
+/**
+ * Brand and company lookups in knowledge-base.js against the bundled dataset
+ * Run: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeBrandName,
+  buildKnowledgeBaseIndex,
+  loadKnowledgeBase,
+  findBrandInKnowledgeBase,
+  findCompanyInKnowledgeBase,
+  lookupProductInKnowledgeBase,
+  applyKnowledgeBaseFacts
+} = require('../knowledge-base.js');
+const dataset = require('../data/companies.json');
+
+const index = buildKnowledgeBaseIndex(dataset);
+
+test('normalizeBrandName folds accents, apostrophes and ampersands', () => {
+  assert.equal(normalizeBrandName('Nestlé'), 'nestle');
+  assert.equal(normalizeBrandName("Hellmann's"), 'hellmanns');
+  assert.equal(normalizeBrandName('Procter & Gamble'), 'procter and gamble');
+  assert.equal(normalizeBrandName(''), '');
+});
+
+test('a title starting with a brand resolves to its company', () => {
+  const match = findBrandInKnowledgeBase('Ring Video Doorbell (2nd Gen)', index);
+
+  assert.equal(match.brand, 'Ring');
+  assert.equal(match.company.name, 'Amazon.com, Inc.');
+});
+
+test('the longest brand at the start of a title wins', () => {
+  const match = findBrandInKnowledgeBase('365 by Whole Foods Market Organic Pasta', index);
+
+  assert.equal(match.brand, '365 by Whole Foods Market');
+});
+
+test('company aliases resolve to the company', () => {
+  assert.equal(findBrandInKnowledgeBase('Nestle USA Hot Cocoa', index).company.name, 'Nestlé S.A.');
+  assert.equal(findBrandInKnowledgeBase('Some Title', index, 'P&G').company.name, 'The Procter & Gamble Company');
+  assert.equal(findCompanyInKnowledgeBase('Kroger', index).company.name, 'The Kroger Co.');
+  assert.equal(findCompanyInKnowledgeBase('Amazon.com', index).company.name, 'Amazon.com, Inc.');
+});
+
+test('unknown brands and companies return null', () => {
+  assert.equal(findBrandInKnowledgeBase('Handmade Ceramic Mug', index), null);
+  assert.equal(findBrandInKnowledgeBase('Handmade Ceramic Mug', index, 'Clay Studio'), null);
+  assert.equal(findCompanyInKnowledgeBase('Tiny Pottery LLC', index), null);
+});
+
+test('matches and merged facts carry the dataset version', async () => {
+  assert.equal(index.version, dataset.version);
+  assert.equal(findBrandInKnowledgeBase('Tide Pods', index).version, dataset.version);
+
+  const loaded = await loadKnowledgeBase();
+  assert.equal(loaded.version, dataset.version);
+  assert.equal((await lookupProductInKnowledgeBase('Ring Video Doorbell')).version, dataset.version);
+
+  const merged = applyKnowledgeBaseFacts({ parentCompany: 'Wrong Co' }, findBrandInKnowledgeBase('Ring Video Doorbell', index));
+  assert.equal(merged.parentCompany, 'Amazon.com, Inc.');
+  assert.equal(merged.knowledgeBaseVersion, dataset.version);
+  assert.equal(merged.fieldSources.parentCompany, 'dataset');
+});
+
+test('facts without a dataset match are labelled as AI', () => {
+  const merged = applyKnowledgeBaseFacts({ parentCompany: 'Tiny Pottery LLC' }, null);
+
+  assert.equal(merged.parentCompany, 'Tiny Pottery LLC');
+  assert.equal(merged.knowledgeBaseVersion, undefined);
+  assert.equal(merged.fieldSources.parentCompany, 'ai');
+});
@@ -0,0 +1,69 @@
+/**
+ * Prompt-injection defenses in sanitize.js, checked against fixtures/hostile-titles.json
+ * Run: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  sanitizeUntrustedText,
+  findInstructionLikeText,
+  sanitizePromptInputs,
+  findInstructionEchoes
+} = require('../sanitize.js');
+const { buildAnalysisPrompt } = require('../analysis.js');
+const { titles } = require('../fixtures/hostile-titles.json');
+
+test('hostile titles are flagged after sanitizing and benign ones are not', () => {
+  titles.forEach(({ title, hostile, note }) => {
+    const flagged = findInstructionLikeText(sanitizeUntrustedText(title));
+    assert.equal(flagged !== null, hostile, `${note}: ${JSON.stringify(title)}`);
+  });
+});
+
+test('sanitizePromptInputs reports instruction-like titles as suspicious', () => {
+  titles.forEach(({ title, hostile, note }) => {
+    const inputs = sanitizePromptInputs(title, { avoidedBrands: [] });
+    assert.equal(inputs.suspicious.length > 0, hostile, note);
+  });
+});
+
+test('no title can break out of its prompt delimiter or start a new line', () => {
+  const countTags = prompt => (prompt.match(/<\/?product_title>/g) || []).length;
+  const expectedTags = countTags(buildAnalysisPrompt('Desk Lamp', { avoidedBrands: [] }));
+
+  titles.forEach(({ title, note }) => {
+    const prompt = buildAnalysisPrompt(title, { avoidedBrands: [] });
+    const fenced = prompt.match(/<product_title>([^]*?)<\/product_title>/)[1];
+
+    assert.doesNotMatch(fenced, /[<>{}`\n]/, note);
+    assert.equal(countTags(prompt), expectedTags, note);
+  });
+});
+
+test('findInstructionEchoes flags answers that repeat a hostile title', () => {
+  titles.forEach(({ title, hostile, note }) => {
+    const echoed = sanitizeUntrustedText(title);
+    const { suspicious } = sanitizePromptInputs(title, { avoidedBrands: [] });
+    const flagged = findInstructionEchoes({
+      parentCompany: echoed,
+      subsidiaries: [echoed],
+      factualConcerns: [{ description: echoed, source: null }]
+    }, suspicious);
+
+    assert.deepEqual(flagged, hostile ? ['parentCompany', 'subsidiaries', 'factualConcerns'] : [], note);
+  });
+});
+
+test('findInstructionEchoes accepts ordinary prose that only resembles an instruction', () => {
+  const answer = {
+    parentCompany: 'Acme Holdings',
+    impactExplanation: 'Acme will act as the sole distributor for its sister brands in the US.',
+    factualConcerns: [{ description: 'Lobbied to override state rules on packaging waste', source: null }]
+  };
+
+  assert.deepEqual(findInstructionEchoes(answer, []), []);
+  assert.deepEqual(findInstructionEchoes(answer, sanitizePromptInputs('Acme Cordless Drill', { avoidedBrands: [] }).suspicious), []);
+  assert.deepEqual(findInstructionEchoes(answer, ['ignore all previous instructions']), []);
+});
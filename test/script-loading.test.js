@@ -0,0 +1,92 @@
+/**
+ * The extension's classic scripts, loaded together the way Chrome loads them
+ * Top-level declarations share one global scope, so a file that redeclares another's const (even
+ * inside its Node-only require block) fails with "Identifier ... has already been declared".
+ * Run: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const manifest = require('../manifest.json');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Stand-in for the chrome.* APIs: every property exists and every call resolves to {}
+ */
+function createChromeStub() {
+  return new Proxy(() => Promise.resolve({}), {
+    get: () => createChromeStub()
+  });
+}
+
+/**
+ * Run one file as a classic script in the context
+ */
+function runScript(context, file) {
+  new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+}
+
+/**
+ * A blank page with the chrome stub and no network, scripts run from outside
+ */
+function createPage(html, url) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+  dom.window.chrome = createChromeStub();
+  dom.window.fetch = async () => { throw new Error('offline'); };
+  return dom;
+}
+
+test('the service worker loads with every file in its importScripts list', () => {
+  const loaded = [];
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    chrome: createChromeStub(),
+    fetch: async () => { throw new Error('offline'); },
+    setTimeout,
+    clearTimeout,
+    URL,
+    AbortController
+  });
+  context.self = context;
+  context.importScripts = (...files) => files.forEach(file => {
+    runScript(context, file);
+    loaded.push(file);
+  });
+
+  runScript(context, manifest.background.service_worker);
+
+  assert.ok(loaded.includes('analysis.js'), 'background.js should import analysis.js');
+  assert.equal(vm.runInContext('typeof fetchCompanyData', context), 'function');
+});
+
+test('the content scripts load together on a retailer page', () => {
+  const dom = createPage('<!DOCTYPE html><html><body></body></html>', 'https://www.amazon.com/');
+  try {
+    const context = dom.getInternalVMContext();
+    manifest.content_scripts[0].js.forEach(file => runScript(context, file));
+
+    assert.equal(vm.runInContext('typeof checkSelectorHealth', context), 'function');
+  } finally {
+    dom.window.close();
+  }
+});
+
+test('the popup scripts load together', () => {
+  const html = fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8');
+  const files = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+  const dom = createPage(html, 'chrome-extension://bramble/popup.html');
+  try {
+    const context = dom.getInternalVMContext();
+    files.forEach(file => runScript(context, file));
+
+    assert.ok(files.includes('popup.js'));
+  } finally {
+    dom.window.close();
+  }
+});
@@ -0,0 +1,193 @@
+/**
+ * Site adapters against saved product pages (fixtures/pages), in jsdom
+ * When a retailer redesigns a page, save a trimmed copy here and update the adapter until it passes.
+ * Run: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const { SITE_ADAPTERS, extractWithAdapter, findSiteAdapter } = require('../site-adapters.js');
+const { SELECTOR_HEALTH_KEY, checkSelectorHealth } = require('../selector-health.js');
+const manifest = require('../manifest.json');
+
+// One saved page per adapter: where it was saved from and the record it should produce
+const PAGES = [
+  {
+    file: 'amazon.html',
+    url: 'https://www.amazon.com/Anker-Portable-Charger/dp/B0ABCD1234',
+    expected: { name: 'Anker Portable Charger, 10000mAh Power Bank with USB-C', price: '$25.99', brand: 'Anker', asin: 'B0ABCD1234', seller: 'AnkerDirect', shipsFrom: 'Amazon.com' }
+  },
+  {
+    file: 'walmart.html',
+    url: 'https://www.walmart.com/ip/Great-Value-Whole-Vitamin-D-Milk-1-gal/10450114',
+    expected: { name: 'Great Value Whole Vitamin D Milk, Gallon, 128 fl oz', price: '$3.38', brand: 'Great Value', sku: '10450114', seller: 'Walmart.com' }
+  },
+  {
+    file: 'target.html',
+    url: 'https://www.target.com/p/woven-throw-blanket-threshold/-/A-53378392',
+    expected: { name: 'Woven Throw Blanket - Threshold™', price: '$25.00', brand: 'Threshold', sku: '53378392' }
+  },
+  {
+    // Best Buy's adapter has no brand selector
+    file: 'bestbuy.html',
+    url: 'https://www.bestbuy.com/product/sony-wh-1000xm5-wireless-noise-canceling-headphones/J3RFYQ8T2Q',
+    expected: { name: 'Sony - WH-1000XM5 Wireless Noise-Canceling Over-the-Ear Headphones - Black', price: '$399.99', brand: undefined, model: 'WH1000XM5/B', sku: '6505727' }
+  },
+  {
+    file: 'homedepot.html',
+    url: 'https://www.homedepot.com/p/DEWALT-20V-MAX-Cordless-Drill-Driver-Kit-DCD771C2/204279858',
+    expected: { name: '20V MAX Cordless 1/2 in. Drill/Driver Kit', price: '$99.00', brand: 'DEWALT', model: 'DCD771C2', sku: '204279858' }
+  },
+  {
+    // Price only in a <meta itemprop="price" content> tag
+    file: 'lowes.html',
+    url: 'https://www.lowes.com/pd/CRAFTSMAN-V20-Cordless-Drill/1000551555',
+    expected: { name: 'V20 1/2-in Cordless Drill (1-Battery Included)', price: '129.00', brand: 'CRAFTSMAN', model: 'CMCD700C1', sku: '1000551555' }
+  },
+  {
+    file: 'costco.html',
+    url: 'https://www.costco.com/kirkland-signature-organic-extra-virgin-olive-oil.product.100334841.html',
+    expected: { name: 'Kirkland Signature Organic Extra Virgin Olive Oil, 2 L, 2-count', price: '$39.99', brand: 'Kirkland Signature', model: '1334841-KS2L', sku: '1334841' }
+  },
+  {
+    file: 'wayfair.html',
+    url: 'https://www.wayfair.com/furniture/pdp/mercury-row-lamarr-coffee-table-w001234567.html',
+    expected: { name: 'Lamarr Coffee Table', price: '$249.99', brand: 'Mercury Row', sku: 'W001234567' }
+  },
+  {
+    file: 'kroger.html',
+    url: 'https://www.kroger.com/p/simple-truth-organic-2-reduced-fat-milk/0001111041700',
+    expected: { name: 'Simple Truth Organic® 2% Reduced Fat Milk', price: '$4.49', brand: 'Simple Truth Organic', gtin: '0001111041700' }
+  }
+];
+
+/**
+ * Parse a saved page as if it were loaded from its URL
+ * @returns {Object} { adapter, doc, pageUrl }
+ */
+function loadPage(file, url) {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'pages', file), 'utf8');
+  const pageUrl = new URL(url);
+  return { adapter: findSiteAdapter(pageUrl.hostname), doc: new JSDOM(html, { url }).window.document, pageUrl };
+}
+
+/**
+ * Run the manifest's content scripts on a saved page, as classic scripts sharing one global scope
+ * chrome is a stub: nothing is sent anywhere and chrome.storage.local is kept in `stored`.
+ * @returns {Object} { window, stored }
+ */
+function runContentScripts(file, url) {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'pages', file), 'utf8');
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+  const stored = {};
+
+  dom.window.chrome = {
+    runtime: {
+      onMessage: { addListener() {} },
+      getURL: file => `chrome-extension://bramble/${file}`,
+      sendMessage: async () => ({})
+    },
+    storage: {
+      sync: { get: async () => ({}) },
+      local: {
+        get: async key => ({ [key]: stored[key] }),
+        set: async items => { Object.assign(stored, JSON.parse(JSON.stringify(items))); } // Stored as a copy, like chrome.storage
+      }
+    }
+  };
+  dom.window.fetch = async () => { throw new Error('offline'); };
+
+  const context = dom.getInternalVMContext();
+  manifest.content_scripts[0].js.forEach(script => {
+    new vm.Script(fs.readFileSync(path.join(__dirname, '..', script), 'utf8'), { filename: script }).runInContext(context);
+  });
+
+  return { window: dom.window, stored };
+}
+
+/**
+ * Resolve once read() returns something, polling for up to two seconds
+ */
+async function waitFor(read) {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const value = read();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('timed out');
+}
+
+test('every adapter has a saved page', () => {
+  const covered = PAGES.map(page => findSiteAdapter(new URL(page.url).hostname).id);
+  assert.deepEqual(covered.sort(), SITE_ADAPTERS.map(adapter => adapter.id).sort());
+});
+
+PAGES.forEach(({ file, url, expected }) => {
+  test(`extractWithAdapter reads ${file}`, () => {
+    const { adapter, doc, pageUrl } = loadPage(file, url);
+    const product = extractWithAdapter(adapter, doc, pageUrl);
+
+    assert.ok(product, 'no product found');
+    assert.equal(product.site, adapter.name);
+    assert.equal(product.currency, adapter.currency);
+    Object.entries(expected).forEach(([field, value]) => {
+      assert.equal(product[field], value, field);
+    });
+    assert.ok(product.breadcrumbs.length > 0, 'breadcrumbs');
+    assert.match(product.image, /^https:\/\//);
+  });
+
+  test(`${file} matches the adapter's own selectors`, () => {
+    const { adapter, doc } = loadPage(file, url);
+    const report = checkSelectorHealth(adapter, doc);
+
+    assert.deepEqual(report.warnings, []);
+    assert.equal(report.fields.title.fallback, false);
+  });
+});
+
+test('a page only readable through the generic h1 is flagged as fallback-only', () => {
+  const { adapter, doc, pageUrl } = loadPage('bestbuy-fallback.html', 'https://www.bestbuy.com/product/energizer-max-9v-batteries-4-pack/J78676CL43');
+
+  const product = extractWithAdapter(adapter, doc, pageUrl);
+  assert.equal(product.name, 'Energizer - MAX 9V Batteries (4-Pack)');
+  assert.equal(product.price, '$19.99');
+  assert.equal(product.model, '522BP-4');
+  assert.equal(product.sku, 'J78676CL43'); // From the URL
+
+  const report = checkSelectorHealth(adapter, doc);
+  assert.deepEqual(report.fields.title, { selector: 'fallback:anyHeading', position: -1, fallback: true });
+  assert.deepEqual(report.warnings, ['title: only the generic h1 fallback matched']);
+});
+
+test('non-product URLs are skipped', () => {
+  const { adapter, doc } = loadPage('amazon.html', 'https://www.amazon.com/Anker-Portable-Charger/dp/B0ABCD1234');
+  assert.equal(extractWithAdapter(adapter, doc, new URL('https://www.amazon.com/s?k=power+bank')), null);
+});
+
+test('the content scripts load together and log selector health for a product page', async () => {
+  const { window, stored } = runContentScripts('amazon.html', 'https://www.amazon.com/Anker-Portable-Charger/dp/B0ABCD1234');
+  try {
+    const log = await waitFor(() => stored[SELECTOR_HEALTH_KEY]);
+    assert.equal(log.amazon.checks, 1);
+    assert.deepEqual(log.amazon.lastWarnings, []);
+  } finally {
+    window.close();
+  }
+});
+
+test('the content scripts log fallback-only matches as warnings', async () => {
+  const { window, stored } = runContentScripts('bestbuy-fallback.html', 'https://www.bestbuy.com/product/energizer-max-9v-batteries-4-pack/J78676CL43');
+  try {
+    const log = await waitFor(() => stored[SELECTOR_HEALTH_KEY]);
+    assert.deepEqual(log.bestbuy.lastWarnings, ['title: only the generic h1 fallback matched']);
+    assert.equal(log.bestbuy.warnings.length, 1);
+  } finally {
+    window.close();
+  }
+});